@@ -0,0 +1,141 @@
+/**
+ * Address Service
+ * Handles each user's address book of shipping addresses
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+const taxService = require("./taxService");
+
+// Address fields every shipping address needs
+const REQUIRED_FIELDS = ["name", "line1", "city", "postalCode", "country"];
+
+// Address fields that may be left out
+const OPTIONAL_FIELDS = ["line2", "state"];
+
+class AddressService {
+  /**
+   * Saves a new address to a user's address book
+   * @param {string} userId - User identifier
+   * @param {object} data - name, line1, line2?, city, state?, postalCode, country
+   * @returns {object} - Created address
+   */
+  createAddress(userId, data = {}) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    const address = {
+      id: uuidv4(),
+      userId,
+      ...this.normalizeAddress(data),
+      createdAt: new Date().toISOString(),
+    };
+
+    dataStore.saveAddress(address);
+    return address;
+  }
+
+  /**
+   * Changes a saved address
+   * @param {string} userId - User identifier
+   * @param {string} addressId - Address identifier
+   * @param {object} updates - Fields to change
+   * @returns {object} - Updated address
+   */
+  updateAddress(userId, addressId, updates = {}) {
+    const address = this.getAddress(userId, addressId);
+    const fields = [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS].reduce(
+      (result, field) => {
+        result[field] =
+          updates[field] !== undefined ? updates[field] : address[field];
+        return result;
+      },
+      {},
+    );
+
+    Object.assign(address, this.normalizeAddress(fields), {
+      updatedAt: new Date().toISOString(),
+    });
+
+    dataStore.saveAddress(address);
+    return address;
+  }
+
+  /**
+   * Removes an address from a user's address book
+   * @param {string} userId - User identifier
+   * @param {string} addressId - Address identifier
+   */
+  deleteAddress(userId, addressId) {
+    this.getAddress(userId, addressId);
+    dataStore.deleteAddress(addressId);
+  }
+
+  /**
+   * Gets one of a user's addresses
+   * @param {string} userId - User identifier
+   * @param {string} addressId - Address identifier
+   * @returns {object} - Address
+   */
+  getAddress(userId, addressId) {
+    const address = dataStore.getAddress(addressId);
+    // Don't reveal other users' addresses
+    if (!address || address.userId !== userId) {
+      throw new Error("Address not found");
+    }
+    return address;
+  }
+
+  /**
+   * Gets a user's address book
+   * @param {string} userId - User identifier
+   * @returns {array} - Addresses
+   */
+  getUserAddresses(userId) {
+    return dataStore
+      .getAllAddresses()
+      .filter((address) => address.userId === userId);
+  }
+
+  /**
+   * Validates address fields and trims them
+   * @param {object} data - Raw address fields
+   * @returns {object} - Address fields
+   */
+  normalizeAddress(data) {
+    REQUIRED_FIELDS.forEach((field) => {
+      if (typeof data[field] !== "string" || !data[field].trim()) {
+        throw new Error(`Address ${field} is required`);
+      }
+    });
+    OPTIONAL_FIELDS.forEach((field) => {
+      const value = data[field];
+      if (value !== undefined && value !== null && typeof value !== "string") {
+        throw new Error(`Address ${field} must be a string`);
+      }
+    });
+
+    if (!/^[A-Za-z]{2}$/.test(data.country.trim())) {
+      throw new Error("Address country must be a 2-letter country code");
+    }
+
+    // Country and state double as the tax destination
+    const { country, state } = taxService.normalizeDestination({
+      country: data.country.trim(),
+      state: data.state && data.state.trim() ? data.state : null,
+    });
+
+    return {
+      name: data.name.trim(),
+      line1: data.line1.trim(),
+      line2: data.line2 ? data.line2.trim() : null,
+      city: data.city.trim(),
+      state,
+      postalCode: data.postalCode.trim(),
+      country,
+    };
+  }
+}
+
+module.exports = new AddressService();
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for Address Service
+ */
+
+const addressService = require('./addressService');
+const dataStore = require('./dataStore');
+
+describe('AddressService', () => {
+  const testUserId = 'test-user-1';
+  const home = {
+    name: ' Ada Lovelace ',
+    line1: '1 Main St',
+    city: 'San Francisco',
+    state: 'ca',
+    postalCode: '94105',
+    country: 'us',
+  };
+
+  beforeEach(() => {
+    dataStore.addresses.clear();
+  });
+
+  describe('createAddress', () => {
+    test('should save a normalized address', () => {
+      const address = addressService.createAddress(testUserId, home);
+
+      expect(address.id).toBeTruthy();
+      expect(address.userId).toBe(testUserId);
+      expect(address.name).toBe('Ada Lovelace');
+      expect(address.country).toBe('US');
+      expect(address.state).toBe('CA');
+      expect(address.line2).toBeNull();
+      expect(dataStore.getAddress(address.id)).toBe(address);
+    });
+
+    test('should require the core fields', () => {
+      expect(() => {
+        addressService.createAddress(testUserId, { ...home, city: '' });
+      }).toThrow('Address city is required');
+    });
+
+    test('should reject invalid countries', () => {
+      expect(() => {
+        addressService.createAddress(testUserId, { ...home, country: 'USA' });
+      }).toThrow('Address country must be a 2-letter country code');
+    });
+  });
+
+  describe('getUserAddresses', () => {
+    test('should only return the user\'s own addresses', () => {
+      addressService.createAddress(testUserId, home);
+      addressService.createAddress('someone-else', home);
+
+      expect(addressService.getUserAddresses(testUserId)).toHaveLength(1);
+    });
+  });
+
+  describe('getAddress', () => {
+    test('should hide other users\' addresses', () => {
+      const address = addressService.createAddress('someone-else', home);
+
+      expect(() => {
+        addressService.getAddress(testUserId, address.id);
+      }).toThrow('Address not found');
+    });
+  });
+
+  describe('updateAddress', () => {
+    test('should change only the given fields', () => {
+      const address = addressService.createAddress(testUserId, home);
+
+      const updated = addressService.updateAddress(testUserId, address.id, { line2: 'Apt 4' });
+
+      expect(updated.line2).toBe('Apt 4');
+      expect(updated.city).toBe('San Francisco');
+      expect(updated.updatedAt).toBeTruthy();
+    });
+  });
+
+  describe('deleteAddress', () => {
+    test('should remove the address', () => {
+      const address = addressService.createAddress(testUserId, home);
+      addressService.deleteAddress(testUserId, address.id);
+
+      expect(dataStore.getAddress(address.id)).toBeUndefined();
+    });
+  });
+});
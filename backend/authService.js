@@ -0,0 +1,342 @@
+/**
+ * Auth Service
+ * Handles user accounts, password hashing, signed session tokens and what
+ * each role is allowed to do
+ */
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+// scrypt output length in bytes
+const KEY_LENGTH = 64;
+
+// Everything a role can be allowed to do on /api/admin routes
+const PERMISSIONS = [
+  "orders:read",
+  "orders:write", // status changes, cancellations and refunds
+  "returns:read",
+  "returns:write",
+  "discounts:read", // discount codes, campaigns and promotions
+  "discounts:write",
+  "catalog:manage", // products and categories
+  "stats:read",
+  "config:read", // store settings and their history
+  "config:write",
+  "users:manage", // list accounts and change their roles
+];
+
+// Permissions of each role; new accounts are customers
+const ROLE_PERMISSIONS = {
+  customer: [],
+  // Customer service: looks orders up and handles returns, but can't move
+  // money or hand out discounts
+  support: ["orders:read", "returns:read", "returns:write"],
+  admin: PERMISSIONS,
+};
+
+// Signs session tokens. Without SESSION_SECRET a new secret is made on every
+// start, which signs everyone out when the server restarts.
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Compared against when an email is unknown, so a failed login takes as
+// long whether or not the account exists
+const DUMMY_HASH = `scrypt:${"0".repeat(32)}:${"0".repeat(KEY_LENGTH * 2)}`;
+
+class AuthService {
+  /**
+   * Creates an account and signs it in
+   * @param {object} data - Account fields
+   * @param {string} data.email - Email address (used to sign in)
+   * @param {string} data.password - Password, at least 8 characters
+   * @param {string} [data.name] - Display name
+   * @returns {object} - { token, user }
+   */
+  register(data) {
+    return this.createSession(this.createUser(data));
+  }
+
+  /**
+   * Validates and saves a new account
+   * @param {object} data - { email, password, name? } as for register()
+   * @param {string} [role="customer"] - Role of the account
+   * @returns {object} - Stored user
+   */
+  createUser({ email, password, name = null } = {}, role = "customer") {
+    const normalizedEmail = this.normalizeEmail(email);
+    this.validatePassword(password);
+    if (name !== null && (typeof name !== "string" || !name.trim())) {
+      throw new Error("Name must be a non-empty string");
+    }
+    if (dataStore.getUserByEmail(normalizedEmail)) {
+      throw new Error("An account with this email already exists");
+    }
+
+    const user = {
+      id: uuidv4(),
+      email: normalizedEmail,
+      name: name ? name.trim() : null,
+      role,
+      passwordHash: this.hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+    dataStore.saveUser(user);
+    return user;
+  }
+
+  /**
+   * Signs a user in with their email and password
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {object} - { token, user }
+   */
+  login(email, password) {
+    const user =
+      typeof email === "string"
+        ? dataStore.getUserByEmail(email.trim().toLowerCase())
+        : null;
+    const valid = this.verifyPassword(
+      typeof password === "string" ? password : "",
+      user ? user.passwordHash : DUMMY_HASH,
+    );
+    if (!user || !valid) {
+      throw new Error("Invalid email or password");
+    }
+    return this.createSession(user);
+  }
+
+  /**
+   * Ends the session a token belongs to
+   * @param {string} token - Session token
+   */
+  logout(token) {
+    const sessionId = this.readToken(token);
+    if (sessionId) {
+      dataStore.deleteSession(sessionId);
+    }
+  }
+
+  /**
+   * Resolves the signed-in user from a session token
+   * @param {string} token - Session token
+   * @returns {object|null} - User without the password hash, or null when
+   *   the token is invalid or its session has ended
+   */
+  getSessionUser(token) {
+    const sessionId = this.readToken(token);
+    const session = sessionId ? dataStore.getSession(sessionId) : null;
+    if (!session) {
+      return null;
+    }
+    if (Date.now() >= Date.parse(session.expiresAt)) {
+      dataStore.deleteSession(session.id);
+      return null;
+    }
+
+    const user = dataStore.getUser(session.userId);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Checks whether a user's role grants a permission
+   * @param {object|null} user - Signed-in user
+   * @param {string} permission - Permission (see PERMISSIONS)
+   * @returns {boolean} - Whether the user has it
+   */
+  hasPermission(user, permission) {
+    return Boolean(user) && this.getPermissions(user.role).includes(permission);
+  }
+
+  /**
+   * Gets the permissions of a role
+   * @param {string} [role="customer"] - Role
+   * @returns {array} - Permissions
+   */
+  getPermissions(role = "customer") {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Gets every account (admin function)
+   * @returns {array} - Users without password hashes, oldest first
+   */
+  getAllUsers() {
+    return dataStore
+      .getAllUsers()
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((user) => this.toPublicUser(user));
+  }
+
+  /**
+   * Changes a user's role (admin function). Takes effect on the user's
+   * next request, without signing them out.
+   * @param {string} userId - User to change
+   * @param {string} role - New role
+   * @param {string} actingUserId - Admin making the change
+   * @returns {object} - Updated user
+   */
+  setRole(userId, role, actingUserId) {
+    if (!Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role)) {
+      throw new Error(
+        `Invalid role: ${role}. Must be one of: ${Object.keys(ROLE_PERMISSIONS).join(", ")}`,
+      );
+    }
+    const user = dataStore.getUser(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    // Stops the last admin from locking everyone out by accident
+    if (userId === actingUserId) {
+      throw new Error("You can't change your own role");
+    }
+
+    const updated = { ...user, role };
+    dataStore.saveUser(updated);
+    return this.toPublicUser(updated);
+  }
+
+  /**
+   * Makes sure an admin account exists for an email, creating it with the
+   * password if needed. Used to set up the first admin at startup.
+   * @param {string} email - Admin email
+   * @param {string} password - Password for a new account
+   * @returns {object} - Admin user
+   */
+  ensureAdmin(email, password) {
+    const existing = dataStore.getUserByEmail(this.normalizeEmail(email));
+    if (!existing) {
+      return this.toPublicUser(this.createUser({ email, password }, "admin"));
+    }
+
+    const admin = { ...existing, role: "admin" };
+    dataStore.saveUser(admin);
+    return this.toPublicUser(admin);
+  }
+
+  /**
+   * Starts a session for a user
+   * @param {object} user - Stored user
+   * @returns {object} - { token, user }
+   */
+  createSession(user) {
+    const now = Date.now();
+    const ttlMs = dataStore.config.sessionTtlHours * 60 * 60 * 1000;
+    const session = {
+      id: uuidv4(),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+    dataStore.saveSession(session);
+
+    return {
+      token: `${session.id}.${this.sign(session.id)}`,
+      user: this.toPublicUser(user),
+    };
+  }
+
+  /**
+   * Checks a token's signature
+   * @param {string} token - Session token ("<sessionId>.<signature>")
+   * @returns {string|null} - Session ID, or null if the token is not genuine
+   */
+  readToken(token) {
+    if (typeof token !== "string") {
+      return null;
+    }
+    const [sessionId, signature] = token.split(".");
+    if (!sessionId || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(sessionId));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+      ? sessionId
+      : null;
+  }
+
+  /**
+   * Signs a value with the session secret
+   * @param {string} value - Value to sign
+   * @returns {string} - HMAC-SHA256, base64url
+   */
+  sign(value) {
+    return crypto
+      .createHmac("sha256", SESSION_SECRET)
+      .update(value)
+      .digest("base64url");
+  }
+
+  /**
+   * Hashes a password with a random salt
+   * @param {string} password - Plain-text password
+   * @returns {string} - "scrypt:<salt>:<hash>" (hex)
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+    return `scrypt:${salt}:${hash}`;
+  }
+
+  /**
+   * Checks a password against a stored hash in constant time
+   * @param {string} password - Plain-text password
+   * @param {string} stored - Hash from hashPassword()
+   * @returns {boolean} - Whether the password matches
+   */
+  verifyPassword(password, stored) {
+    const [, salt, hash] = stored.split(":");
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Validates and lower-cases an email address
+   * @param {string} email - Email address
+   * @returns {string} - Normalized email
+   */
+  normalizeEmail(email) {
+    if (
+      typeof email !== "string" ||
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())
+    ) {
+      throw new Error("A valid email address is required");
+    }
+    return email.trim().toLowerCase();
+  }
+
+  /**
+   * Throws unless a password is long enough
+   * @param {string} password - Plain-text password
+   */
+  validatePassword(password) {
+    if (
+      typeof password !== "string" ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH
+    ) {
+      throw new Error(
+        `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`,
+      );
+    }
+  }
+
+  /**
+   * Strips the password hash from a user and adds what their role allows
+   * @param {object} user - Stored user
+   * @returns {object} - { id, email, name, role, createdAt, permissions }
+   */
+  toPublicUser({ passwordHash, ...user }) {
+    const role = user.role || "customer";
+    return { ...user, role, permissions: this.getPermissions(role) };
+  }
+}
+
+module.exports = new AuthService();
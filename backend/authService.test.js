@@ -0,0 +1,138 @@
+/**
+ * Unit tests for Auth Service
+ */
+
+const authService = require('./authService');
+const dataStore = require('./dataStore');
+
+describe('AuthService', () => {
+  const register = (fields = {}) =>
+    authService.register({ email: 'Ada@Example.com', password: 'correct horse', name: 'Ada', ...fields });
+
+  beforeEach(() => {
+    dataStore.users.clear();
+    dataStore.sessions.clear();
+  });
+
+  describe('register', () => {
+    test('should create an account with a hashed password and sign it in', () => {
+      const { token, user } = register();
+
+      expect(user).toEqual({
+        id: user.id, email: 'ada@example.com', name: 'Ada', role: 'customer', createdAt: user.createdAt, permissions: [],
+      });
+      const stored = dataStore.getUser(user.id);
+      expect(stored.passwordHash).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+      expect(stored.passwordHash).not.toContain('correct horse');
+      expect(authService.getSessionUser(token)).toEqual(user);
+    });
+
+    test('should salt every password differently', () => {
+      expect(authService.hashPassword('same password')).not.toBe(authService.hashPassword('same password'));
+    });
+
+    test('should validate the account fields', () => {
+      expect(() => register({ email: 'not-an-email' })).toThrow('A valid email address is required');
+      expect(() => register({ password: 'short' })).toThrow('Password must be 8 to 256 characters');
+      expect(() => register({ name: ' ' })).toThrow('Name must be a non-empty string');
+      expect(dataStore.getAllUsers()).toHaveLength(0);
+    });
+
+    test('should not allow two accounts with the same email', () => {
+      register();
+
+      expect(() => register({ email: 'ada@example.COM ' })).toThrow('An account with this email already exists');
+    });
+  });
+
+  describe('login', () => {
+    test('should sign in with the email in any case', () => {
+      const { user } = register();
+
+      const session = authService.login(' ADA@example.com', 'correct horse');
+
+      expect(session.user.id).toBe(user.id);
+      expect(authService.getSessionUser(session.token).id).toBe(user.id);
+    });
+
+    test('should give the same error for a wrong password and an unknown email', () => {
+      register();
+
+      expect(() => authService.login('ada@example.com', 'wrong horse')).toThrow('Invalid email or password');
+      expect(() => authService.login('bob@example.com', 'correct horse')).toThrow('Invalid email or password');
+      expect(() => authService.login(undefined, undefined)).toThrow('Invalid email or password');
+    });
+  });
+
+  describe('roles', () => {
+    test('should let support staff view orders but not generate discount codes', () => {
+      const { user } = register();
+      const admin = authService.ensureAdmin('admin@example.com', 'admin password');
+
+      const support = authService.setRole(user.id, 'support', admin.id);
+
+      expect(authService.hasPermission(support, 'orders:read')).toBe(true);
+      expect(authService.hasPermission(support, 'returns:write')).toBe(true);
+      expect(authService.hasPermission(support, 'orders:write')).toBe(false);
+      expect(authService.hasPermission(support, 'discounts:write')).toBe(false);
+      expect(authService.hasPermission(admin, 'discounts:write')).toBe(true);
+      expect(authService.hasPermission(null, 'orders:read')).toBe(false);
+    });
+
+    test('should apply a role change to existing sessions', () => {
+      const { token, user } = register();
+      const admin = authService.ensureAdmin('admin@example.com', 'admin password');
+
+      authService.setRole(user.id, 'admin', admin.id);
+
+      expect(authService.getSessionUser(token).role).toBe('admin');
+    });
+
+    test('should reject unknown roles and changes to your own role', () => {
+      const admin = authService.ensureAdmin('admin@example.com', 'admin password');
+
+      expect(() => authService.setRole(admin.id, 'owner', 'someone')).toThrow('Invalid role: owner');
+      expect(() => authService.setRole('missing', 'support', admin.id)).toThrow('User not found');
+      expect(() => authService.setRole(admin.id, 'customer', admin.id)).toThrow('You can\'t change your own role');
+    });
+
+    test('should promote an existing account to admin without changing its password', () => {
+      const { user } = register();
+
+      const admin = authService.ensureAdmin('ada@example.com', 'ignored password');
+
+      expect(admin).toMatchObject({ id: user.id, role: 'admin' });
+      expect(() => authService.login('ada@example.com', 'correct horse')).not.toThrow();
+      expect(dataStore.sessions.size).toBe(2); // From register and login only
+    });
+  });
+
+  describe('sessions', () => {
+    test('should reject tokens with a forged or missing signature', () => {
+      const { token } = register();
+      const [sessionId] = token.split('.');
+
+      expect(authService.getSessionUser(`${sessionId}.${'A'.repeat(43)}`)).toBeNull();
+      expect(authService.getSessionUser(sessionId)).toBeNull();
+      expect(authService.getSessionUser(null)).toBeNull();
+    });
+
+    test('should end sessions on logout', () => {
+      const { token } = register();
+
+      authService.logout(token);
+
+      expect(authService.getSessionUser(token)).toBeNull();
+    });
+
+    test('should expire sessions after sessionTtlHours', () => {
+      const { token } = register();
+      const [sessionId] = token.split('.');
+      const session = dataStore.getSession(sessionId);
+      dataStore.saveSession({ ...session, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      expect(authService.getSessionUser(token)).toBeNull();
+      expect(dataStore.getSession(sessionId)).toBeUndefined();
+    });
+  });
+});
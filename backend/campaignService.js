@@ -0,0 +1,258 @@
+/**
+ * Campaign Service
+ * Generates batches of discount codes under a named campaign, exports them
+ * as CSV and revokes them together
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+const discountService = require("./discountService");
+const promotionService = require("./promotionService");
+
+// Most codes one campaign can generate
+const MAX_CAMPAIGN_SIZE = 10000;
+
+// Allowed number of random characters after the prefix
+const MIN_CODE_LENGTH = 6;
+const MAX_CODE_LENGTH = 16;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  "code",
+  "campaign",
+  "status",
+  "timesUsed",
+  "maxUses",
+  "expiresAt",
+  "revokedAt",
+];
+
+class CampaignService {
+  /**
+   * Generates a batch of discount codes that share a promotion and rules
+   * (admin function)
+   * @param {object} data - Campaign fields
+   * @param {string} data.name - Campaign name
+   * @param {number} data.count - Number of codes to generate
+   * @param {string} [data.prefix="DISC"] - Text before the dash in every code
+   * @param {number} [data.codeLength=8] - Random characters after the dash
+   * @param {string} [data.type="percentage"] - Promotion type, with its own
+   *   fields and scope (see promotionService.js)
+   * @param {string} [data.expiresAt] - Date after which the codes stop working
+   * @param {number} [data.minSubtotal] - Smallest cart subtotal, in the base currency
+   * @param {number} [data.maxUses=1] - Orders each code can be used on
+   * @returns {object} - Campaign with its code stats
+   */
+  createCampaign(data = {}) {
+    const { name, count, prefix = "DISC", codeLength = 8 } = data;
+
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error("Campaign name is required");
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CAMPAIGN_SIZE) {
+      throw new Error(
+        `count must be a whole number from 1 to ${MAX_CAMPAIGN_SIZE}`,
+      );
+    }
+    if (typeof prefix !== "string" || !/^[A-Za-z0-9]{2,12}$/.test(prefix)) {
+      throw new Error("Prefix must be 2-12 letters or numbers");
+    }
+    if (
+      !Number.isInteger(codeLength) ||
+      codeLength < MIN_CODE_LENGTH ||
+      codeLength > MAX_CODE_LENGTH
+    ) {
+      throw new Error(
+        `codeLength must be a whole number from ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}`,
+      );
+    }
+    if (data.userId !== undefined && data.userId !== null) {
+      throw new Error("Campaign codes can't be bound to a customer");
+    }
+
+    const promotion = promotionService.normalizePromotion(data);
+    const rules = discountService.normalizeRules({ ...data, userId: null });
+    const createdAt = new Date().toISOString();
+
+    const campaign = {
+      id: uuidv4(),
+      name: name.trim(),
+      prefix: prefix.toUpperCase(),
+      codeLength,
+      size: count,
+      ...promotion,
+      expiresAt: rules.expiresAt,
+      minSubtotal: rules.minSubtotal,
+      maxUses: rules.maxUses,
+      createdAt,
+      revokedAt: null,
+    };
+    dataStore.saveCampaign(campaign);
+
+    for (let i = 0; i < count; i++) {
+      const code = discountService.createUniqueCode(
+        campaign.prefix,
+        codeLength,
+      );
+      dataStore.createDiscountCode(code, {
+        code,
+        ...promotion,
+        generatedAt: createdAt,
+        used: false,
+        usedAt: null,
+        orderNumber: null,
+        ...rules,
+        timesUsed: 0,
+        campaignId: campaign.id,
+      });
+    }
+
+    return this.withStats(campaign);
+  }
+
+  /**
+   * Gets a campaign by ID
+   * @param {string} campaignId - Campaign identifier
+   * @returns {object} - Campaign with its code stats
+   */
+  getCampaign(campaignId) {
+    const campaign = dataStore.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error("Campaign not found");
+    }
+    return this.withStats(campaign);
+  }
+
+  /**
+   * Gets all campaigns (admin function)
+   * @returns {array} - Campaigns with their code stats, newest first
+   */
+  getAllCampaigns() {
+    return dataStore
+      .getAllCampaigns()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((campaign) => this.withStats(campaign));
+  }
+
+  /**
+   * Gets the discount codes generated for a campaign
+   * @param {string} campaignId - Campaign identifier
+   * @returns {array} - Discount codes
+   */
+  getCampaignCodes(campaignId) {
+    return dataStore
+      .getAllDiscountCodes()
+      .filter((discount) => discount.campaignId === campaignId);
+  }
+
+  /**
+   * Adds code counts to a campaign
+   * @param {object} campaign - Stored campaign
+   * @returns {object} - Campaign with stats: { codes, redeemed, redemptions, revoked }
+   */
+  withStats(campaign) {
+    const codes = this.getCampaignCodes(campaign.id);
+    return {
+      ...campaign,
+      stats: {
+        codes: codes.length,
+        // Codes used on at least one order
+        redeemed: codes.filter((discount) => dataStore.getTimesUsed(discount))
+          .length,
+        redemptions: codes.reduce(
+          (sum, discount) => sum + dataStore.getTimesUsed(discount),
+          0,
+        ),
+        revoked: codes.filter((discount) => discount.revokedAt).length,
+      },
+    };
+  }
+
+  /**
+   * Gets whether a campaign code can still be used
+   * @param {object} discount - Discount code
+   * @returns {string} - "revoked", "expired", "used" or "active"
+   */
+  getCodeStatus(discount) {
+    if (discount.revokedAt) {
+      return "revoked";
+    }
+    if (discount.expiresAt && Date.now() >= Date.parse(discount.expiresAt)) {
+      return "expired";
+    }
+    return discount.used ? "used" : "active";
+  }
+
+  /**
+   * Exports a campaign's codes as CSV (RFC 4180, one row per code)
+   * @param {string} campaignId - Campaign identifier
+   * @returns {string} - CSV with a header row
+   */
+  exportCampaignCsv(campaignId) {
+    const campaign = this.getCampaign(campaignId);
+    const rows = this.getCampaignCodes(campaignId).map((discount) => ({
+      code: discount.code,
+      campaign: campaign.name,
+      status: this.getCodeStatus(discount),
+      timesUsed: dataStore.getTimesUsed(discount),
+      maxUses: discount.maxUses,
+      expiresAt: discount.expiresAt,
+      revokedAt: discount.revokedAt,
+    }));
+
+    return [
+      CSV_COLUMNS.join(","),
+      ...rows.map((row) =>
+        CSV_COLUMNS.map((column) => this.toCsvField(row[column])).join(","),
+      ),
+    ]
+      .map((line) => `${line}\r\n`)
+      .join("");
+  }
+
+  /**
+   * Formats a value as a CSV field
+   * @param {*} value - Value (null and undefined become empty)
+   * @returns {string} - Field, quoted when it holds a comma, quote or newline
+   */
+  toCsvField(value) {
+    let field = value === null || value === undefined ? "" : String(value);
+    // Stop spreadsheets from running admin-entered text as a formula
+    if (/^[=+\-@]/.test(field)) {
+      field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }
+
+  /**
+   * Revokes every code in a campaign at once (admin function). Orders that
+   * already used a code keep their discount.
+   * @param {string} campaignId - Campaign identifier
+   * @returns {object} - { campaign, revokedCount }
+   */
+  revokeCampaign(campaignId) {
+    const campaign = dataStore.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error("Campaign not found");
+    }
+    if (campaign.revokedAt) {
+      throw new Error("Campaign has already been revoked");
+    }
+
+    const revokedAt = new Date().toISOString();
+    const codes = this.getCampaignCodes(campaignId).filter(
+      (discount) => !discount.revokedAt,
+    );
+    codes.forEach((discount) => {
+      dataStore.updateDiscountCode(discount.code, { ...discount, revokedAt });
+    });
+    dataStore.saveCampaign({ ...campaign, revokedAt });
+
+    return {
+      campaign: this.getCampaign(campaignId),
+      revokedCount: codes.length,
+    };
+  }
+}
+
+module.exports = new CampaignService();
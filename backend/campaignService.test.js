@@ -0,0 +1,112 @@
+/**
+ * Unit tests for Campaign Service
+ */
+
+const campaignService = require('./campaignService');
+const discountService = require('./discountService');
+const dataStore = require('./dataStore');
+
+describe('CampaignService', () => {
+  beforeEach(() => {
+    dataStore.discountCodes.clear();
+    dataStore.campaigns.clear();
+  });
+
+  describe('createCampaign', () => {
+    test('should generate unique codes with the prefix, length and shared rules', () => {
+      const campaign = campaignService.createCampaign({
+        name: 'Spring mailer',
+        count: 50,
+        prefix: 'spring',
+        codeLength: 6,
+        discountPercentage: 15,
+        expiresAt: '2099-06-01T00:00:00Z',
+        maxUses: 2,
+      });
+      const codes = campaignService.getCampaignCodes(campaign.id);
+
+      expect(campaign).toMatchObject({ name: 'Spring mailer', prefix: 'SPRING', size: 50, maxUses: 2 });
+      expect(campaign.stats).toEqual({ codes: 50, redeemed: 0, redemptions: 0, revoked: 0 });
+      expect(new Set(codes.map(discount => discount.code)).size).toBe(50);
+      codes.forEach(discount => {
+        expect(discount.code).toMatch(/^SPRING-[A-HJ-NP-Z2-9]{6}$/);
+        expect(discount).toMatchObject({
+          type: 'percentage',
+          discountPercentage: 15,
+          expiresAt: '2099-06-01T00:00:00.000Z',
+          maxUses: 2,
+          userId: null,
+          campaignId: campaign.id,
+        });
+      });
+      expect(discountService.validateDiscountCode(codes[0].code).isValid).toBe(true);
+    });
+
+    test('should validate the batch settings before generating anything', () => {
+      expect(() => campaignService.createCampaign({ count: 5, discountPercentage: 10 })).toThrow('Campaign name is required');
+      expect(() => campaignService.createCampaign({ name: 'Big', count: 10001, discountPercentage: 10 })).toThrow('count');
+      expect(() => campaignService.createCampaign({ name: 'Bad', count: 5, prefix: 'NO SPACES', discountPercentage: 10 }))
+        .toThrow('Prefix must be 2-12 letters or numbers');
+      expect(() => campaignService.createCampaign({ name: 'Short', count: 5, codeLength: 3, discountPercentage: 10 }))
+        .toThrow('codeLength');
+      expect(() => campaignService.createCampaign({ name: 'Mine', count: 5, userId: 'user-a', discountPercentage: 10 }))
+        .toThrow('can\'t be bound to a customer');
+      expect(() => campaignService.createCampaign({ name: 'Free', count: 5, discountPercentage: 0 })).toThrow('Discount percentage');
+
+      expect(dataStore.getAllDiscountCodes()).toHaveLength(0);
+      expect(campaignService.getAllCampaigns()).toHaveLength(0);
+    });
+  });
+
+  describe('exportCampaignCsv', () => {
+    test('should export one row per code with its status', () => {
+      const campaign = campaignService.createCampaign({ name: 'Fall, "VIP"', count: 2, discountPercentage: 10 });
+      const [used, unused] = campaignService.getCampaignCodes(campaign.id);
+      discountService.markAsUsed(used.code);
+
+      const lines = campaignService.exportCampaignCsv(campaign.id).split('\r\n');
+
+      expect(lines[0]).toBe('code,campaign,status,timesUsed,maxUses,expiresAt,revokedAt');
+      expect(lines.slice(1, 3)).toEqual([
+        `${used.code},"Fall, ""VIP""",used,1,1,,`,
+        `${unused.code},"Fall, ""VIP""",active,0,1,,`,
+      ]);
+      expect(lines[3]).toBe('');
+    });
+
+    test('should stop spreadsheets from running names as formulas', () => {
+      expect(campaignService.toCsvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(campaignService.toCsvField(null)).toBe('');
+    });
+  });
+
+  describe('revokeCampaign', () => {
+    test('should revoke every code in the campaign', () => {
+      const campaign = campaignService.createCampaign({ name: 'Leaked', count: 3, discountPercentage: 10 });
+      const other = discountService.createDiscountCode({ discountPercentage: 10 });
+
+      const result = campaignService.revokeCampaign(campaign.id);
+
+      expect(result.revokedCount).toBe(3);
+      expect(result.campaign.revokedAt).toBeTruthy();
+      expect(result.campaign.stats.revoked).toBe(3);
+      campaignService.getCampaignCodes(campaign.id).forEach(discount => {
+        expect(discountService.validateDiscountCode(discount.code)).toMatchObject({
+          isValid: false,
+          errorCode: 'DISCOUNT_CODE_REVOKED',
+        });
+      });
+      expect(discountService.validateDiscountCode(other.code).isValid).toBe(true);
+    });
+
+    test('should not revoke twice or reissue revoked codes', () => {
+      const campaign = campaignService.createCampaign({ name: 'Leaked', count: 1, discountPercentage: 10 });
+      const [discount] = campaignService.getCampaignCodes(campaign.id);
+      campaignService.revokeCampaign(campaign.id);
+
+      expect(() => campaignService.revokeCampaign(campaign.id)).toThrow('already been revoked');
+      expect(() => campaignService.revokeCampaign('nope')).toThrow('Campaign not found');
+      expect(() => discountService.reissueDiscountCode(discount.code)).toThrow('has been revoked');
+    });
+  });
+});
@@ -4,15 +4,34 @@
  */
 
 const dataStore = require("./dataStore");
+const productService = require("./productService");
+const reservationService = require("./reservationService");
+const taxService = require("./taxService");
+const currencyService = require("./currencyService");
+const promotionService = require("./promotionService");
+const money = require("./money");
 
 class CartService {
   th;
-  addToCart(userId, productId, quantity = 1) {
+  /**
+   * Adds an item to the cart
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @param {number} quantity - Quantity to add
+   * @param {string} [sku] - Variant SKU (required for products with variants)
+   * @returns {object} - Updated cart
+   */
+  addToCart(userId, productId, quantity = 1, sku = null) {
     // Validate inputs
     if (!userId || !productId) {
       throw new Error("User ID and Product ID are required");
     }
 
+    // Quantities come straight from request bodies, so "2" or 1.5 get here too
+    if (!Number.isInteger(quantity)) {
+      throw new Error("Quantity must be a whole number");
+    }
+
     if (quantity <= 0) {
       throw new Error("Quantity must be greater than 0");
     }
@@ -23,45 +42,69 @@ class CartService {
       throw new Error("Product not found");
     }
 
+    if (product.archived) {
+      throw new Error("Product is no longer available");
+    }
+
+    // Variant products are stocked and priced per SKU; units held in other
+    // shoppers' carts are not available
+    const variant = productService.resolveVariant(product, sku);
+    const stock = reservationService.getAvailableStock(
+      product,
+      variant,
+      userId,
+    );
+
     // Check stock availability
-    if (product.stock < quantity) {
-      throw new Error(
-        `Insufficient stock. Only ${product.stock} items available`,
-      );
+    if (stock < quantity) {
+      throw new Error(`Insufficient stock. Only ${stock} items available`);
     }
 
     // Get or create cart
     const cart = dataStore.getCart(userId);
 
     // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(
-      (item) => item.productId === productId,
-    );
+    const existingItemIndex = this.findItemIndex(cart, productId, sku);
+    let lineQuantity = quantity;
 
     if (existingItemIndex >= 0) {
       // Update quantity of existing item
       const newQuantity = cart.items[existingItemIndex].quantity + quantity;
 
       // Check total quantity against stock
-      if (product.stock < newQuantity) {
-        throw new Error(
-          `Insufficient stock. Only ${product.stock} items available`,
-        );
+      if (stock < newQuantity) {
+        throw new Error(`Insufficient stock. Only ${stock} items available`);
       }
 
       cart.items[existingItemIndex].quantity = newQuantity;
+      lineQuantity = newQuantity;
     } else {
       // Add new item to cart
-      cart.items.push({
+      const item = {
         productId,
         name: product.name,
-        price: product.price,
+        price: productService.getUnitPrice(
+          product,
+          variant,
+          this.getCurrency(cart),
+        ),
         quantity,
-      });
+      };
+      if (variant) {
+        item.sku = variant.sku;
+        item.options = { ...variant.options };
+      }
+      cart.items.push(item);
     }
 
-    // Update cart in store
+    // Update cart in store and hold the units
     dataStore.updateCart(userId, cart);
+    reservationService.reserve(
+      userId,
+      productId,
+      variant ? variant.sku : null,
+      lineQuantity,
+    );
 
     return this.getCart(userId);
   }
@@ -71,40 +114,43 @@ class CartService {
    * @param {string} userId - User identifier
    * @param {string} productId - Product identifier
    * @param {number} quantity - New quantity (0 to remove)
+   * @param {string} [sku] - Variant SKU
    * @returns {object} - Updated cart
    */
-  updateCartItem(userId, productId, quantity) {
+  updateCartItem(userId, productId, quantity, sku = null) {
     if (!userId || !productId) {
       throw new Error("User ID and Product ID are required");
     }
 
+    if (!Number.isInteger(quantity)) {
+      throw new Error("Quantity must be a whole number");
+    }
+
     if (quantity < 0) {
       throw new Error("Quantity cannot be negative");
     }
 
     const cart = dataStore.getCart(userId);
-    const itemIndex = cart.items.findIndex(
-      (item) => item.productId === productId,
-    );
+    const itemIndex = this.findItemIndex(cart, productId, sku);
 
     if (itemIndex < 0) {
       throw new Error("Item not found in cart");
     }
 
     if (quantity === 0) {
-      // Remove item from cart
+      // Remove item from cart and release its hold
       cart.items.splice(itemIndex, 1);
+      reservationService.release(userId, productId, sku);
     } else {
       // Check stock availability
-      const product = dataStore.getProduct(productId);
-      if (product.stock < quantity) {
-        throw new Error(
-          `Insufficient stock. Only ${product.stock} items available`,
-        );
+      const stock = this.getAvailableStock(cart.items[itemIndex], userId);
+      if (stock < quantity) {
+        throw new Error(`Insufficient stock. Only ${stock} items available`);
       }
 
-      // Update quantity
+      // Update quantity and hold
       cart.items[itemIndex].quantity = quantity;
+      reservationService.reserve(userId, productId, sku, quantity);
     }
 
     dataStore.updateCart(userId, cart);
@@ -115,32 +161,141 @@ class CartService {
    * Removes an item from cart
    * @param {string} userId - User identifier
    * @param {string} productId - Product identifier
+   * @param {string} [sku] - Variant SKU
    * @returns {object} - Updated cart
    */
-  removeFromCart(userId, productId) {
-    return this.updateCartItem(userId, productId, 0);
+  removeFromCart(userId, productId, sku = null) {
+    return this.updateCartItem(userId, productId, 0, sku);
+  }
+
+  /**
+   * Finds a cart line by product and variant
+   * @param {object} cart - Stored cart
+   * @param {string} productId - Product identifier
+   * @param {string} [sku] - Variant SKU
+   * @returns {number} - Index of the line or -1
+   */
+  findItemIndex(cart, productId, sku) {
+    return cart.items.findIndex(
+      (item) =>
+        item.productId === productId && (item.sku || null) === (sku || null),
+    );
   }
 
   /**
-   * Gets the user's cart with calculated totals
+   * Gets stock available to a shopper for a cart line's product or variant
+   * @param {object} item - Cart line
+   * @param {string} userId - Shopper whose own holds should not count
+   * @returns {number} - Units available (0 if the product or variant is gone)
+   */
+  getAvailableStock(item, userId) {
+    const product = dataStore.getProduct(item.productId);
+    if (!product) {
+      return 0;
+    }
+    const variant = item.sku
+      ? (product.variants || []).find((v) => v.sku === item.sku)
+      : null;
+    if (item.sku && !variant) {
+      return 0;
+    }
+    return reservationService.getAvailableStock(product, variant, userId);
+  }
+
+  /**
+   * Gets the currency a cart is priced in
+   * @param {object} cart - Stored cart
+   * @returns {string} - Currency code (carts saved before currencies existed use the base currency)
+   */
+  getCurrency(cart) {
+    return cart.currency || currencyService.getBaseCurrency();
+  }
+
+  /**
+   * Switches a cart to another currency and reprices its lines
+   * @param {string} userId - User identifier
+   * @param {string} currency - Currency code
+   * @returns {object} - Updated cart
+   */
+  setCurrency(userId, currency) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    const code = currencyService.normalizeCurrency(currency);
+    const cart = dataStore.getCart(userId);
+
+    const items = cart.items.map((item) => {
+      const product = dataStore.getProduct(item.productId);
+      const variant =
+        product && item.sku
+          ? (product.variants || []).find((v) => v.sku === item.sku)
+          : null;
+      if (!product || (item.sku && !variant)) {
+        throw new Error(
+          `Remove ${item.name} from your cart before changing currency`,
+        );
+      }
+      return {
+        ...item,
+        price: productService.getUnitPrice(product, variant, code),
+      };
+    });
+
+    dataStore.updateCart(userId, { ...cart, currency: code, items });
+    return this.getCart(userId);
+  }
+
+  /**
+   * Gets the user's cart with calculated totals and the automatic
+   * promotions it qualifies for
    * @param {string} userId - User identifier
-   * @returns {object} - Cart with totals
+   * @param {object} [destination] - { country, state? } to quote tax for
+   * @returns {object} - Cart with totals; `promotions` lists each applied
+   *   promotion and its savings
    */
-  getCart(userId) {
+  getCart(userId, destination = null) {
     const cart = dataStore.getCart(userId);
+    const currency = this.getCurrency(cart);
 
-    // Calculate totals
+    // Calculate totals in minor units so they never drift
     const subtotal = cart.items.reduce((sum, item) => {
-      return sum + item.price * item.quantity;
+      return sum + money.toMinor(item.price, currency) * item.quantity;
     }, 0);
 
     const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
 
+    const applied = promotionService.applyPromotions({
+      currency,
+      items: cart.items,
+      subtotal: money.toMajor(subtotal, currency),
+    });
+    const discount = money.toMinor(applied.discount, currency);
+
+    // Tax can only be quoted once we know where the order is going
+    const tax = destination
+      ? taxService.calculateTax(
+          cart.items,
+          applied.lines.map((line) => line.discount),
+          destination,
+          currency,
+        ).tax
+      : 0;
+
     return {
       userId: cart.userId,
+      currency,
       items: cart.items,
       totalItems,
-      subtotal: parseFloat(subtotal.toFixed(2)),
+      subtotal: money.toMajor(subtotal, currency),
+      promotions: applied.promotions,
+      discount: applied.discount,
+      freeShipping: applied.freeShipping,
+      tax,
+      total: money.toMajor(
+        subtotal - discount + money.toMinor(tax, currency),
+        currency,
+      ),
     };
   }
 
@@ -150,6 +305,7 @@ class CartService {
    */
   clearCart(userId) {
     dataStore.clearCart(userId);
+    reservationService.releaseAll(userId);
   }
 
   /**
@@ -170,10 +326,26 @@ class CartService {
       if (!product) {
         return { isValid: false, message: `Product ${item.name} not found` };
       }
-      if (product.stock < item.quantity) {
+      if (product.archived) {
+        return {
+          isValid: false,
+          message: `Product ${item.name} is no longer available`,
+        };
+      }
+      if (
+        item.sku &&
+        !(product.variants || []).some((v) => v.sku === item.sku)
+      ) {
+        return {
+          isValid: false,
+          message: `Variant ${item.sku} of ${item.name} is no longer available`,
+        };
+      }
+      const stock = this.getAvailableStock(item, userId);
+      if (stock < item.quantity) {
         return {
           isValid: false,
-          message: `Insufficient stock for ${item.name}. Only ${product.stock} available`,
+          message: `Insufficient stock for ${item.name}. Only ${stock} available`,
         };
       }
     }
@@ -3,6 +3,7 @@
  */
 
 const cartService = require('./cartService');
+const promotionService = require('./promotionService');
 const dataStore = require('./dataStore');
 
 describe('CartService', () => {
@@ -12,6 +13,7 @@ describe('CartService', () => {
   beforeEach(() => {
     // Clear carts before each test
     dataStore.carts.clear();
+    dataStore.reservations.clear();
   });
 
   describe('addToCart', () => {
@@ -59,6 +61,15 @@ describe('CartService', () => {
       }).toThrow('Quantity must be greater than 0');
     });
 
+    test('should throw error for quantities that are not whole numbers', () => {
+      ['2', 'abc', 1.5, null].forEach(quantity => {
+        expect(() => {
+          cartService.addToCart(testUserId, testProductId, quantity);
+        }).toThrow('Quantity must be a whole number');
+      });
+      expect(cartService.getCart(testUserId).items).toHaveLength(0);
+    });
+
     test('should calculate subtotal correctly', () => {
       cartService.addToCart(testUserId, '1', 2); // Laptop @ 1000
       const result = cartService.addToCart(testUserId, '2', 3); // Mouse @ 25
@@ -67,6 +78,63 @@ describe('CartService', () => {
     });
   });
 
+  describe('variants', () => {
+    afterEach(() => {
+      dataStore.getProduct('4').variants[1].stock = 5;
+    });
+
+    test('should require a variant for variant products', () => {
+      expect(() => {
+        cartService.addToCart(testUserId, '4', 1);
+      }).toThrow('Please select a variant');
+    });
+
+    test('should use the variant price override', () => {
+      const result = cartService.addToCart(testUserId, '4', 1, 'MON-27');
+
+      expect(result.items[0].sku).toBe('MON-27');
+      expect(result.items[0].options).toEqual({ Size: '27"' });
+      expect(result.items[0].price).toBe(380);
+    });
+
+    test('should keep separate lines per variant', () => {
+      cartService.addToCart(testUserId, '4', 1, 'MON-24');
+      cartService.addToCart(testUserId, '4', 1, 'MON-27');
+      const result = cartService.addToCart(testUserId, '4', 1, 'MON-24');
+
+      expect(result.items).toHaveLength(2);
+      expect(result.items[0].quantity).toBe(2);
+      expect(result.subtotal).toBe(980);
+    });
+
+    test('should check stock per variant', () => {
+      expect(() => {
+        cartService.addToCart(testUserId, '4', 6, 'MON-27');
+      }).toThrow('Insufficient stock. Only 5 items available');
+    });
+
+    test('should update and remove a specific variant line', () => {
+      cartService.addToCart(testUserId, '4', 1, 'MON-24');
+      cartService.addToCart(testUserId, '4', 1, 'MON-27');
+
+      let result = cartService.updateCartItem(testUserId, '4', 3, 'MON-27');
+      expect(result.items[1].quantity).toBe(3);
+
+      result = cartService.removeFromCart(testUserId, '4', 'MON-24');
+      expect(result.items).toHaveLength(1);
+      expect(result.items[0].sku).toBe('MON-27');
+    });
+
+    test('should detect insufficient variant stock on validation', () => {
+      cartService.addToCart(testUserId, '4', 2, 'MON-27');
+      dataStore.getProduct('4').variants[1].stock = 1;
+
+      const result = cartService.validateCart(testUserId);
+      expect(result.isValid).toBe(false);
+      expect(result.message).toContain('Only 1 available');
+    });
+  });
+
   describe('updateCartItem', () => {
     test('should update item quantity', () => {
       cartService.addToCart(testUserId, testProductId, 2);
@@ -94,6 +162,14 @@ describe('CartService', () => {
         cartService.updateCartItem(testUserId, testProductId, -1);
       }).toThrow('Quantity cannot be negative');
     });
+
+    test('should throw error for quantities that are not whole numbers', () => {
+      cartService.addToCart(testUserId, testProductId, 2);
+      expect(() => {
+        cartService.updateCartItem(testUserId, testProductId, 'abc');
+      }).toThrow('Quantity must be a whole number');
+      expect(cartService.getCart(testUserId).items[0].quantity).toBe(2);
+    });
   });
 
   describe('removeFromCart', () => {
@@ -123,6 +199,65 @@ describe('CartService', () => {
       expect(result.items).toHaveLength(1);
       expect(result.totalItems).toBe(2);
     });
+
+    test('should quote tax when given a destination', () => {
+      cartService.addToCart(testUserId, '2', 2); // Mouse @ 25
+      const result = cartService.getCart(testUserId, { country: 'US', state: 'NY' });
+
+      expect(result.subtotal).toBe(50);
+      expect(result.tax).toBe(2);
+      expect(result.total).toBe(52);
+    });
+
+    test('should list automatic promotions and take them off the total', () => {
+      dataStore.promotions.clear();
+      const promotion = promotionService.createPromotion({ name: 'Mouse week', discountPercentage: 20, productIds: ['2'] });
+      cartService.addToCart(testUserId, '2', 2); // Mouse @ 25
+      cartService.addToCart(testUserId, testProductId, 1);
+
+      const result = cartService.getCart(testUserId, { country: 'US', state: 'NY' });
+
+      expect(result.promotions).toEqual([
+        { id: promotion.id, name: 'Mouse week', type: 'percentage', savings: 10, freeShipping: false },
+      ]);
+      expect(result.discount).toBe(10);
+      expect(result.tax).toBe(41.6); // 4% of 1040
+      expect(result.total).toBe(1081.6);
+
+      dataStore.promotions.clear();
+    });
+  });
+
+  describe('setCurrency', () => {
+    afterEach(() => {
+      delete dataStore.getProduct('2').prices;
+    });
+
+    test('should reprice items at the exchange rate or price list', () => {
+      dataStore.getProduct('2').prices = { EUR: 24.99 };
+      cartService.addToCart(testUserId, testProductId, 1); // Laptop @ 1000
+      cartService.addToCart(testUserId, '2', 2); // Mouse @ 25
+
+      const result = cartService.setCurrency(testUserId, 'eur');
+
+      expect(result.currency).toBe('EUR');
+      expect(result.items[0].price).toBe(920);
+      expect(result.items[1].price).toBe(24.99);
+      expect(result.subtotal).toBe(969.98);
+    });
+
+    test('should keep the currency for new items and after clearing', () => {
+      cartService.setCurrency(testUserId, 'JPY');
+      const result = cartService.addToCart(testUserId, '2', 1);
+
+      expect(result.items[0].price).toBe(3750);
+      cartService.clearCart(testUserId);
+      expect(cartService.getCart(testUserId).currency).toBe('JPY');
+    });
+
+    test('should reject unsupported currencies', () => {
+      expect(() => cartService.setCurrency(testUserId, 'XYZ')).toThrow('Unsupported currency');
+    });
   });
 
   describe('validateCart', () => {
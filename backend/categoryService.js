@@ -0,0 +1,125 @@
+/**
+ * Category Service
+ * Handles the hierarchical product category tree
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+
+class CategoryService {
+  /**
+   * Gets a category by ID
+   * @param {string} categoryId - Category identifier
+   * @returns {object} - Category details
+   */
+  getCategory(categoryId) {
+    const category = dataStore.getCategory(categoryId);
+    if (!category) {
+      throw new Error("Category not found");
+    }
+    return category;
+  }
+
+  /**
+   * Builds the category tree with product counts.
+   * Counts include products in subcategories.
+   * @returns {array} - Top-level categories, each with nested `children`
+   */
+  getCategoryTree() {
+    const categories = dataStore.getAllCategories();
+    const products = dataStore
+      .getAllProducts()
+      .filter((product) => !product.archived);
+
+    const buildNode = (category) => {
+      const descendantIds = this.getDescendantIds(category.id);
+      return {
+        ...category,
+        productCount: products.filter((product) =>
+          descendantIds.includes(product.categoryId),
+        ).length,
+        children: categories
+          .filter((child) => child.parentId === category.id)
+          .map(buildNode),
+      };
+    };
+
+    return categories.filter((category) => !category.parentId).map(buildNode);
+  }
+
+  /**
+   * Gets a category's ID plus the IDs of all its subcategories
+   * @param {string} categoryId - Category identifier
+   * @returns {array} - Category IDs
+   */
+  getDescendantIds(categoryId) {
+    const ids = [categoryId];
+    const categories = dataStore.getAllCategories();
+
+    for (let i = 0; i < ids.length; i++) {
+      categories
+        .filter((category) => category.parentId === ids[i])
+        .forEach((category) => ids.push(category.id));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Creates a category
+   * @param {object} data - Category fields
+   * @param {string} data.name - Display name
+   * @param {string} [data.parentId] - Parent category (omit for top level)
+   * @returns {object} - Created category
+   */
+  createCategory({ name, parentId = null } = {}) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error("Category name is required");
+    }
+
+    if (parentId) {
+      this.getCategory(parentId);
+    }
+
+    const siblingExists = dataStore
+      .getAllCategories()
+      .some(
+        (category) =>
+          category.parentId === parentId &&
+          category.name.toLowerCase() === name.trim().toLowerCase(),
+      );
+    if (siblingExists) {
+      throw new Error(`Category ${name.trim()} already exists`);
+    }
+
+    const category = { id: uuidv4(), name: name.trim(), parentId };
+    dataStore.saveCategory(category);
+    return category;
+  }
+
+  /**
+   * Deletes an empty category
+   * @param {string} categoryId - Category identifier
+   */
+  deleteCategory(categoryId) {
+    this.getCategory(categoryId);
+
+    const hasChildren = dataStore
+      .getAllCategories()
+      .some((category) => category.parentId === categoryId);
+    if (hasChildren) {
+      throw new Error("Category has subcategories");
+    }
+
+    const hasProducts = dataStore
+      .getAllProducts()
+      .some((product) => product.categoryId === categoryId);
+    if (hasProducts) {
+      throw new Error("Category still has products");
+    }
+
+    dataStore.deleteCategory(categoryId);
+  }
+}
+
+module.exports = new CategoryService();
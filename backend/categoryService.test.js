@@ -0,0 +1,148 @@
+/**
+ * Unit tests for Category Service
+ */
+
+const categoryService = require('./categoryService');
+const productService = require('./productService');
+const dataStore = require('./dataStore');
+
+describe('CategoryService', () => {
+  const seedCategories = dataStore.getAllCategories().map(category => ({ ...category }));
+  const seedProducts = JSON.parse(JSON.stringify(dataStore.getAllProducts()));
+
+  beforeEach(() => {
+    // Restore the seed catalog before each test
+    dataStore.categories.clear();
+    seedCategories.forEach(category => dataStore.categories.set(category.id, { ...category }));
+    dataStore.products.clear();
+    seedProducts.forEach(product => dataStore.products.set(product.id, JSON.parse(JSON.stringify(product))));
+  });
+
+  describe('getCategoryTree', () => {
+    test('should nest subcategories under their parent', () => {
+      const tree = categoryService.getCategoryTree();
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0].id).toBe('electronics');
+      expect(tree[0].children.map(c => c.id)).toEqual(['computers', 'peripherals', 'audio']);
+    });
+
+    test('should count products including subcategories', () => {
+      const tree = categoryService.getCategoryTree();
+
+      expect(tree[0].productCount).toBe(5);
+      expect(tree[0].children[0].productCount).toBe(2); // Laptop, Monitor
+    });
+
+    test('should not count archived products', () => {
+      productService.archiveProduct('1');
+
+      const tree = categoryService.getCategoryTree();
+      expect(tree[0].children[0].productCount).toBe(1);
+    });
+  });
+
+  describe('getDescendantIds', () => {
+    test('should include nested subcategories', () => {
+      const laptops = categoryService.createCategory({ name: 'Laptops', parentId: 'computers' });
+
+      const ids = categoryService.getDescendantIds('electronics');
+      expect(ids).toEqual(expect.arrayContaining(['electronics', 'computers', laptops.id]));
+    });
+
+    test('should return only the category for leaves', () => {
+      expect(categoryService.getDescendantIds('audio')).toEqual(['audio']);
+    });
+  });
+
+  describe('createCategory', () => {
+    test('should create a top-level category', () => {
+      const category = categoryService.createCategory({ name: ' Furniture ' });
+
+      expect(category.name).toBe('Furniture');
+      expect(category.parentId).toBeNull();
+      expect(dataStore.getCategory(category.id)).toBe(category);
+    });
+
+    test('should reject missing name', () => {
+      expect(() => categoryService.createCategory({})).toThrow('Category name is required');
+    });
+
+    test('should reject unknown parent', () => {
+      expect(() => {
+        categoryService.createCategory({ name: 'Desks', parentId: 'missing' });
+      }).toThrow('Category not found');
+    });
+
+    test('should reject duplicate sibling names', () => {
+      expect(() => {
+        categoryService.createCategory({ name: 'audio', parentId: 'electronics' });
+      }).toThrow('Category audio already exists');
+    });
+  });
+
+  describe('deleteCategory', () => {
+    test('should delete an empty category', () => {
+      const category = categoryService.createCategory({ name: 'Furniture' });
+      categoryService.deleteCategory(category.id);
+
+      expect(dataStore.getCategory(category.id)).toBeUndefined();
+    });
+
+    test('should refuse to delete a category with subcategories', () => {
+      expect(() => categoryService.deleteCategory('electronics')).toThrow('Category has subcategories');
+    });
+
+    test('should refuse to delete a category with products', () => {
+      expect(() => categoryService.deleteCategory('audio')).toThrow('Category still has products');
+    });
+  });
+
+  describe('product filtering', () => {
+    test('should list products in a category and its subcategories', () => {
+      const result = productService.searchProducts({ category: 'electronics' });
+      expect(result.pagination.total).toBe(5);
+
+      const computers = productService.searchProducts({ category: 'computers' });
+      expect(computers.products.map(p => p.name)).toEqual(['Laptop', 'Monitor']);
+    });
+
+    test('should filter by tag', () => {
+      const result = productService.searchProducts({ tag: 'Wireless' });
+      expect(result.products.map(p => p.name)).toEqual(['Mouse', 'Headphones']);
+    });
+
+    test('should reject unknown category filter', () => {
+      expect(() => productService.searchProducts({ category: 'missing' })).toThrow('Category not found');
+    });
+
+    test('should assign category and normalized tags on create', () => {
+      const product = productService.createProduct({
+        name: 'Speaker',
+        price: 60,
+        stock: 5,
+        categoryId: 'audio',
+        tags: ['Wireless', ' wireless ', 'Bluetooth'],
+      });
+
+      expect(product.categoryId).toBe('audio');
+      expect(product.tags).toEqual(['wireless', 'bluetooth']);
+    });
+
+    test('should validate category and tags', () => {
+      expect(() => {
+        productService.createProduct({ name: 'X', price: 1, stock: 1, categoryId: 'missing' });
+      }).toThrow('Category not found');
+      expect(() => {
+        productService.updateProduct('1', { tags: 'portable' });
+      }).toThrow('Tags must be an array of non-empty strings');
+    });
+
+    test('should move a product to another category', () => {
+      const product = productService.updateProduct('1', { categoryId: 'peripherals', tags: [] });
+
+      expect(product.categoryId).toBe('peripherals');
+      expect(product.tags).toEqual([]);
+    });
+  });
+});
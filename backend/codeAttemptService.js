@@ -0,0 +1,265 @@
+/**
+ * Code Attempt Service
+ * Slows down guessing of discount codes: every attempt to use a code takes
+ * a token from the user's and the IP address's bucket (see rateLimiter.js),
+ * and repeated invalid codes lock them out for longer each time
+ */
+
+const dataStore = require("./dataStore");
+const { createRateLimiter } = require("./rateLimiter");
+
+// What a guess gets back: a code that doesn't exist, or someone else's.
+// Other rejections (expired, minimum subtotal, ...) come from real codes
+// and don't count towards a lockout.
+const GUESS_ERRORS = ["DISCOUNT_CODE_NOT_FOUND", "DISCOUNT_CODE_WRONG_USER"];
+
+// Failures and lockouts are forgotten after a day without either
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Blocked attempts kept for the admin report; older ones are only counted
+const MAX_LOGGED_ATTEMPTS = 500;
+
+// Past this many tracked keys, forgotten ones are dropped
+const PRUNE_THRESHOLD = 10000;
+
+class CodeAttemptService {
+  /**
+   * @param {object} limiter - Rate limiter
+   */
+  constructor(limiter) {
+    this.limiter = limiter;
+    // key -> { failures, lockouts, lockedUntil, lastFailureAt }
+    this.failures = new Map();
+    this.blockedAttempts = [];
+    this.blockedCounts = { rateLimited: 0, lockedOut: 0 };
+  }
+
+  /**
+   * Counts an attempt to use a discount code. Throws, with `code` set to
+   * DISCOUNT_CODE_LOCKED or DISCOUNT_CODE_RATE_LIMITED and `retryAfter` in
+   * seconds, when the attempt is not allowed.
+   * @param {object} actor - Who is trying the code
+   * @param {string} actor.userId - Signed-in user
+   * @param {string} [actor.ip] - Client IP address
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  checkAttempt(actor, now = Date.now()) {
+    const limits = dataStore.config.discountCodeLimits;
+    const keys = this.getKeys(actor);
+
+    // Lockouts first, so attempts made while locked out don't use up tokens
+    const lockedUntil = Math.max(
+      0,
+      ...keys.map((key) => this.getEntry(key, now).lockedUntil),
+    );
+    if (lockedUntil > now) {
+      this.block(actor, "DISCOUNT_CODE_LOCKED", lockedUntil - now, now);
+    }
+
+    for (const key of keys) {
+      const { allowed, retryAfterMs } = this.limiter.take(
+        key,
+        { capacity: limits.burst, refillPerMinute: limits.perMinute },
+        now,
+      );
+      if (!allowed) {
+        this.block(actor, "DISCOUNT_CODE_RATE_LIMITED", retryAfterMs, now);
+      }
+    }
+  }
+
+  /**
+   * Records how an attempt went. Each invalid code counts against the user
+   * and the IP address; reaching maxFailures locks them out, for twice as
+   * long as the previous lockout.
+   * @param {object} actor - { userId, ip? } as for checkAttempt()
+   * @param {string} [errorCode] - Why the code was refused, if it was
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  recordResult(actor, errorCode, now = Date.now()) {
+    if (!GUESS_ERRORS.includes(errorCode)) {
+      return;
+    }
+    if (this.failures.size > PRUNE_THRESHOLD) {
+      this.prune(now);
+    }
+
+    const limits = dataStore.config.discountCodeLimits;
+    this.getKeys(actor).forEach((key) => {
+      const entry = { ...this.getEntry(key, now), lastFailureAt: now };
+      entry.failures += 1;
+      if (entry.failures >= limits.maxFailures) {
+        entry.failures = 0;
+        entry.lockouts += 1;
+        const minutes = Math.min(
+          limits.lockoutMinutes * 2 ** (entry.lockouts - 1),
+          limits.maxLockoutMinutes,
+        );
+        entry.lockedUntil = now + minutes * 60 * 1000;
+      }
+      this.failures.set(key, entry);
+    });
+  }
+
+  /**
+   * Gets blocked attempts and current lockouts (admin function)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {object} - { summary, lockouts, recentAttempts }
+   */
+  getReport(now = Date.now()) {
+    const lockouts = Array.from(this.failures.entries())
+      .filter(([, entry]) => entry.lockedUntil > now)
+      .sort(([, a], [, b]) => b.lockedUntil - a.lockedUntil)
+      .map(([key, entry]) => ({
+        key,
+        lockedUntil: new Date(entry.lockedUntil).toISOString(),
+        lockouts: entry.lockouts,
+      }));
+
+    return {
+      summary: this.getSummary(now),
+      lockouts,
+      recentAttempts: this.blockedAttempts.slice().reverse(),
+    };
+  }
+
+  /**
+   * Counts blocked attempts since the server started, for the stats
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {object} - { total, rateLimited, lockedOut, activeLockouts }
+   */
+  getSummary(now = Date.now()) {
+    const { rateLimited, lockedOut } = this.blockedCounts;
+    return {
+      total: rateLimited + lockedOut,
+      rateLimited,
+      lockedOut,
+      activeLockouts: Array.from(this.failures.values()).filter(
+        (entry) => entry.lockedUntil > now,
+      ).length,
+    };
+  }
+
+  /**
+   * Validates changes to the limits and merges them into the current ones
+   * @param {object} changes - Any of burst, perMinute, maxFailures,
+   *   lockoutMinutes and maxLockoutMinutes
+   * @returns {object} - Limits as they will be stored
+   */
+  normalizeLimits(changes) {
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      throw new Error("discountCodeLimits must be an object");
+    }
+
+    const limits = { ...dataStore.config.discountCodeLimits };
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(limits, key)) {
+        throw new Error(
+          `Unknown discount code limit: ${key}. Must be one of: ${Object.keys(limits).join(", ")}`,
+        );
+      }
+      if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`discountCodeLimits.${key} must be a positive number`);
+      }
+      limits[key] = value;
+    });
+
+    if (
+      !Number.isInteger(limits.burst) ||
+      !Number.isInteger(limits.maxFailures)
+    ) {
+      throw new Error("burst and maxFailures must be whole numbers");
+    }
+    if (limits.maxLockoutMinutes < limits.lockoutMinutes) {
+      throw new Error("maxLockoutMinutes can't be less than lockoutMinutes");
+    }
+    return limits;
+  }
+
+  /**
+   * Logs a blocked attempt and throws the error the customer sees
+   * @param {object} actor - { userId, ip? }
+   * @param {string} code - DISCOUNT_CODE_LOCKED or DISCOUNT_CODE_RATE_LIMITED
+   * @param {number} waitMs - How long until the next attempt is allowed
+   * @param {number} now - Current time in milliseconds
+   */
+  block(actor, code, waitMs, now) {
+    const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    const locked = code === "DISCOUNT_CODE_LOCKED";
+
+    this.blockedCounts[locked ? "lockedOut" : "rateLimited"] += 1;
+    this.blockedAttempts.push({
+      at: new Date(now).toISOString(),
+      userId: actor.userId,
+      ip: actor.ip || null,
+      errorCode: code,
+      retryAfter,
+    });
+    if (this.blockedAttempts.length > MAX_LOGGED_ATTEMPTS) {
+      this.blockedAttempts.shift();
+    }
+
+    const [amount, unit] =
+      retryAfter < 60
+        ? [retryAfter, "second"]
+        : [Math.ceil(retryAfter / 60), "minute"];
+    const wait = `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+    const error = new Error(
+      locked
+        ? `Too many invalid discount codes. Try again in ${wait}`
+        : `Too many discount code attempts. Try again in ${wait}`,
+    );
+    error.code = code;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  /**
+   * Gets the keys an actor's attempts are limited by
+   * @param {object} actor - { userId, ip? }
+   * @returns {array} - "user:<id>" and, when known, "ip:<address>"
+   */
+  getKeys({ userId, ip = null }) {
+    return [`user:${userId}`, ip && `ip:${ip}`].filter(Boolean);
+  }
+
+  /**
+   * Gets a key's failures, starting over once they are forgotten
+   * @param {string} key - Key from getKeys()
+   * @param {number} now - Current time in milliseconds
+   * @returns {object} - { failures, lockouts, lockedUntil, lastFailureAt }
+   */
+  getEntry(key, now) {
+    const entry = this.failures.get(key);
+    return entry && !this.isForgotten(entry, now)
+      ? entry
+      : { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+  }
+
+  /**
+   * Checks whether a key has gone a day without failures or lockouts
+   * @param {object} entry - Entry from getEntry()
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - Whether it can be forgotten
+   */
+  isForgotten(entry, now) {
+    return (
+      now - Math.max(entry.lastFailureAt, entry.lockedUntil) >= FORGET_AFTER_MS
+    );
+  }
+
+  /**
+   * Drops forgotten entries
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    this.failures.forEach((entry, key) => {
+      if (this.isForgotten(entry, now)) {
+        this.failures.delete(key);
+      }
+    });
+  }
+}
+
+// Export singleton instance backed by the configured rate limiter
+module.exports = new CodeAttemptService(createRateLimiter(process.env));
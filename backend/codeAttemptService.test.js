@@ -0,0 +1,161 @@
+/**
+ * Unit tests for Code Attempt Service
+ */
+
+const codeAttemptService = require('./codeAttemptService');
+const { MemoryTokenBucketLimiter } = require('./rateLimiter');
+const dataStore = require('./dataStore');
+
+describe('CodeAttemptService', () => {
+  const { discountCodeLimits } = dataStore.config;
+  const minute = 60 * 1000;
+  const alice = { userId: 'user-a', ip: '10.0.0.1' };
+
+  const attempt = (actor, now, errorCode = 'DISCOUNT_CODE_NOT_FOUND') => {
+    codeAttemptService.checkAttempt(actor, now);
+    codeAttemptService.recordResult(actor, errorCode, now);
+  };
+
+  const blockedWith = (actor, now) => {
+    try {
+      codeAttemptService.checkAttempt(actor, now);
+      return null;
+    } catch (error) {
+      return { code: error.code, retryAfter: error.retryAfter, message: error.message };
+    }
+  };
+
+  beforeEach(() => {
+    codeAttemptService.limiter = new MemoryTokenBucketLimiter();
+    codeAttemptService.failures.clear();
+    codeAttemptService.blockedAttempts = [];
+    codeAttemptService.blockedCounts = { rateLimited: 0, lockedOut: 0 };
+    dataStore.updateConfig({
+      discountCodeLimits: { burst: 10, perMinute: 5, maxFailures: 5, lockoutMinutes: 1, maxLockoutMinutes: 1440 },
+    });
+  });
+
+  afterEach(() => {
+    dataStore.updateConfig({ discountCodeLimits });
+  });
+
+  describe('rate limiting', () => {
+    test('should refuse attempts past the burst until tokens refill', () => {
+      for (let i = 0; i < 10; i++) {
+        attempt(alice, 0, null);
+      }
+
+      expect(blockedWith(alice, 0)).toEqual({
+        code: 'DISCOUNT_CODE_RATE_LIMITED',
+        retryAfter: 12,
+        message: 'Too many discount code attempts. Try again in 12 seconds',
+      });
+      expect(blockedWith(alice, 12000)).toBeNull();
+    });
+
+    test('should limit each IP address across users', () => {
+      for (let i = 0; i < 10; i++) {
+        attempt({ userId: `user-${i}`, ip: '10.0.0.1' }, 0, null);
+      }
+
+      expect(blockedWith({ userId: 'user-new', ip: '10.0.0.1' }, 0).code).toBe('DISCOUNT_CODE_RATE_LIMITED');
+      expect(blockedWith({ userId: 'user-new', ip: '10.0.0.2' }, 0)).toBeNull();
+    });
+  });
+
+  describe('lockouts', () => {
+    test('should lock out after maxFailures invalid codes, twice as long each time', () => {
+      for (let i = 0; i < 5; i++) {
+        attempt(alice, 0);
+      }
+      expect(blockedWith(alice, 0)).toMatchObject({ code: 'DISCOUNT_CODE_LOCKED', retryAfter: 60 });
+      expect(blockedWith(alice, 0).message).toBe('Too many invalid discount codes. Try again in 1 minute');
+
+      for (let i = 0; i < 5; i++) {
+        attempt(alice, minute);
+      }
+      expect(blockedWith(alice, minute)).toMatchObject({ code: 'DISCOUNT_CODE_LOCKED', retryAfter: 120 });
+      expect(blockedWith(alice, 3 * minute)).toBeNull();
+    });
+
+    test('should cap lockouts at maxLockoutMinutes', () => {
+      dataStore.updateConfig({ discountCodeLimits: { ...dataStore.config.discountCodeLimits, maxLockoutMinutes: 3 } });
+      let now = 0;
+      for (let lockout = 0; lockout < 4; lockout++) {
+        for (let i = 0; i < 5; i++) {
+          attempt(alice, now);
+        }
+        now += 60 * minute;
+      }
+
+      const [lockout] = codeAttemptService.getReport(now - 60 * minute).lockouts;
+      expect(lockout).toEqual({ key: 'user:user-a', lockedUntil: new Date(now - 57 * minute).toISOString(), lockouts: 4 });
+    });
+
+    test('should lock out the IP address for other users too', () => {
+      for (let i = 0; i < 5; i++) {
+        attempt(alice, 0);
+      }
+
+      expect(blockedWith({ userId: 'user-b', ip: '10.0.0.1' }, 0).code).toBe('DISCOUNT_CODE_LOCKED');
+      expect(blockedWith({ userId: 'user-b', ip: '10.0.0.2' }, 0)).toBeNull();
+    });
+
+    test('should only count codes that could be guesses', () => {
+      for (let i = 0; i < 5; i++) {
+        attempt(alice, 0, 'DISCOUNT_CODE_EXPIRED');
+        attempt(alice, 0, 'DISCOUNT_CODE_MIN_SUBTOTAL_NOT_MET');
+      }
+
+      expect(codeAttemptService.getSummary(0).activeLockouts).toBe(0);
+      attempt({ userId: 'user-b' }, 0, 'DISCOUNT_CODE_WRONG_USER');
+      expect(codeAttemptService.failures.get('user:user-b').failures).toBe(1);
+    });
+
+    test('should forget failures after a day without any', () => {
+      for (let i = 0; i < 4; i++) {
+        attempt(alice, 0);
+      }
+      const nextDay = 24 * 60 * minute;
+
+      attempt(alice, nextDay);
+
+      expect(codeAttemptService.failures.get('user:user-a')).toMatchObject({ failures: 1, lockouts: 0 });
+    });
+  });
+
+  describe('getReport', () => {
+    test('should list blocked attempts newest first with current lockouts', () => {
+      for (let i = 0; i < 5; i++) {
+        attempt(alice, 0);
+      }
+      blockedWith(alice, 1000);
+      blockedWith(alice, 2000);
+
+      const report = codeAttemptService.getReport(2000);
+
+      expect(report.summary).toEqual({ total: 2, rateLimited: 0, lockedOut: 2, activeLockouts: 2 });
+      expect(report.lockouts.map(lockout => lockout.key).sort()).toEqual(['ip:10.0.0.1', 'user:user-a']);
+      expect(report.recentAttempts).toEqual([
+        { at: new Date(2000).toISOString(), userId: 'user-a', ip: '10.0.0.1', errorCode: 'DISCOUNT_CODE_LOCKED', retryAfter: 58 },
+        { at: new Date(1000).toISOString(), userId: 'user-a', ip: '10.0.0.1', errorCode: 'DISCOUNT_CODE_LOCKED', retryAfter: 59 },
+      ]);
+    });
+  });
+
+  describe('normalizeLimits', () => {
+    test('should merge changes into the current limits', () => {
+      expect(codeAttemptService.normalizeLimits({ perMinute: 2 })).toEqual({
+        burst: 10, perMinute: 2, maxFailures: 5, lockoutMinutes: 1, maxLockoutMinutes: 1440,
+      });
+    });
+
+    test('should reject bad limits', () => {
+      expect(() => codeAttemptService.normalizeLimits({ burst: 0 })).toThrow('discountCodeLimits.burst must be a positive number');
+      expect(() => codeAttemptService.normalizeLimits({ maxFailures: 2.5 })).toThrow('burst and maxFailures must be whole numbers');
+      expect(() => codeAttemptService.normalizeLimits({ lockoutMinutes: 2000 }))
+        .toThrow('maxLockoutMinutes can\'t be less than lockoutMinutes');
+      expect(() => codeAttemptService.normalizeLimits({ window: 5 })).toThrow('Unknown discount code limit: window');
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Config Service
+ * Reads and changes store configuration at runtime, keeping a versioned
+ * history of every change that can be rolled back
+ */
+
+const dataStore = require("./dataStore");
+const currencyService = require("./currencyService");
+const shippingService = require("./shippingService");
+const taxService = require("./taxService");
+const rewardService = require("./rewardService");
+const codeAttemptService = require("./codeAttemptService");
+
+// Settings that can be changed at runtime, each with a function that
+// validates a new value and returns it as it will be stored
+const SETTINGS = {
+  rewardStrategy: (value) => {
+    rewardService.assertStrategy(value);
+    return value;
+  },
+  // Merged into each strategy's current settings, as for rewardService.configure
+  rewardStrategies: (value) =>
+    rewardService.normalizeConfig({ strategies: value }).rewardStrategies,
+  reservationTtlMinutes: (value) =>
+    positiveNumber("reservationTtlMinutes", value),
+  idempotencyKeyTtlHours: (value) =>
+    positiveNumber("idempotencyKeyTtlHours", value),
+  sessionTtlHours: (value) => positiveNumber("sessionTtlHours", value),
+  // Merged into the current limits, as for rewardStrategies
+  discountCodeLimits: (value) => codeAttemptService.normalizeLimits(value),
+  exchangeRates: (value) => {
+    assertObject("exchangeRates", value);
+    return Object.entries(value).reduce((rates, [currency, rate]) => {
+      rates[currencyService.validateExchangeRate(currency, rate)] = rate;
+      return rates;
+    }, {});
+  },
+  shippingMethods: (value) => {
+    if (!Array.isArray(value)) {
+      throw new Error("shippingMethods must be an array");
+    }
+    const methods = value.map((method) =>
+      shippingService.normalizeShippingMethod(method),
+    );
+    if (new Set(methods.map((method) => method.id)).size < methods.length) {
+      throw new Error("Shipping method IDs must be unique");
+    }
+    return methods;
+  },
+  taxRates: (value) => {
+    assertObject("taxRates", value);
+    return Object.entries(value).reduce((taxRates, [country, regions]) => {
+      assertObject(`taxRates.${country}`, regions);
+      Object.entries(regions).forEach(([state, rates]) => {
+        const region = taxService.normalizeDestination({
+          country,
+          state: state === "*" ? null : state,
+        });
+        taxService.validateRates(rates);
+        taxRates[region.country] = {
+          ...taxRates[region.country],
+          [region.state || "*"]: { ...rates },
+        };
+      });
+      return taxRates;
+    }, {});
+  },
+};
+
+/**
+ * Throws unless a value is a plain object
+ * @param {string} name - Setting name for the error message
+ * @param {*} value - Value to check
+ */
+function assertObject(name, value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${name} must be an object`);
+  }
+}
+
+/**
+ * Throws unless a value is a positive number
+ * @param {string} name - Setting name for the error message
+ * @param {*} value - Value to check
+ * @returns {number} - The value
+ */
+function positiveNumber(name, value) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return value;
+}
+
+class ConfigService {
+  /**
+   * Gets the current configuration (admin function)
+   * @returns {object} - { version, config }
+   */
+  getConfig() {
+    return {
+      version: this.getCurrentVersion().version,
+      config: dataStore.config,
+    };
+  }
+
+  /**
+   * Gets the latest config version
+   * @returns {object} - Config version
+   */
+  getCurrentVersion() {
+    const versions = dataStore.getAllConfigVersions();
+    return versions[versions.length - 1];
+  }
+
+  /**
+   * Changes settings after validating all of them; nothing is changed if
+   * any value is invalid (admin function)
+   * @param {object} changes - setting -> new value (see SETTINGS)
+   * @param {object} audit - Who made the change and why
+   * @param {string} audit.changedBy - Admin making the change
+   * @param {string} [audit.reason] - Why the change was made
+   * @returns {object} - New config version
+   */
+  updateConfig(changes, audit = {}) {
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      throw new Error("changes must be an object");
+    }
+    if (!Object.keys(changes).length) {
+      throw new Error("No settings to change");
+    }
+
+    const normalized = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      if (key === "baseCurrency") {
+        throw new Error(
+          "baseCurrency can't be changed at runtime: prices, orders and stats are stored in it",
+        );
+      }
+      if (!Object.prototype.hasOwnProperty.call(SETTINGS, key)) {
+        throw new Error(
+          `Unknown setting: ${key}. Must be one of: ${Object.keys(SETTINGS).join(", ")}`,
+        );
+      }
+      normalized[key] = SETTINGS[key](value);
+    });
+
+    return this.apply(normalized, audit);
+  }
+
+  /**
+   * Gets the config history (admin function)
+   * @returns {array} - Config versions without their full config, newest first
+   */
+  getHistory() {
+    return dataStore
+      .getAllConfigVersions()
+      .reverse()
+      .map(({ config, ...version }) => version);
+  }
+
+  /**
+   * Gets one config version with the full config it left in place
+   * @param {number} version - Version number
+   * @returns {object} - Config version
+   */
+  getVersion(version) {
+    const entry = dataStore.getConfigVersion(version);
+    if (!entry) {
+      throw new Error("Config version not found");
+    }
+    return entry;
+  }
+
+  /**
+   * Puts every runtime setting back to how it was after a previous version.
+   * The rollback is recorded as a new version, so it can be undone too.
+   * @param {number} version - Version to go back to
+   * @param {object} audit - { changedBy, reason? } as for updateConfig()
+   * @returns {object} - New config version
+   */
+  rollback(version, audit = {}) {
+    const target = this.getVersion(version);
+    const settings = {};
+    Object.keys(SETTINGS).forEach((key) => {
+      if (target.config[key] !== undefined) {
+        settings[key] = target.config[key];
+      }
+    });
+
+    return this.apply(settings, {
+      changedBy: audit.changedBy,
+      reason: audit.reason || `Rolled back to version ${target.version}`,
+      rollbackOf: target.version,
+    });
+  }
+
+  /**
+   * Writes validated settings and records the version
+   * @param {object} settings - setting -> stored value
+   * @param {object} audit - { changedBy, reason?, rollbackOf? }
+   * @returns {object} - New config version
+   */
+  apply(settings, { changedBy, reason = null, rollbackOf = null }) {
+    if (typeof changedBy !== "string" || !changedBy.trim()) {
+      throw new Error("changedBy is required");
+    }
+    if (reason !== null && typeof reason !== "string") {
+      throw new Error("reason must be a string");
+    }
+
+    const version = dataStore.updateConfig(settings, {
+      changedBy: changedBy.trim(),
+      reason,
+      rollbackOf,
+    });
+    if (!version) {
+      throw new Error(
+        "Nothing changed: the settings already have these values",
+      );
+    }
+    return version;
+  }
+}
+
+module.exports = new ConfigService();
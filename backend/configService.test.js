@@ -0,0 +1,129 @@
+/**
+ * Unit tests for Config Service
+ */
+
+const configService = require('./configService');
+const currencyService = require('./currencyService');
+const shippingService = require('./shippingService');
+const dataStore = require('./dataStore');
+
+describe('ConfigService', () => {
+  const original = { ...dataStore.config };
+
+  afterEach(() => {
+    dataStore.updateConfig(original);
+  });
+
+  describe('updateConfig', () => {
+    test('should record who changed what and when as a new version', () => {
+      const before = configService.getConfig().version;
+
+      const version = configService.updateConfig(
+        { reservationTtlMinutes: 30, exchangeRates: { eur: 0.95 } },
+        { changedBy: 'alice', reason: 'Longer holds for the sale' }
+      );
+
+      expect(version).toMatchObject({
+        version: before + 1,
+        changedBy: 'alice',
+        reason: 'Longer holds for the sale',
+        rollbackOf: null,
+        changes: {
+          reservationTtlMinutes: { from: 15, to: 30 },
+          exchangeRates: { from: { EUR: 0.92, GBP: 0.79, JPY: 150 }, to: { EUR: 0.95 } },
+        },
+      });
+      expect(Date.parse(version.changedAt)).not.toBeNaN();
+      expect(version.config.reservationTtlMinutes).toBe(30);
+      expect(configService.getConfig()).toMatchObject({ version: before + 1, config: { reservationTtlMinutes: 30 } });
+      expect(configService.getHistory()[0]).not.toHaveProperty('config');
+    });
+
+    test('should only record settings that changed', () => {
+      const version = configService.updateConfig(
+        { reservationTtlMinutes: 15, idempotencyKeyTtlHours: 48 },
+        { changedBy: 'alice' }
+      );
+
+      expect(Object.keys(version.changes)).toEqual(['idempotencyKeyTtlHours']);
+      expect(() => configService.updateConfig({ idempotencyKeyTtlHours: 48 }, { changedBy: 'alice' }))
+        .toThrow('Nothing changed');
+    });
+
+    test('should validate every setting before changing any', () => {
+      const before = configService.getConfig().version;
+      const update = changes => () => configService.updateConfig(changes, { changedBy: 'alice' });
+
+      expect(update({ reservationTtlMinutes: 30, idempotencyKeyTtlHours: -1 }))
+        .toThrow('idempotencyKeyTtlHours must be a positive number');
+      expect(update({ baseCurrency: 'EUR' })).toThrow('baseCurrency can\'t be changed at runtime');
+      expect(update({ theme: 'dark' })).toThrow('Unknown setting: theme');
+      expect(update({ exchangeRates: { USD: 1 } })).toThrow('The base currency always has an exchange rate of 1');
+      expect(update({ shippingMethods: [{ id: 'a', name: 'A', type: 'flat', rate: 1 }, { id: 'a', name: 'B', type: 'flat', rate: 2 }] }))
+        .toThrow('Shipping method IDs must be unique');
+      expect(update({ taxRates: { US: { CA: { standard: 101 } } } })).toThrow('Tax rates must be numbers between 0 and 100');
+      expect(update({ rewardStrategy: 'lottery' })).toThrow('Invalid reward strategy');
+      expect(update({ discountCodeLimits: { burst: 0 } })).toThrow('discountCodeLimits.burst must be a positive number');
+      expect(() => configService.updateConfig({ reservationTtlMinutes: 30 }, {})).toThrow('changedBy is required');
+
+      expect(dataStore.config.reservationTtlMinutes).toBe(15);
+      expect(configService.getConfig().version).toBe(before);
+    });
+
+    test('should normalize tax regions and merge reward settings', () => {
+      configService.updateConfig(
+        {
+          taxRates: { fr: { '*': { standard: 20 } }, us: { ny: { standard: 4 } } },
+          rewardStrategies: { global_nth_order: { nthOrder: 5 } },
+        },
+        { changedBy: 'alice' }
+      );
+
+      expect(dataStore.config.taxRates).toEqual({ FR: { '*': { standard: 20 } }, US: { NY: { standard: 4 } } });
+      expect(dataStore.config.rewardStrategies.global_nth_order).toEqual({ nthOrder: 5, discountPercentage: 10 });
+    });
+  });
+
+  describe('history', () => {
+    test('should version changes made through other admin endpoints', () => {
+      currencyService.setExchangeRate('GBP', 0.8, 'bob');
+      shippingService.deleteShippingMethod('economy', 'bob');
+
+      const [deleted, rate] = configService.getHistory();
+      expect(rate).toMatchObject({ changedBy: 'bob', changes: { exchangeRates: { to: { GBP: 0.8 } } } });
+      expect(Object.keys(deleted.changes)).toEqual(['shippingMethods']);
+      expect(deleted.version).toBe(rate.version + 1);
+    });
+
+    test('should throw for unknown versions', () => {
+      expect(() => configService.getVersion(9999)).toThrow('Config version not found');
+    });
+  });
+
+  describe('rollback', () => {
+    test('should restore every setting of a previous version as a new version', () => {
+      const start = configService.getConfig().version;
+      configService.updateConfig({ reservationTtlMinutes: 30 }, { changedBy: 'alice' });
+      shippingService.deleteShippingMethod('express', 'alice');
+
+      const version = configService.rollback(start, { changedBy: 'bob' });
+
+      expect(version).toMatchObject({
+        version: start + 3,
+        changedBy: 'bob',
+        reason: `Rolled back to version ${start}`,
+        rollbackOf: start,
+      });
+      expect(Object.keys(version.changes).sort()).toEqual(['reservationTtlMinutes', 'shippingMethods']);
+      expect(dataStore.config.reservationTtlMinutes).toBe(15);
+      expect(shippingService.getShippingMethod('express').baseRate).toBe(10);
+    });
+
+    test('should refuse rollbacks that change nothing', () => {
+      const { version } = configService.getConfig();
+
+      expect(() => configService.rollback(version, { changedBy: 'bob' })).toThrow('Nothing changed');
+      expect(() => configService.rollback(9999, { changedBy: 'bob' })).toThrow('Config version not found');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Currency Service
+ * Handles the currencies shoppers can pay in and their exchange rates
+ */
+
+const dataStore = require("./dataStore");
+const money = require("./money");
+
+class CurrencyService {
+  /**
+   * Gets the currency catalog prices and shipping rates are set in
+   * @returns {string} - ISO 4217 currency code
+   */
+  getBaseCurrency() {
+    return dataStore.config.baseCurrency;
+  }
+
+  /**
+   * Gets every currency a cart can use
+   * @returns {array} - Base currency followed by the ones with an exchange rate
+   */
+  getSupportedCurrencies() {
+    return [
+      this.getBaseCurrency(),
+      ...Object.keys(dataStore.config.exchangeRates),
+    ];
+  }
+
+  /**
+   * Validates and normalizes a currency code
+   * @param {string} currency - Currency code
+   * @returns {string} - Upper-case currency code
+   */
+  normalizeCurrency(currency) {
+    const code = typeof currency === "string" ? currency.toUpperCase() : "";
+    const supported = this.getSupportedCurrencies();
+    if (!supported.includes(code)) {
+      throw new Error(
+        `Unsupported currency: ${currency}. Must be one of: ${supported.join(", ")}`,
+      );
+    }
+    return code;
+  }
+
+  /**
+   * Gets the exchange rate from the base currency
+   * @param {string} currency - Currency code
+   * @returns {number} - Units of the currency per 1 unit of the base currency
+   */
+  getExchangeRate(currency) {
+    const code = this.normalizeCurrency(currency);
+    return code === this.getBaseCurrency()
+      ? 1
+      : dataStore.config.exchangeRates[code];
+  }
+
+  /**
+   * Converts a base-currency amount at the current exchange rate
+   * @param {number} amount - Amount in the base currency
+   * @param {string} currency - Currency to convert to
+   * @returns {number} - Amount in the currency, rounded half-up
+   */
+  convertFromBase(amount, currency) {
+    return money.convert(
+      amount,
+      this.getBaseCurrency(),
+      currency,
+      this.getExchangeRate(currency),
+    );
+  }
+
+  /**
+   * Gets the configured exchange rates
+   * @returns {object} - currency -> units per 1 unit of the base currency
+   */
+  getExchangeRates() {
+    return dataStore.config.exchangeRates;
+  }
+
+  /**
+   * Adds or changes the exchange rate for a currency
+   * @param {string} currency - Currency code
+   * @param {number} rate - Units of the currency per 1 unit of the base currency
+   * @param {string} [changedBy] - Admin making the change (config history)
+   * @returns {object} - Updated exchange rates
+   */
+  setExchangeRate(currency, rate, changedBy = null) {
+    const code = this.validateExchangeRate(currency, rate);
+    dataStore.updateConfig(
+      { exchangeRates: { ...dataStore.config.exchangeRates, [code]: rate } },
+      { changedBy },
+    );
+    return this.getExchangeRates();
+  }
+
+  /**
+   * Throws unless a currency can be given this exchange rate
+   * @param {string} currency - Currency code
+   * @param {number} rate - Units of the currency per 1 unit of the base currency
+   * @returns {string} - Upper-case currency code
+   */
+  validateExchangeRate(currency, rate) {
+    const code = typeof currency === "string" ? currency.toUpperCase() : "";
+    money.getDecimals(code);
+
+    if (code === this.getBaseCurrency()) {
+      throw new Error("The base currency always has an exchange rate of 1");
+    }
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+      throw new Error("Exchange rate must be a positive number");
+    }
+    return code;
+  }
+}
+
+module.exports = new CurrencyService();
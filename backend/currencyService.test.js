@@ -0,0 +1,51 @@
+/**
+ * Unit tests for Currency Service
+ */
+
+const currencyService = require('./currencyService');
+const dataStore = require('./dataStore');
+
+describe('CurrencyService', () => {
+  let originalRates;
+
+  beforeAll(() => {
+    originalRates = { ...dataStore.config.exchangeRates };
+  });
+
+  beforeEach(() => {
+    dataStore.config.exchangeRates = { ...originalRates };
+  });
+
+  describe('normalizeCurrency', () => {
+    test('should accept the base currency and ones with a rate', () => {
+      expect(currencyService.normalizeCurrency('usd')).toBe('USD');
+      expect(currencyService.normalizeCurrency('EUR')).toBe('EUR');
+    });
+
+    test('should reject currencies without a rate', () => {
+      delete dataStore.config.exchangeRates.JPY;
+      expect(() => currencyService.normalizeCurrency('JPY')).toThrow('Unsupported currency: JPY');
+    });
+  });
+
+  describe('convertFromBase', () => {
+    test('should convert at the exchange rate', () => {
+      expect(currencyService.convertFromBase(1000, 'EUR')).toBe(920);
+      expect(currencyService.convertFromBase(24.99, 'JPY')).toBe(3749); // 3748.5 rounds up
+      expect(currencyService.convertFromBase(24.99, 'USD')).toBe(24.99);
+    });
+  });
+
+  describe('setExchangeRate', () => {
+    test('should add a rate for a known currency', () => {
+      currencyService.setExchangeRate('jpy', 155);
+      expect(currencyService.getExchangeRate('JPY')).toBe(155);
+    });
+
+    test('should reject the base currency, unknown currencies and bad rates', () => {
+      expect(() => currencyService.setExchangeRate('USD', 2)).toThrow('base currency');
+      expect(() => currencyService.setExchangeRate('XYZ', 2)).toThrow('Unsupported currency');
+      expect(() => currencyService.setExchangeRate('EUR', 0)).toThrow('positive number');
+    });
+  });
+});
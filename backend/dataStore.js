@@ -1,36 +1,365 @@
 /**
- * In-Memory Data Store
- * Simulates database storage for the e-commerce application
+ * Data Store
+ * Holds application state in Maps and writes every change through to a
+ * pluggable storage adapter (in-memory by default, see storageAdapter.js)
  */
 
+const { createStorageAdapter } = require("./storageAdapter");
+const money = require("./money");
+
+// Map-backed collections that are written through to the storage adapter
+const PERSISTED_COLLECTIONS = [
+  "products",
+  "categories",
+  "users",
+  "sessions",
+  "carts",
+  "addresses",
+  "reservations",
+  "orders",
+  "payments",
+  "returns",
+  "discountCodes",
+  "campaigns",
+  "promotions",
+  "idempotencyKeys",
+  "configVersions",
+];
+
 class DataStore {
-  constructor() {
+  /**
+   * @param {object} storage - Storage adapter used to persist changes
+   */
+  constructor(storage) {
+    this.storage = storage;
+
     // Store for products
     this.products = new Map([
-      ["1", { id: "1", name: "Laptop", price: 1000, stock: 10 }],
-      ["2", { id: "2", name: "Mouse", price: 25, stock: 50 }],
-      ["3", { id: "3", name: "Keyboard", price: 75, stock: 30 }],
-      ["4", { id: "4", name: "Monitor", price: 300, stock: 15 }],
-      ["5", { id: "5", name: "Headphones", price: 150, stock: 25 }],
+      [
+        "1",
+        {
+          id: "1",
+          name: "Laptop",
+          price: 1000,
+          stock: 10,
+          categoryId: "computers",
+          tags: ["portable"],
+          weight: 2,
+        },
+      ],
+      [
+        "2",
+        {
+          id: "2",
+          name: "Mouse",
+          price: 25,
+          stock: 50,
+          categoryId: "peripherals",
+          tags: ["wireless"],
+          weight: 0.1,
+        },
+      ],
+      [
+        "3",
+        {
+          id: "3",
+          name: "Keyboard",
+          price: 75,
+          stock: 30,
+          categoryId: "peripherals",
+          tags: ["mechanical"],
+          weight: 0.8,
+        },
+      ],
+      [
+        "4",
+        {
+          id: "4",
+          name: "Monitor",
+          price: 300,
+          stock: 15,
+          categoryId: "computers",
+          tags: ["display"],
+          weight: 5,
+          options: [{ name: "Size", values: ['24"', '27"'] }],
+          variants: [
+            { sku: "MON-24", options: { Size: '24"' }, price: null, stock: 10 },
+            { sku: "MON-27", options: { Size: '27"' }, price: 380, stock: 5 },
+          ],
+        },
+      ],
+      [
+        "5",
+        {
+          id: "5",
+          name: "Headphones",
+          price: 150,
+          stock: 25,
+          categoryId: "audio",
+          tags: ["wireless"],
+          weight: 0.3,
+          options: [{ name: "Color", values: ["Black", "White", "Blue"] }],
+          variants: [
+            {
+              sku: "HP-BLK",
+              options: { Color: "Black" },
+              price: null,
+              stock: 10,
+            },
+            {
+              sku: "HP-WHT",
+              options: { Color: "White" },
+              price: null,
+              stock: 10,
+            },
+            {
+              sku: "HP-BLU",
+              options: { Color: "Blue" },
+              price: null,
+              stock: 5,
+            },
+          ],
+        },
+      ],
+    ]);
+
+    // Store for product categories (parentId null for top-level categories)
+    this.categories = new Map([
+      [
+        "electronics",
+        { id: "electronics", name: "Electronics", parentId: null },
+      ],
+      [
+        "computers",
+        { id: "computers", name: "Computers", parentId: "electronics" },
+      ],
+      [
+        "peripherals",
+        { id: "peripherals", name: "Peripherals", parentId: "electronics" },
+      ],
+      ["audio", { id: "audio", name: "Audio", parentId: "electronics" }],
     ]);
 
+    // Store for user accounts (userId -> user with password hash)
+    this.users = new Map();
+
+    // Store for signed-in sessions (sessionId -> session)
+    this.sessions = new Map();
+
     // Store for shopping carts (userId -> cart)
     this.carts = new Map();
 
+    // Store for saved shipping addresses (addressId -> address)
+    this.addresses = new Map();
+
+    // Store for inventory holds (userId:productId:sku -> reservation)
+    this.reservations = new Map();
+
     // Store for orders (orderId -> order)
     this.orders = new Map();
 
+    // Store for the mock payment provider's payments (paymentId -> payment)
+    this.payments = new Map();
+
+    // Store for return requests (returnId -> return)
+    this.returns = new Map();
+
     // Store for discount codes (code -> discount info)
     this.discountCodes = new Map();
 
+    // Store for coupon campaigns (campaignId -> campaign)
+    this.campaigns = new Map();
+
+    // Store for automatic promotions (promotionId -> promotion)
+    this.promotions = new Map();
+
+    // Store for checkout idempotency keys (userId:key -> stored response)
+    this.idempotencyKeys = new Map();
+
+    // Store for configuration history (version -> change record with the
+    // configuration as it was after the change)
+    this.configVersions = new Map();
+
     // Counter for orders to track nth order
     this.orderCounter = 0;
 
     // Configuration for discount system
     this.config = {
-      nthOrder: 3, // Every 3rd order gets a discount code
-      discountPercentage: 10, // 10% discount
+      // How orders earn a discount code (see rewardService.js), and the
+      // settings of each strategy
+      rewardStrategy: "global_nth_order",
+      rewardStrategies: {
+        // Every 3rd order placed in the store gets a 10% code
+        global_nth_order: { nthOrder: 3, discountPercentage: 10 },
+        // Every 3rd order of each customer gets a 10% code
+        customer_nth_order: { nthOrder: 3, discountPercentage: 10 },
+        // Lifetime spend (base currency) passing a milestone gets a code
+        spend_milestones: {
+          milestones: [
+            { spend: 500, discountPercentage: 10 },
+            { spend: 2000, discountPercentage: 15 },
+          ],
+        },
+      },
+      reservationTtlMinutes: 15, // Cart holds expire after 15 minutes
+      idempotencyKeyTtlHours: 24, // Checkout responses replayable for 24 hours
+      sessionTtlHours: 24, // Sign-in sessions last 24 hours
+      // Guessing discount codes: each user and IP address may try `burst`
+      // codes at once, refilled at `perMinute`. Every `maxFailures` invalid
+      // codes lock them out, for `lockoutMinutes` and then twice as long
+      // each time, up to `maxLockoutMinutes`.
+      discountCodeLimits: {
+        burst: 10,
+        perMinute: 5,
+        maxFailures: 5,
+        lockoutMinutes: 1,
+        maxLockoutMinutes: 1440,
+      },
+      baseCurrency: "USD", // Catalog prices, shipping rates and stats use this
+      // Units of each other currency per 1 unit of the base currency
+      exchangeRates: { EUR: 0.92, GBP: 0.79, JPY: 150 },
+      // Shipping methods offered at checkout (weights in kg)
+      shippingMethods: [
+        { id: "standard", name: "Standard", type: "flat", rate: 5 },
+        {
+          id: "express",
+          name: "Express",
+          type: "weight",
+          baseRate: 10,
+          ratePerKg: 2,
+        },
+        {
+          id: "economy",
+          name: "Economy",
+          type: "free_over",
+          rate: 8,
+          threshold: 100,
+        },
+      ],
+      // Tax rates in percent: country -> state ("*" = whole country) -> tax class
+      taxRates: {
+        US: {
+          CA: { standard: 7.25, reduced: 7.25 },
+          NY: { standard: 4, reduced: 4 },
+          TX: { standard: 6.25, reduced: 6.25 },
+        },
+        GB: { "*": { standard: 20, reduced: 5 } },
+        DE: { "*": { standard: 19, reduced: 7 } },
+      },
     };
+
+    this.restore(this.storage.load());
+
+    // Stores created before config history existed start it from what they hold
+    if (!this.configVersions.size) {
+      this.saveConfigVersion({
+        changedBy: null,
+        reason: "Initial configuration",
+        changes: {},
+        rollbackOf: null,
+      });
+    }
+  }
+
+  // Persistence methods
+  /**
+   * Replaces the seed data with state loaded from the storage adapter.
+   * On first boot (nothing stored yet) the seed data is written instead.
+   * @param {object|null} state - State returned by storage.load()
+   */
+  restore(state) {
+    if (!state) {
+      PERSISTED_COLLECTIONS.forEach((name) => {
+        this[name].forEach((value, key) => {
+          this.storage.put(name, key, value);
+        });
+      });
+      this.storage.setMeta("orderCounter", this.orderCounter);
+      this.storage.setMeta("config", this.config);
+      return;
+    }
+
+    const { collections = {}, meta = {} } = state;
+    PERSISTED_COLLECTIONS.forEach((name) => {
+      if (collections[name]) {
+        this[name] = new Map(Object.entries(collections[name]));
+      }
+    });
+
+    if (meta.orderCounter !== undefined) {
+      this.orderCounter = meta.orderCounter;
+    }
+    if (meta.config) {
+      this.config = { ...this.config, ...meta.config };
+    }
+  }
+
+  /**
+   * Merges changes into the configuration, persists it and records a new
+   * config version when any value actually changed
+   * @param {object} changes - Config keys to replace
+   * @param {object} [audit] - Who made the change and why
+   * @param {string} [audit.changedBy] - Admin who made the change
+   * @param {string} [audit.reason] - Why the change was made
+   * @param {number} [audit.rollbackOf] - Version the change restores
+   * @returns {object|null} - New config version, or null if nothing changed
+   */
+  updateConfig(
+    changes,
+    { changedBy = null, reason = null, rollbackOf = null } = {},
+  ) {
+    const diff = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      if (JSON.stringify(this.config[key]) !== JSON.stringify(value)) {
+        diff[key] = { from: this.config[key], to: value };
+      }
+    });
+
+    this.config = { ...this.config, ...changes };
+    this.storage.setMeta("config", this.config);
+
+    if (!Object.keys(diff).length) {
+      return null;
+    }
+    return this.saveConfigVersion({
+      changedBy,
+      reason,
+      changes: diff,
+      rollbackOf,
+    });
+  }
+
+  // Config history methods
+  getConfigVersion(version) {
+    return this.configVersions.get(String(version));
+  }
+
+  /**
+   * Gets every config version
+   * @returns {array} - Versions, oldest first
+   */
+  getAllConfigVersions() {
+    return Array.from(this.configVersions.values()).sort(
+      (a, b) => a.version - b.version,
+    );
+  }
+
+  /**
+   * Records the current configuration as the next version
+   * @param {object} entry - { changedBy, reason, changes, rollbackOf }
+   * @returns {object} - Saved config version
+   */
+  saveConfigVersion(entry) {
+    const versions = this.getAllConfigVersions();
+    const version = {
+      version: versions.length ? versions[versions.length - 1].version + 1 : 1,
+      changedAt: new Date().toISOString(),
+      ...entry,
+      config: JSON.parse(JSON.stringify(this.config)),
+    };
+    this.configVersions.set(String(version.version), version);
+    this.storage.put("configVersions", String(version.version), version);
+    return version;
   }
 
   // Product methods
@@ -42,26 +371,135 @@ class DataStore {
     return Array.from(this.products.values());
   }
 
+  saveProduct(product) {
+    this.products.set(product.id, product);
+    this.storage.put("products", product.id, product);
+  }
+
+  deleteProduct(productId) {
+    this.products.delete(productId);
+    this.storage.remove("products", productId);
+  }
+
+  // Category methods
+  getCategory(categoryId) {
+    return this.categories.get(categoryId);
+  }
+
+  getAllCategories() {
+    return Array.from(this.categories.values());
+  }
+
+  saveCategory(category) {
+    this.categories.set(category.id, category);
+    this.storage.put("categories", category.id, category);
+  }
+
+  deleteCategory(categoryId) {
+    this.categories.delete(categoryId);
+    this.storage.remove("categories", categoryId);
+  }
+
   // Cart methods
   getCart(userId) {
     if (!this.carts.has(userId)) {
-      this.carts.set(userId, { userId, items: [] });
+      this.carts.set(userId, {
+        userId,
+        currency: this.config.baseCurrency,
+        items: [],
+      });
     }
     return this.carts.get(userId);
   }
 
   updateCart(userId, cart) {
     this.carts.set(userId, cart);
+    this.storage.put("carts", userId, cart);
   }
 
   clearCart(userId) {
-    this.carts.set(userId, { userId, items: [] });
+    // The shopper keeps their currency for the next order
+    const { currency } = this.getCart(userId);
+    this.updateCart(userId, { userId, currency, items: [] });
+  }
+
+  // User methods
+  getUser(userId) {
+    return this.users.get(userId);
+  }
+
+  getUserByEmail(email) {
+    return this.getAllUsers().find((user) => user.email === email);
+  }
+
+  getAllUsers() {
+    return Array.from(this.users.values());
+  }
+
+  saveUser(user) {
+    this.users.set(user.id, user);
+    this.storage.put("users", user.id, user);
+  }
+
+  // Session methods
+  getSession(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  saveSession(session) {
+    this.sessions.set(session.id, session);
+    this.storage.put("sessions", session.id, session);
+  }
+
+  deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.storage.remove("sessions", sessionId);
+  }
+
+  // Address methods
+  getAddress(addressId) {
+    return this.addresses.get(addressId);
+  }
+
+  getAllAddresses() {
+    return Array.from(this.addresses.values());
+  }
+
+  saveAddress(address) {
+    this.addresses.set(address.id, address);
+    this.storage.put("addresses", address.id, address);
+  }
+
+  deleteAddress(addressId) {
+    this.addresses.delete(addressId);
+    this.storage.remove("addresses", addressId);
+  }
+
+  // Reservation methods
+  getReservation(key) {
+    return this.reservations.get(key);
+  }
+
+  getAllReservations() {
+    return Array.from(this.reservations.values());
+  }
+
+  saveReservation(key, reservation) {
+    this.reservations.set(key, reservation);
+    this.storage.put("reservations", key, reservation);
+  }
+
+  deleteReservation(key) {
+    this.reservations.delete(key);
+    this.storage.remove("reservations", key);
   }
 
   // Order methods
   createOrder(order) {
     this.orderCounter++;
     this.orders.set(order.id, order);
+    this.storage.put("orders", order.id, order);
+    this.storage.setMeta("orderCounter", this.orderCounter);
     return order;
   }
 
@@ -77,47 +515,212 @@ class DataStore {
     return this.orderCounter;
   }
 
+  saveOrder(order) {
+    this.orders.set(order.id, order);
+    this.storage.put("orders", order.id, order);
+  }
+
+  deleteOrder(orderId) {
+    this.orders.delete(orderId);
+    this.storage.remove("orders", orderId);
+  }
+
+  setOrderCount(count) {
+    this.orderCounter = count;
+    this.storage.setMeta("orderCounter", this.orderCounter);
+  }
+
+  // Payment methods
+  getPayment(paymentId) {
+    return this.payments.get(paymentId);
+  }
+
+  savePayment(payment) {
+    this.payments.set(payment.id, payment);
+    this.storage.put("payments", payment.id, payment);
+  }
+
+  // Return methods
+  getReturn(returnId) {
+    return this.returns.get(returnId);
+  }
+
+  getAllReturns() {
+    return Array.from(this.returns.values());
+  }
+
+  saveReturn(orderReturn) {
+    this.returns.set(orderReturn.id, orderReturn);
+    this.storage.put("returns", orderReturn.id, orderReturn);
+  }
+
+  deleteReturn(returnId) {
+    this.returns.delete(returnId);
+    this.storage.remove("returns", returnId);
+  }
+
   // Discount code methods
   createDiscountCode(code, discountInfo) {
     this.discountCodes.set(code, discountInfo);
+    this.storage.put("discountCodes", code, discountInfo);
   }
 
   getDiscountCode(code) {
     return this.discountCodes.get(code);
   }
 
+  updateDiscountCode(code, discountInfo) {
+    this.discountCodes.set(code, discountInfo);
+    this.storage.put("discountCodes", code, discountInfo);
+  }
+
+  deleteDiscountCode(code) {
+    this.discountCodes.delete(code);
+    this.storage.remove("discountCodes", code);
+  }
+
   isDiscountCodeValid(code) {
     const discount = this.discountCodes.get(code);
     return discount && !discount.used;
   }
 
+  // A code is `used` once it has been redeemed `maxUses` times (1 by default)
   markDiscountAsUsed(code) {
     const discount = this.discountCodes.get(code);
     if (discount) {
-      discount.used = true;
+      discount.timesUsed = this.getTimesUsed(discount) + 1;
+      discount.used = discount.timesUsed >= (discount.maxUses || 1);
       discount.usedAt = new Date().toISOString();
+      this.storage.put("discountCodes", code, discount);
+    }
+  }
+
+  markDiscountAsUnused(code) {
+    const discount = this.discountCodes.get(code);
+    if (discount) {
+      discount.timesUsed = Math.max(this.getTimesUsed(discount) - 1, 0);
+      discount.used = false;
+      if (discount.timesUsed === 0) {
+        discount.usedAt = null;
+      }
+      this.storage.put("discountCodes", code, discount);
     }
   }
 
+  // Codes saved before usage counts existed only have the `used` flag
+  getTimesUsed(discount) {
+    if (discount.timesUsed !== undefined) {
+      return discount.timesUsed;
+    }
+    return discount.used ? 1 : 0;
+  }
+
   getAllDiscountCodes() {
     return Array.from(this.discountCodes.values());
   }
 
+  // Campaign methods
+  getCampaign(campaignId) {
+    return this.campaigns.get(campaignId);
+  }
+
+  getAllCampaigns() {
+    return Array.from(this.campaigns.values());
+  }
+
+  saveCampaign(campaign) {
+    this.campaigns.set(campaign.id, campaign);
+    this.storage.put("campaigns", campaign.id, campaign);
+  }
+
+  // Promotion methods
+  getPromotion(promotionId) {
+    return this.promotions.get(promotionId);
+  }
+
+  getAllPromotions() {
+    return Array.from(this.promotions.values());
+  }
+
+  savePromotion(promotion) {
+    this.promotions.set(promotion.id, promotion);
+    this.storage.put("promotions", promotion.id, promotion);
+  }
+
+  deletePromotion(promotionId) {
+    this.promotions.delete(promotionId);
+    this.storage.remove("promotions", promotionId);
+  }
+
+  // Idempotency key methods
+  getIdempotencyKey(key) {
+    return this.idempotencyKeys.get(key);
+  }
+
+  getAllIdempotencyKeys() {
+    return Array.from(this.idempotencyKeys.values());
+  }
+
+  saveIdempotencyKey(key, record) {
+    this.idempotencyKeys.set(key, record);
+    this.storage.put("idempotencyKeys", key, record);
+  }
+
+  deleteIdempotencyKey(key) {
+    this.idempotencyKeys.delete(key);
+    this.storage.remove("idempotencyKeys", key);
+  }
+
   // Analytics methods
   getStats() {
-    const orders = this.getAllOrders();
+    const allOrders = this.getAllOrders();
     const discountCodes = this.getAllDiscountCodes();
 
-    // Calculate total items purchased
-    const totalItemsPurchased = orders.reduce((sum, order) => {
-      return (
-        sum + order.items.reduce((itemSum, item) => itemSum + item.quantity, 0)
+    // Orders cancelled before payment never brought in any money
+    const isCancelledUnpaid = (order) =>
+      order.status === "cancelled" &&
+      !(order.statusHistory || []).some((entry) => entry.status === "paid");
+    const orders = allOrders.filter((order) => !isCancelledUnpaid(order));
+
+    // Calculate total items purchased (cancelled orders went back to stock)
+    const totalItemsPurchased = orders
+      .filter((order) => order.status !== "cancelled")
+      .reduce((sum, order) => {
+        return (
+          sum +
+          order.items.reduce((itemSum, item) => itemSum + item.quantity, 0)
+        );
+      }, 0);
+
+    // Orders may be in other currencies; totals are reported in the base
+    // currency at the exchange rate each order was placed at
+    const baseCurrency = this.config.baseCurrency;
+    const toBaseMinor = (order, amount) => {
+      const currency = order.currency || baseCurrency;
+      const rate = order.exchangeRate || 1;
+      return money.toMinor(
+        money.convert(amount || 0, currency, baseCurrency, 1 / rate),
+        baseCurrency,
+      );
+    };
+    const sumOrders = (getAmount) =>
+      orders.reduce(
+        (sum, order) => sum + toBaseMinor(order, getAmount(order)),
+        0,
       );
-    }, 0);
 
     // Calculate total revenue
-    const totalRevenue = orders.reduce(
-      (sum, order) => sum + order.finalAmount,
+    const totalRevenue = sumOrders((order) => order.finalAmount);
+
+    // Calculate refunds
+    const refunds = orders.flatMap((order) => order.refunds || []);
+    const totalRefunded = orders.reduce(
+      (sum, order) =>
+        sum +
+        (order.refunds || []).reduce(
+          (orderSum, refund) => orderSum + toBaseMinor(order, refund.amount),
+          0,
+        ),
       0,
     );
 
@@ -125,24 +728,46 @@ class DataStore {
     const totalDiscountCodes = discountCodes.length;
     const usedDiscountCodes = discountCodes.filter((d) => d.used).length;
 
-    // Calculate total discount given
-    const totalDiscountGiven = orders.reduce((sum, order) => {
-      return sum + (order.discount || 0);
-    }, 0);
+    // Calculate tax collected, less the tax part of refunds
+    const taxCollected =
+      sumOrders((order) => order.tax) -
+      orders.reduce(
+        (sum, order) =>
+          sum +
+          (order.refunds || []).reduce(
+            (orderSum, refund) => orderSum + toBaseMinor(order, refund.tax),
+            0,
+          ),
+        0,
+      );
+
+    // Calculate total discount given, including free shipping
+    const totalDiscountGiven =
+      sumOrders((order) => order.discount) +
+      sumOrders((order) => order.shippingDiscount);
 
     return {
+      currency: baseCurrency,
       totalItemsPurchased,
-      totalRevenue: parseFloat(totalRevenue.toFixed(2)),
+      totalRevenue: money.toMajor(totalRevenue, baseCurrency),
+      refunds: {
+        count: refunds.length,
+        total: money.toMajor(totalRefunded, baseCurrency),
+      },
+      netRevenue: money.toMajor(totalRevenue - totalRefunded, baseCurrency),
       discountCodes: {
         total: totalDiscountCodes,
         used: usedDiscountCodes,
         unused: totalDiscountCodes - usedDiscountCodes,
       },
-      totalDiscountGiven: parseFloat(totalDiscountGiven.toFixed(2)),
-      totalOrders: orders.length,
+      totalDiscountGiven: money.toMajor(totalDiscountGiven, baseCurrency),
+      taxCollected: money.toMajor(taxCollected, baseCurrency),
+      totalOrders: allOrders.length,
+      cancelledOrders: allOrders.filter((order) => order.status === "cancelled")
+        .length,
     };
   }
 }
 
-// Export singleton instance
-module.exports = new DataStore();
+// Export singleton instance backed by the configured storage adapter
+module.exports = new DataStore(createStorageAdapter(process.env));
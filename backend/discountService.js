@@ -3,32 +3,87 @@
  * Handles all discount-related business logic
  */
 
-const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
 const dataStore = require("./dataStore");
+const currencyService = require("./currencyService");
+const promotionService = require("./promotionService");
+const money = require("./money");
+
+// Optional rules a discount code can carry (null = no restriction). What
+// the code takes off, and from which products, is its promotion (see
+// promotionService.js).
+const RULE_FIELDS = [
+  "expiresAt", // ISO date after which the code stops working
+  "minSubtotal", // Smallest cart subtotal, in the base currency
+  "maxUses", // Number of orders the code can be used on (1 by default)
+  "userId", // Only this customer can use the code
+];
+
+// Characters in generated codes; 0/O and 1/I are left out so printed codes
+// can't be misread. 32 characters, so each random byte maps evenly.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
 
 class DiscountService {
   /**
-   * Generates a discount code if the nth order condition is met
+   * Generates a discount code if the store-wide nth order condition is met
+   * (the global_nth_order reward strategy)
    * @param {number} orderNumber - The current order number
+   * @param {string} [userId] - Customer who earned the code; only they can use it
    * @returns {object|null} - Discount code object or null if condition not met
    */
-  generateDiscountCode(orderNumber) {
-    const { nthOrder, discountPercentage } = dataStore.config;
+  generateDiscountCode(orderNumber, userId = null) {
+    const { nthOrder, discountPercentage } =
+      dataStore.config.rewardStrategies.global_nth_order;
 
     // Check if this is an nth order
     if (orderNumber % nthOrder !== 0) {
       return null;
     }
 
-    // Generate unique discount code
+    return this.createRewardCode({
+      userId,
+      discountPercentage,
+      orderNumber,
+      strategy: "global_nth_order",
+    });
+  }
+
+  /**
+   * Creates a percentage code a customer earned
+   * @param {object} reward - What was earned
+   * @param {string} [reward.userId] - Customer who earned the code; only they can use it
+   * @param {number} reward.discountPercentage - Percentage off
+   * @param {number} [reward.orderNumber] - Order count the reward was earned at
+   * @param {string} reward.strategy - Reward strategy that awarded it
+   * @param {string} [reward.orderId] - Order that earned it
+   * @param {array} [reward.milestones] - Spend milestones it rewards, so
+   *   they are never rewarded again
+   * @returns {object} - Discount code object
+   */
+  createRewardCode({
+    userId = null,
+    discountPercentage,
+    orderNumber = null,
+    strategy,
+    orderId = null,
+    milestones = null,
+  }) {
     const code = this.createUniqueCode();
     const discountInfo = {
       code,
-      discountPercentage,
+      ...promotionService.normalizePromotion({
+        type: "percentage",
+        discountPercentage,
+      }),
       generatedAt: new Date().toISOString(),
       used: false,
       usedAt: null,
       orderNumber,
+      ...this.normalizeRules({ userId }),
+      timesUsed: 0,
+      reward: milestones
+        ? { strategy, orderId, milestones }
+        : { strategy, orderId },
     };
 
     // Store the discount code
@@ -37,61 +92,261 @@ class DiscountService {
     return discountInfo;
   }
 
+  /**
+   * Creates a discount code with custom rules (admin function)
+   * @param {object} data - Discount code fields
+   * @param {string} [data.type="percentage"] - Promotion type, with its own
+   *   fields (see promotionService.js)
+   * @param {string} [data.code] - Code to use instead of a generated one
+   * @param {string} [data.expiresAt] - Date after which the code stops working
+   * @param {number} [data.minSubtotal] - Smallest cart subtotal, in the base currency
+   * @param {number} [data.maxUses=1] - Number of orders the code can be used on
+   * @param {string} [data.userId] - Only this customer can use the code
+   * @param {array} [data.productIds] - Only these products are discounted
+   * @param {array} [data.categoryIds] - Only products in these categories are discounted
+   * @returns {object} - Created discount code
+   */
+  createDiscountCode(data = {}) {
+    const promotion = promotionService.normalizePromotion(data);
+
+    let code = this.createUniqueCode();
+    if (data.code !== undefined) {
+      if (
+        typeof data.code !== "string" ||
+        !/^[A-Za-z0-9-]{4,32}$/.test(data.code)
+      ) {
+        throw new Error(
+          "Discount code must be 4-32 letters, numbers or dashes",
+        );
+      }
+      code = data.code.toUpperCase();
+      if (dataStore.getDiscountCode(code)) {
+        throw new Error(`Discount code ${code} already exists`);
+      }
+    }
+
+    const discountInfo = {
+      code,
+      ...promotion,
+      generatedAt: new Date().toISOString(),
+      used: false,
+      usedAt: null,
+      orderNumber: null,
+      ...this.normalizeRules(data),
+      timesUsed: 0,
+    };
+
+    dataStore.createDiscountCode(code, discountInfo);
+    return discountInfo;
+  }
+
+  /**
+   * Validates and normalizes the optional rules of a discount code
+   * @param {object} data - Raw rule fields (see RULE_FIELDS)
+   * @returns {object} - Rule fields with null for "no restriction"
+   */
+  normalizeRules(data) {
+    const {
+      expiresAt = null,
+      minSubtotal = null,
+      maxUses = 1,
+      userId = null,
+    } = data;
+
+    if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+      throw new Error("expiresAt must be a valid date");
+    }
+    if (
+      minSubtotal !== null &&
+      (typeof minSubtotal !== "number" ||
+        !Number.isFinite(minSubtotal) ||
+        minSubtotal < 0)
+    ) {
+      throw new Error("minSubtotal must be a non-negative number");
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      throw new Error("maxUses must be a positive integer");
+    }
+    if (userId !== null && (typeof userId !== "string" || !userId)) {
+      throw new Error("userId must be a non-empty string");
+    }
+
+    return {
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+      minSubtotal,
+      maxUses,
+      userId,
+    };
+  }
+
   /**
    * Creates a unique alphanumeric discount code
-   * @returns {string} - Unique discount code
+   * @param {string} [prefix="DISC"] - Text before the dash
+   * @param {number} [length=8] - Number of random characters after the dash
+   * @returns {string} - Unique discount code, e.g. DISC-7KQ2MX9A
    */
-  createUniqueCode() {
-    const prefix = "DISC";
-    const uniqueId = uuidv4().substring(0, 8).toUpperCase();
-    return `${prefix}-${uniqueId}`;
+  createUniqueCode(prefix = "DISC", length = 8) {
+    let code;
+    do {
+      const suffix = Array.from(
+        crypto.randomBytes(length),
+        (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length],
+      ).join("");
+      code = `${prefix}-${suffix}`;
+    } while (dataStore.getDiscountCode(code));
+    return code;
   }
 
   /**
-   * Validates a discount code
+   * Validates a discount code. Rules that depend on the shopper or their
+   * cart are only checked when that context is given. Every rejection has
+   * a machine-readable `errorCode`.
    * @param {string} code - Discount code to validate
+   * @param {object} [context] - Who is using the code
+   * @param {string} [context.userId] - Customer using the code
+   * @param {object} [context.cart] - Cart from cartService.getCart()
    * @returns {object} - Validation result with isValid flag and discount info
    */
-  validateDiscountCode(code) {
+  validateDiscountCode(code, { userId = null, cart = null } = {}) {
     if (!code) {
-      return { isValid: false, message: "Discount code is required" };
+      return this.reject("DISCOUNT_CODE_REQUIRED", "Discount code is required");
     }
 
-    const discountInfo = dataStore.getDiscountCode(code);
+    const discountInfo = dataStore.getDiscountCode(this.normalizeCode(code));
 
     if (!discountInfo) {
-      return { isValid: false, message: "Invalid discount code" };
+      return this.reject("DISCOUNT_CODE_NOT_FOUND", "Invalid discount code");
+    }
+
+    if (discountInfo.revokedAt) {
+      return this.reject(
+        "DISCOUNT_CODE_REVOKED",
+        "Discount code has been revoked",
+        { revokedAt: discountInfo.revokedAt },
+      );
+    }
+
+    if (
+      discountInfo.expiresAt &&
+      Date.now() >= Date.parse(discountInfo.expiresAt)
+    ) {
+      return this.reject("DISCOUNT_CODE_EXPIRED", "Discount code has expired", {
+        expiresAt: discountInfo.expiresAt,
+      });
     }
 
     if (discountInfo.used) {
-      return {
-        isValid: false,
-        message: "Discount code has already been used",
-        usedAt: discountInfo.usedAt,
-      };
+      return (discountInfo.maxUses || 1) > 1
+        ? this.reject(
+            "DISCOUNT_CODE_USAGE_LIMIT_REACHED",
+            "Discount code has reached its usage limit",
+            { maxUses: discountInfo.maxUses },
+          )
+        : this.reject(
+            "DISCOUNT_CODE_USED",
+            "Discount code has already been used",
+            { usedAt: discountInfo.usedAt },
+          );
+    }
+
+    if (userId && discountInfo.userId && discountInfo.userId !== userId) {
+      return this.reject(
+        "DISCOUNT_CODE_WRONG_USER",
+        "Discount code belongs to another customer",
+      );
+    }
+
+    if (cart && discountInfo.minSubtotal) {
+      const minSubtotal = currencyService.convertFromBase(
+        discountInfo.minSubtotal,
+        cart.currency,
+      );
+      if (cart.subtotal < minSubtotal) {
+        return this.reject(
+          "DISCOUNT_CODE_MIN_SUBTOTAL_NOT_MET",
+          `Spend at least ${minSubtotal} ${cart.currency} to use this discount code`,
+          { minSubtotal },
+        );
+      }
+    }
+
+    if (cart) {
+      if (!promotionService.getEligibleItems(discountInfo, cart.items).length) {
+        return this.reject(
+          "DISCOUNT_CODE_NOT_APPLICABLE",
+          "Discount code does not apply to any item in your cart",
+        );
+      }
+      const { blockedBy, code: applied } = promotionService.applyPromotions(
+        cart,
+        discountInfo,
+      );
+      if (blockedBy) {
+        return this.reject(
+          "DISCOUNT_CODE_NOT_COMBINABLE",
+          `Discount code can't be combined with ${blockedBy.name}`,
+          { promotionId: blockedBy.id },
+        );
+      }
+      // e.g. buy 2 get 1 with only two eligible units in the cart, or
+      // lines the automatic promotions already made free
+      if (!applied.savings && !applied.freeShipping) {
+        return this.reject(
+          "DISCOUNT_CODE_NOT_APPLICABLE",
+          "Add more eligible items to use this discount code",
+        );
+      }
     }
 
     return {
       isValid: true,
+      type: promotionService.getType(discountInfo),
       discountPercentage: discountInfo.discountPercentage,
       discountInfo,
     };
   }
 
+  /**
+   * Puts a code the way codes are stored: trimmed and uppercased, so
+   * customers can type them in any case
+   * @param {string} code - Discount code as given
+   * @returns {string} - Discount code as stored
+   */
+  normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  /**
+   * Builds a failed validation result
+   * @param {string} errorCode - Machine-readable reason
+   * @param {string} message - Message for the shopper
+   * @param {object} [details] - Extra fields about the rule that failed
+   * @returns {object} - { isValid: false, errorCode, message, ...details }
+   */
+  reject(errorCode, message, details = {}) {
+    return { isValid: false, errorCode, message, ...details };
+  }
+
   /**
    * Applies discount to an amount
    * @param {number} amount - Original amount
    * @param {number} discountPercentage - Discount percentage to apply
+   * @param {string} [currency] - Currency of the amount (defaults to the base currency)
    * @returns {object} - Object with original amount, discount, and final amount
    */
-  applyDiscount(amount, discountPercentage) {
-    const discount = (amount * discountPercentage) / 100;
-    const finalAmount = amount - discount;
+  applyDiscount(
+    amount,
+    discountPercentage,
+    currency = dataStore.config.baseCurrency,
+  ) {
+    // The discount is rounded once; the final amount is what is left over
+    const original = money.toMinor(amount, currency);
+    const discount = money.percentage(original, discountPercentage);
 
     return {
-      originalAmount: parseFloat(amount.toFixed(2)),
-      discount: parseFloat(discount.toFixed(2)),
-      finalAmount: parseFloat(finalAmount.toFixed(2)),
+      originalAmount: money.toMajor(original, currency),
+      discount: money.toMajor(discount, currency),
+      finalAmount: money.toMajor(original - discount, currency),
       discountPercentage,
     };
   }
@@ -101,7 +356,58 @@ class DiscountService {
    * @param {string} code - Discount code to mark as used
    */
   markAsUsed(code) {
-    dataStore.markDiscountAsUsed(code);
+    dataStore.markDiscountAsUsed(this.normalizeCode(code));
+  }
+
+  /**
+   * Makes a used discount code valid again
+   * @param {string} code - Discount code
+   * @returns {object} - Reactivated discount code
+   */
+  reactivateDiscountCode(code) {
+    const discountInfo = dataStore.getDiscountCode(this.normalizeCode(code));
+    if (!discountInfo) {
+      throw new Error(`Discount code ${code} no longer exists`);
+    }
+    dataStore.markDiscountAsUnused(discountInfo.code);
+    return discountInfo;
+  }
+
+  /**
+   * Issues a fresh code worth the same as an existing one
+   * @param {string} code - Discount code being replaced
+   * @returns {object} - New discount code
+   */
+  reissueDiscountCode(code) {
+    const original = dataStore.getDiscountCode(this.normalizeCode(code));
+    if (!original) {
+      throw new Error(`Discount code ${code} no longer exists`);
+    }
+    if (original.revokedAt) {
+      throw new Error(`Discount code ${code} has been revoked`);
+    }
+
+    const discountInfo = {
+      code: this.createUniqueCode(),
+      ...promotionService.normalizePromotion(original),
+      generatedAt: new Date().toISOString(),
+      used: false,
+      usedAt: null,
+      orderNumber: original.orderNumber,
+      // Same promotion and rules as the original, with a single use to give back
+      ...RULE_FIELDS.reduce((rules, field) => {
+        rules[field] = original[field] === undefined ? null : original[field];
+        return rules;
+      }, {}),
+      maxUses: 1,
+      timesUsed: 0,
+      reissuedFrom: code,
+      // Revoking the campaign also revokes the replacement
+      ...(original.campaignId && { campaignId: original.campaignId }),
+    };
+
+    dataStore.createDiscountCode(discountInfo.code, discountInfo);
+    return discountInfo;
   }
 
   /**
@@ -111,6 +417,22 @@ class DiscountService {
   getAllDiscountCodes() {
     return dataStore.getAllDiscountCodes();
   }
+
+  /**
+   * Gets the codes bound to a customer that they can still use, such as the
+   * rewards they earned
+   * @param {string} userId - Customer
+   * @returns {array} - Discount codes
+   */
+  getUserDiscountCodes(userId) {
+    return dataStore
+      .getAllDiscountCodes()
+      .filter(
+        (discount) =>
+          discount.userId === userId &&
+          this.validateDiscountCode(discount.code, { userId }).isValid,
+      );
+  }
 }
 
 module.exports = new DiscountService();
@@ -3,8 +3,12 @@
  */
 
 const discountService = require('./discountService');
+const promotionService = require('./promotionService');
 const dataStore = require('./dataStore');
 
+// Settings of the store-wide nth-order reward
+const globalReward = dataStore.config.rewardStrategies.global_nth_order;
+
 describe('DiscountService', () => {
   beforeEach(() => {
     // Clear discount codes before each test
@@ -14,12 +18,12 @@ describe('DiscountService', () => {
 
   describe('generateDiscountCode', () => {
     test('should generate discount code for nth order', () => {
-      const nthOrder = dataStore.config.nthOrder;
+      const nthOrder = globalReward.nthOrder;
       const result = discountService.generateDiscountCode(nthOrder);
 
       expect(result).not.toBeNull();
       expect(result.code).toMatch(/^DISC-/);
-      expect(result.discountPercentage).toBe(dataStore.config.discountPercentage);
+      expect(result.discountPercentage).toBe(globalReward.discountPercentage);
       expect(result.used).toBe(false);
     });
 
@@ -29,7 +33,7 @@ describe('DiscountService', () => {
     });
 
     test('should generate discount code for multiples of nth order', () => {
-      const nthOrder = dataStore.config.nthOrder;
+      const nthOrder = globalReward.nthOrder;
       
       const result1 = discountService.generateDiscountCode(nthOrder);
       expect(result1).not.toBeNull();
@@ -41,7 +45,7 @@ describe('DiscountService', () => {
     });
 
     test('should store generated discount code', () => {
-      const nthOrder = dataStore.config.nthOrder;
+      const nthOrder = globalReward.nthOrder;
       const result = discountService.generateDiscountCode(nthOrder);
 
       const stored = dataStore.getDiscountCode(result.code);
@@ -63,21 +67,133 @@ describe('DiscountService', () => {
     });
 
     test('should return valid for unused discount code', () => {
-      const discount = discountService.generateDiscountCode(dataStore.config.nthOrder);
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
       const result = discountService.validateDiscountCode(discount.code);
 
       expect(result.isValid).toBe(true);
-      expect(result.discountPercentage).toBe(dataStore.config.discountPercentage);
+      expect(result.discountPercentage).toBe(globalReward.discountPercentage);
     });
 
     test('should return invalid for used discount code', () => {
-      const discount = discountService.generateDiscountCode(dataStore.config.nthOrder);
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
       discountService.markAsUsed(discount.code);
 
       const result = discountService.validateDiscountCode(discount.code);
       expect(result.isValid).toBe(false);
       expect(result.message).toContain('already been used');
     });
+
+    test('should accept codes in any case and with surrounding spaces', () => {
+      discountService.createDiscountCode({ discountPercentage: 20, code: 'SAVE20' });
+
+      const result = discountService.validateDiscountCode(' save20 ');
+
+      expect(result.isValid).toBe(true);
+      expect(result.discountInfo.code).toBe('SAVE20');
+    });
+  });
+
+  describe('discount rules', () => {
+    const cart = (items, subtotal) => ({ currency: 'USD', items, subtotal });
+    const laptop = { productId: '1', price: 1000, quantity: 1 };
+    const mouse = { productId: '2', price: 25, quantity: 2 };
+
+    test('should bind generated codes to the customer who earned them', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder, 'user-a');
+
+      expect(discount.userId).toBe('user-a');
+      expect(discountService.validateDiscountCode(discount.code, { userId: 'user-a' }).isValid).toBe(true);
+      expect(discountService.validateDiscountCode(discount.code, { userId: 'user-b' })).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_WRONG_USER',
+      });
+    });
+
+    test('should reject expired codes', () => {
+      const discount = discountService.createDiscountCode({
+        discountPercentage: 10,
+        expiresAt: '2000-01-01T00:00:00Z',
+      });
+
+      expect(discountService.validateDiscountCode(discount.code)).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_EXPIRED',
+      });
+    });
+
+    test('should allow a code up to its usage limit', () => {
+      const discount = discountService.createDiscountCode({ discountPercentage: 10, maxUses: 2 });
+
+      discountService.markAsUsed(discount.code);
+      expect(discountService.validateDiscountCode(discount.code).isValid).toBe(true);
+
+      discountService.markAsUsed(discount.code);
+      expect(discountService.validateDiscountCode(discount.code)).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_USAGE_LIMIT_REACHED',
+      });
+    });
+
+    test('should require the minimum subtotal', () => {
+      const discount = discountService.createDiscountCode({ discountPercentage: 10, minSubtotal: 100 });
+
+      expect(discountService.validateDiscountCode(discount.code, { cart: cart([mouse], 50) })).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_MIN_SUBTOTAL_NOT_MET',
+        minSubtotal: 100,
+      });
+      expect(discountService.validateDiscountCode(discount.code, { cart: cart([laptop], 1000) }).isValid).toBe(true);
+    });
+
+    test('should reject scoped codes when no item qualifies', () => {
+      const discount = discountService.createDiscountCode({ discountPercentage: 10, productIds: ['1'] });
+
+      expect(discountService.validateDiscountCode(discount.code, { cart: cart([mouse], 50) })).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_NOT_APPLICABLE',
+      });
+    });
+
+    test('should reject promotions that would take nothing off', () => {
+      const discount = discountService.createDiscountCode({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+      expect(discountService.validateDiscountCode(discount.code, { cart: cart([mouse], 50) })).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_NOT_APPLICABLE',
+      });
+      expect(discountService.validateDiscountCode(discount.code, { cart: cart([laptop, mouse], 1050) })).toMatchObject({
+        isValid: true,
+        type: 'buy_x_get_y',
+      });
+    });
+
+    test('should reject codes when a promotion can\'t be combined with them', () => {
+      const promotion = promotionService.createPromotion({
+        name: 'Members only',
+        discountPercentage: 5,
+        combinableWithCodes: false,
+      });
+      const discount = discountService.createDiscountCode({ discountPercentage: 10 });
+
+      expect(discountService.validateDiscountCode(discount.code, { cart: cart([laptop], 1000) })).toMatchObject({
+        isValid: false,
+        errorCode: 'DISCOUNT_CODE_NOT_COMBINABLE',
+        promotionId: promotion.id,
+      });
+
+      dataStore.promotions.clear();
+    });
+
+    test('should validate rules when creating codes', () => {
+      discountService.createDiscountCode({ discountPercentage: 10, code: 'spring-24' });
+
+      expect(() => discountService.createDiscountCode({ discountPercentage: 0 })).toThrow('Discount percentage');
+      expect(() => discountService.createDiscountCode({ discountPercentage: 10, code: 'SPRING-24' })).toThrow('already exists');
+      expect(() => discountService.createDiscountCode({ discountPercentage: 10, expiresAt: 'soon' })).toThrow('expiresAt');
+      expect(() => discountService.createDiscountCode({ discountPercentage: 10, maxUses: 0 })).toThrow('maxUses');
+      expect(() => discountService.createDiscountCode({ discountPercentage: 10, productIds: ['nope'] })).toThrow('Product nope not found');
+      expect(() => discountService.createDiscountCode({ type: 'bogus' })).toThrow('Invalid promotion type');
+    });
   });
 
   describe('applyDiscount', () => {
@@ -114,12 +230,63 @@ describe('DiscountService', () => {
 
   describe('markAsUsed', () => {
     test('should mark discount code as used', () => {
-      const discount = discountService.generateDiscountCode(dataStore.config.nthOrder);
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
       discountService.markAsUsed(discount.code);
 
       const stored = dataStore.getDiscountCode(discount.code);
       expect(stored.used).toBe(true);
       expect(stored.usedAt).toBeTruthy();
     });
+
+    test('should mark the stored code when given in lowercase', () => {
+      discountService.createDiscountCode({ discountPercentage: 20, code: 'SAVE20' });
+      discountService.markAsUsed('save20');
+
+      expect(dataStore.getDiscountCode('SAVE20').used).toBe(true);
+    });
+  });
+
+  describe('reactivateDiscountCode', () => {
+    test('should make a used code valid again', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      discountService.markAsUsed(discount.code);
+
+      discountService.reactivateDiscountCode(discount.code);
+
+      expect(discountService.validateDiscountCode(discount.code).isValid).toBe(true);
+    });
+
+    test('should throw for unknown codes', () => {
+      expect(() => {
+        discountService.reactivateDiscountCode('DISC-GONE');
+      }).toThrow('Discount code DISC-GONE no longer exists');
+    });
+  });
+
+  describe('reissueDiscountCode', () => {
+    test('should issue a new code with the same percentage', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      discountService.markAsUsed(discount.code);
+
+      const reissued = discountService.reissueDiscountCode(discount.code);
+
+      expect(reissued.code).not.toBe(discount.code);
+      expect(reissued.discountPercentage).toBe(discount.discountPercentage);
+      expect(reissued.reissuedFrom).toBe(discount.code);
+      expect(discountService.validateDiscountCode(reissued.code).isValid).toBe(true);
+      expect(dataStore.getDiscountCode(discount.code).used).toBe(true);
+    });
+  });
+
+  describe('getUserDiscountCodes', () => {
+    test('should only list the customer\'s own codes that still work', () => {
+      const mine = discountService.generateDiscountCode(globalReward.nthOrder, 'user-a');
+      const used = discountService.generateDiscountCode(globalReward.nthOrder, 'user-a');
+      discountService.markAsUsed(used.code);
+      discountService.generateDiscountCode(globalReward.nthOrder, 'user-b');
+      discountService.createDiscountCode({ discountPercentage: 10 }); // Not bound to anyone
+
+      expect(discountService.getUserDiscountCodes('user-a').map(discount => discount.code)).toEqual([mine.code]);
+    });
   });
 });
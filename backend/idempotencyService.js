@@ -0,0 +1,138 @@
+/**
+ * Idempotency Service
+ * Remembers successful checkout responses by Idempotency-Key so a retried
+ * or double-submitted request replays the original order instead of
+ * placing a second one.
+ */
+
+const crypto = require("crypto");
+const dataStore = require("./dataStore");
+
+const MAX_KEY_LENGTH = 255;
+
+class IdempotencyService {
+  /**
+   * Validates an Idempotency-Key header value
+   * @param {string} key - Header value
+   */
+  validateKey(key) {
+    if (typeof key !== "string" || !key.trim()) {
+      throw new Error("Idempotency-Key must not be empty");
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new Error(
+        `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      );
+    }
+  }
+
+  /**
+   * Fingerprints a request body, ignoring key order
+   * @param {object} body - Request body
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashRequest(body) {
+    const canonical = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(canonical);
+      }
+      if (value && typeof value === "object") {
+        return Object.keys(value)
+          .sort()
+          .reduce((result, key) => {
+            result[key] = canonical(value[key]);
+            return result;
+          }, {});
+      }
+      return value;
+    };
+
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(canonical(body || {})))
+      .digest("hex");
+  }
+
+  /**
+   * Looks up a key for a user
+   * @param {string} userId - User identifier (keys are scoped per user)
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Hash of the current request body
+   * @returns {object} - { status: "new" | "replay" | "mismatch", record? }
+   */
+  lookup(userId, key, requestHash) {
+    const storeKey = this.getStoreKey(userId, key);
+    const record = dataStore.getIdempotencyKey(storeKey);
+
+    if (!record) {
+      return { status: "new" };
+    }
+
+    if (Date.parse(record.expiresAt) <= Date.now()) {
+      dataStore.deleteIdempotencyKey(storeKey);
+      return { status: "new" };
+    }
+
+    if (record.requestHash !== requestHash) {
+      return { status: "mismatch", record };
+    }
+
+    return { status: "replay", record };
+  }
+
+  /**
+   * Stores the response for a key. Expired keys are purged at the same time.
+   * @param {string} userId - User identifier
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Hash of the request body
+   * @param {object} response - { statusCode, body } to replay
+   * @returns {object} - Stored record
+   */
+  save(userId, key, requestHash, response) {
+    this.purgeExpired();
+
+    const ttlMs = dataStore.config.idempotencyKeyTtlHours * 60 * 60 * 1000;
+    const now = Date.now();
+    const record = {
+      key,
+      userId,
+      requestHash,
+      response,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+
+    dataStore.saveIdempotencyKey(this.getStoreKey(userId, key), record);
+    return record;
+  }
+
+  /**
+   * Deletes expired keys
+   * @param {number} [now] - Current time in ms
+   * @returns {number} - Number of keys deleted
+   */
+  purgeExpired(now = Date.now()) {
+    let purged = 0;
+    dataStore.getAllIdempotencyKeys().forEach((record) => {
+      if (Date.parse(record.expiresAt) <= now) {
+        dataStore.deleteIdempotencyKey(
+          this.getStoreKey(record.userId, record.key),
+        );
+        purged++;
+      }
+    });
+    return purged;
+  }
+
+  /**
+   * Builds the DataStore key for a user's idempotency key
+   * @param {string} userId - User identifier
+   * @param {string} key - Idempotency key
+   * @returns {string} - Store key
+   */
+  getStoreKey(userId, key) {
+    return `${userId}:${key}`;
+  }
+}
+
+module.exports = new IdempotencyService();
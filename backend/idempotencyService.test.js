@@ -0,0 +1,104 @@
+/**
+ * Unit tests for Idempotency Service
+ */
+
+const idempotencyService = require('./idempotencyService');
+const dataStore = require('./dataStore');
+
+describe('IdempotencyService', () => {
+  const userId = 'test-user-1';
+  const key = 'checkout-123';
+  const response = { statusCode: 200, body: { success: true, order: { id: 'order-1' } } };
+
+  beforeEach(() => {
+    dataStore.idempotencyKeys.clear();
+    dataStore.config.idempotencyKeyTtlHours = 24;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateKey', () => {
+    test('should accept a normal key', () => {
+      expect(() => idempotencyService.validateKey('abc-123')).not.toThrow();
+    });
+
+    test('should reject empty keys', () => {
+      expect(() => idempotencyService.validateKey('  ')).toThrow('Idempotency-Key must not be empty');
+    });
+
+    test('should reject overly long keys', () => {
+      expect(() => idempotencyService.validateKey('x'.repeat(256))).toThrow('at most 255 characters');
+    });
+  });
+
+  describe('hashRequest', () => {
+    test('should ignore key order', () => {
+      const a = idempotencyService.hashRequest({ userId: 'u', discountCode: 'D' });
+      const b = idempotencyService.hashRequest({ discountCode: 'D', userId: 'u' });
+      expect(a).toBe(b);
+    });
+
+    test('should differ for different bodies', () => {
+      const a = idempotencyService.hashRequest({ userId: 'u' });
+      const b = idempotencyService.hashRequest({ userId: 'u', discountCode: 'D' });
+      expect(a).not.toBe(b);
+    });
+  });
+
+  describe('lookup', () => {
+    test('should report unknown keys as new', () => {
+      expect(idempotencyService.lookup(userId, key, 'hash').status).toBe('new');
+    });
+
+    test('should replay a stored response for the same body', () => {
+      idempotencyService.save(userId, key, 'hash', response);
+
+      const result = idempotencyService.lookup(userId, key, 'hash');
+      expect(result.status).toBe('replay');
+      expect(result.record.response).toEqual(response);
+    });
+
+    test('should flag a reused key with a different body', () => {
+      idempotencyService.save(userId, key, 'hash', response);
+
+      expect(idempotencyService.lookup(userId, key, 'other-hash').status).toBe('mismatch');
+    });
+
+    test('should scope keys per user', () => {
+      idempotencyService.save(userId, key, 'hash', response);
+
+      expect(idempotencyService.lookup('someone-else', key, 'hash').status).toBe('new');
+    });
+
+    test('should treat expired keys as new and delete them', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      idempotencyService.save(userId, key, 'hash', response);
+
+      Date.now.mockReturnValue(now + 25 * 60 * 60 * 1000);
+      expect(idempotencyService.lookup(userId, key, 'hash').status).toBe('new');
+      expect(dataStore.getAllIdempotencyKeys()).toHaveLength(0);
+    });
+  });
+
+  describe('save', () => {
+    test('should expire after the configured window', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00.000Z'));
+      dataStore.config.idempotencyKeyTtlHours = 2;
+
+      const record = idempotencyService.save(userId, key, 'hash', response);
+      expect(record.expiresAt).toBe('2024-01-01T02:00:00.000Z');
+    });
+
+    test('should purge expired keys', () => {
+      dataStore.config.idempotencyKeyTtlHours = 0;
+      idempotencyService.save(userId, 'old-key', 'hash', response);
+      dataStore.config.idempotencyKeyTtlHours = 24;
+      idempotencyService.save(userId, key, 'hash', response);
+
+      expect(dataStore.getAllIdempotencyKeys().map(r => r.key)).toEqual([key]);
+    });
+  });
+});
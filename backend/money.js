@@ -0,0 +1,143 @@
+/**
+ * Money
+ * Integer minor-unit arithmetic for prices and totals.
+ *
+ * Amounts are stored and returned by the API in major units (19.99), but
+ * every calculation converts them to integer minor units (1999) first so
+ * sums never drift. Results are rounded once, half away from zero
+ * ("half-up"): 0.5 cents becomes 1 cent and -0.5 cents becomes -1 cent.
+ */
+
+// Minor units per currency (ISO 4217 exponent)
+const CURRENCY_DECIMALS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  JPY: 0,
+};
+
+/**
+ * Gets the number of decimal places a currency uses
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Decimal places
+ */
+function getDecimals(currency) {
+  if (!Object.prototype.hasOwnProperty.call(CURRENCY_DECIMALS, currency)) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return CURRENCY_DECIMALS[currency];
+}
+
+/**
+ * Strips binary floating point noise (e.g. 652.4999999999999) before rounding
+ * @param {number} value - Value to clean
+ * @returns {number} - Value with 12 significant digits
+ */
+function clean(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Rounds to an integer, half away from zero
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded integer
+ */
+function roundHalfUp(value) {
+  const cleaned = clean(value);
+  return Math.sign(cleaned) * Math.round(Math.abs(cleaned));
+}
+
+/**
+ * Converts a major-unit amount to integer minor units
+ * @param {number} amount - Amount in major units (19.99)
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Integer minor units (1999)
+ */
+function toMinor(amount, currency) {
+  return roundHalfUp(amount * 10 ** getDecimals(currency));
+}
+
+/**
+ * Converts integer minor units to a major-unit amount
+ * @param {number} minor - Integer minor units (1999)
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Amount in major units (19.99)
+ */
+function toMajor(minor, currency) {
+  return clean(minor / 10 ** getDecimals(currency));
+}
+
+/**
+ * Takes a percentage of a minor-unit amount
+ * @param {number} minor - Integer minor units
+ * @param {number} percent - Percentage (7.25 for 7.25%)
+ * @returns {number} - Integer minor units, rounded half-up
+ */
+function percentage(minor, percent) {
+  return roundHalfUp((minor * percent) / 100);
+}
+
+/**
+ * Multiplies a minor-unit amount by a factor
+ * @param {number} minor - Integer minor units
+ * @param {number} factor - Factor (a weight, an exchange rate, ...)
+ * @returns {number} - Integer minor units, rounded half-up
+ */
+function multiply(minor, factor) {
+  return roundHalfUp(minor * factor);
+}
+
+/**
+ * Splits a minor-unit amount in proportion to weights. The parts always add
+ * up to the amount; leftover units go to the largest remainders.
+ * @param {number} minor - Integer minor units to split
+ * @param {array} weights - Non-negative weights, one per part
+ * @returns {array} - Integer minor units per part
+ */
+function allocate(minor, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight === 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map((weight) => (minor * weight) / totalWeight);
+  const parts = exact.map((value) => Math.floor(clean(value)));
+  let leftover = minor - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        parts[index]++;
+        leftover--;
+      }
+    });
+
+  return parts;
+}
+
+/**
+ * Converts a major-unit amount between currencies
+ * @param {number} amount - Amount in major units of `from`
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert to
+ * @param {number} rate - Units of `to` per unit of `from`
+ * @returns {number} - Amount in major units of `to`, rounded half-up
+ */
+function convert(amount, from, to, rate) {
+  const scale = 10 ** (getDecimals(to) - getDecimals(from));
+  return toMajor(multiply(toMinor(amount, from), rate * scale), to);
+}
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  getDecimals,
+  roundHalfUp,
+  toMinor,
+  toMajor,
+  percentage,
+  multiply,
+  allocate,
+  convert,
+};
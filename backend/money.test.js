@@ -0,0 +1,58 @@
+/**
+ * Unit tests for Money
+ */
+
+const money = require('./money');
+
+describe('Money', () => {
+  describe('toMinor', () => {
+    test('should convert to integer minor units', () => {
+      expect(money.toMinor(19.99, 'USD')).toBe(1999);
+      expect(money.toMinor(1500, 'JPY')).toBe(1500);
+    });
+
+    test('should round half-up despite floating point noise', () => {
+      expect(money.toMinor(1.005, 'USD')).toBe(101);
+      expect(money.toMinor(0.1 + 0.2, 'USD')).toBe(30);
+      expect(money.toMinor(-1.005, 'USD')).toBe(-101);
+    });
+
+    test('should reject unknown currencies', () => {
+      expect(() => money.toMinor(1, 'XYZ')).toThrow('Unsupported currency: XYZ');
+    });
+  });
+
+  describe('toMajor', () => {
+    test('should convert back to major units', () => {
+      expect(money.toMajor(1999, 'USD')).toBe(19.99);
+      expect(money.toMajor(1500, 'JPY')).toBe(1500);
+    });
+  });
+
+  describe('percentage', () => {
+    test('should round half-up away from zero', () => {
+      expect(money.percentage(1005, 50)).toBe(503);
+      expect(money.percentage(-1005, 50)).toBe(-503);
+      expect(money.percentage(90000, 7.25)).toBe(6525);
+    });
+  });
+
+  describe('allocate', () => {
+    test('should split into parts that add up to the amount', () => {
+      expect(money.allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+      expect(money.allocate(1000, [3, 1])).toEqual([750, 250]);
+    });
+
+    test('should give nothing when every weight is zero', () => {
+      expect(money.allocate(1000, [0, 0])).toEqual([0, 0]);
+    });
+  });
+
+  describe('convert', () => {
+    test('should convert between currencies with different decimals', () => {
+      expect(money.convert(10, 'USD', 'JPY', 150)).toBe(1500);
+      expect(money.convert(1234, 'JPY', 'USD', 1 / 150)).toBe(8.23);
+      expect(money.convert(25, 'USD', 'EUR', 0.92)).toBe(23);
+    });
+  });
+});
@@ -7,15 +7,173 @@ const { v4: uuidv4 } = require("uuid");
 const dataStore = require("./dataStore");
 const cartService = require("./cartService");
 const discountService = require("./discountService");
+const reservationService = require("./reservationService");
+const paymentService = require("./paymentService");
+const taxService = require("./taxService");
+const addressService = require("./addressService");
+const shippingService = require("./shippingService");
+const promotionService = require("./promotionService");
+const rewardService = require("./rewardService");
+const currencyService = require("./currencyService");
+const money = require("./money");
+const UnitOfWork = require("./unitOfWork");
+
+// Allowed order status transitions (from -> allowed next statuses)
+const ORDER_TRANSITIONS = {
+  pending_payment: ["paid", "cancelled"],
+  paid: ["fulfilled", "cancelled", "refunded"],
+  fulfilled: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+// Ways to give a customer back the discount code used on an order
+const DISCOUNT_ACTIONS = ["reactivate", "reissue"];
 
 class OrderService {
   /**
-   * Processes checkout and creates an order
+   * Processes checkout: authorizes payment and creates the order.
+   * If the payment needs the customer to authenticate, no order is created
+   * yet; the returned payment is completed with confirmCheckout().
+   * @param {string} userId - User identifier
+   * @param {string} discountCode - Optional discount code
+   * @param {string} [paymentMethod] - Payment method token
+   * @param {object} [delivery] - Where the order goes (see prepareOrder)
+   * @returns {object} - Created order with discount info, or the pending
+   *   payment if authentication is required
+   */
+  checkout(userId, discountCode = null, paymentMethod = null, delivery = {}) {
+    const order = this.prepareOrder(userId, discountCode, delivery);
+
+    // Nothing is saved until the payment is authorized
+    const payment = paymentService.authorize(
+      order.finalAmount,
+      order.currency,
+      paymentMethod,
+      { userId, orderId: order.id },
+    );
+
+    if (payment.status === "requires_action") {
+      return {
+        order: null,
+        payment: paymentService.summarize(payment),
+        message: "Payment requires authentication",
+        newDiscountCode: null,
+      };
+    }
+
+    return this.placeOrder(order, payment);
+  }
+
+  /**
+   * Finishes a checkout whose payment required customer authentication
    * @param {string} userId - User identifier
+   * @param {string} paymentId - Payment returned by checkout()
    * @param {string} discountCode - Optional discount code
+   * @param {object} [delivery] - Same delivery options as the checkout
    * @returns {object} - Created order with discount info
    */
-  checkout(userId, discountCode = null) {
+  confirmCheckout(userId, paymentId, discountCode = null, delivery = {}) {
+    const pending = paymentService.retrieve(paymentId);
+    if (pending.metadata.userId !== userId) {
+      throw new Error(`Payment ${paymentId} not found`);
+    }
+
+    // Validate first so a bad cart doesn't leave the payment authorized
+    const order = this.prepareOrder(userId, discountCode, delivery);
+    order.id = pending.metadata.orderId;
+    if (
+      pending.amount !== order.finalAmount ||
+      pending.currency !== order.currency
+    ) {
+      throw new Error(
+        "Cart changed while the payment was pending. Please check out again",
+      );
+    }
+
+    const payment = paymentService.confirm(paymentId);
+    return this.placeOrder(order, payment);
+  }
+
+  /**
+   * Previews a checkout: the totals checkout() would charge right now and
+   * the reward the order would earn. Nothing is saved, held or authorized.
+   * A refused discount code doesn't fail the quote; the totals are worked
+   * out without it and the refusal is returned next to them.
+   * @param {string} userId - User identifier
+   * @param {string} discountCode - Optional discount code
+   * @param {object} [delivery] - Where the order would go (see prepareOrder)
+   * @returns {object} - Quote with the order's totals, `discountCodeError`
+   *   ({ errorCode, message } or null) and `reward` (as for
+   *   rewardService.getReward())
+   */
+  quote(userId, discountCode = null, delivery = {}) {
+    let order;
+    let discountCodeError = null;
+    try {
+      order = this.prepareOrder(userId, discountCode, delivery);
+    } catch (error) {
+      // Only discount code rejections carry an error code
+      if (!error.code) {
+        throw error;
+      }
+      discountCodeError = { errorCode: error.code, message: error.message };
+      order = this.prepareOrder(userId, null, delivery);
+    }
+
+    return {
+      currency: order.currency,
+      items: order.items,
+      subtotal: order.subtotal,
+      promotions: order.promotions,
+      discountCode: order.discountCode,
+      discountType: order.discountType,
+      discountPercentage: order.discountPercentage,
+      discountCodeError,
+      discount: order.discount,
+      tax: order.tax,
+      destination: order.destination,
+      shipping: order.shipping,
+      shippingCost: order.shippingCost,
+      shippingDiscount: order.shippingDiscount,
+      finalAmount: order.finalAmount,
+      reward: rewardService.previewReward(order),
+    };
+  }
+
+  /**
+   * Validates the cart and discount code and builds an unsaved order
+   * @param {string} userId - User identifier
+   * @param {string} discountCode - Optional discount code
+   * @param {object} [delivery] - Where the order goes
+   * @param {string} [delivery.addressId] - Saved shipping address
+   * @param {string} [delivery.shippingMethod] - Shipping method ID
+   * @param {object} [delivery.destination] - { country, state? } to charge
+   *   tax for when nothing is shipped; no tax without an address or this
+   * @returns {object} - Order
+   */
+  prepareOrder(userId, discountCode = null, delivery = {}) {
+    const {
+      addressId = null,
+      shippingMethod = null,
+      destination = null,
+    } = delivery || {};
+
+    const shippingAddress = addressId
+      ? { ...addressService.getAddress(userId, addressId) }
+      : null;
+    const method = shippingMethod
+      ? shippingService.getShippingMethod(shippingMethod)
+      : null;
+    if (method && !shippingAddress) {
+      throw new Error("A shipping address is required");
+    }
+    if (shippingAddress && !method) {
+      throw new Error("Select a shipping method");
+    }
+
     // Validate cart
     const cartValidation = cartService.validateCart(userId);
     if (!cartValidation.isValid) {
@@ -23,59 +181,199 @@ class OrderService {
     }
 
     const cart = cartValidation.cart;
+    const { currency } = cart;
     let discountInfo = null;
-    let appliedDiscount = null;
 
     // Validate and apply discount code if provided
     if (discountCode) {
-      const validation = discountService.validateDiscountCode(discountCode);
+      const validation = discountService.validateDiscountCode(discountCode, {
+        userId,
+        cart,
+      });
       if (!validation.isValid) {
-        throw new Error(validation.message);
+        const error = new Error(validation.message);
+        error.code = validation.errorCode;
+        throw error;
       }
 
       discountInfo = validation.discountInfo;
-      appliedDiscount = discountService.applyDiscount(
-        cart.subtotal,
-        validation.discountPercentage,
-      );
     }
 
+    // Automatic promotions first, then the code on what they left
+    const applied = promotionService.applyPromotions(cart, discountInfo);
+
+    // Tax is charged on the discounted amount, at the shipping address
+    const { discount } = applied;
+    const lineDiscounts = applied.lines.map((line) => line.discount);
+    const taxDestination = shippingAddress
+      ? { country: shippingAddress.country, state: shippingAddress.state }
+      : destination;
+    const taxResult = taxDestination
+      ? taxService.calculateTax(
+          cart.items,
+          lineDiscounts,
+          taxDestination,
+          currency,
+        )
+      : null;
+    const tax = taxResult ? taxResult.tax : 0;
+    const discountedAmount = money.toMajor(
+      money.toMinor(cart.subtotal, currency) -
+        money.toMinor(discount, currency),
+      currency,
+    );
+
+    const shipping = method
+      ? {
+          method: method.id,
+          name: method.name,
+          cost: shippingService.calculateRate(
+            method,
+            cart.items,
+            discountedAmount,
+            currency,
+          ),
+        }
+      : null;
+    const shippingCost = shipping ? shipping.cost : 0;
+    const shippingDiscount = applied.freeShipping ? shippingCost : 0;
+
     // Create order
-    const order = {
+    const createdAt = new Date().toISOString();
+    return {
       id: uuidv4(),
       userId,
-      items: cart.items.map((item) => ({ ...item })), // Deep copy
+      currency,
+      // Base currency -> order currency, for reporting in the base currency
+      exchangeRate: currencyService.getExchangeRate(currency),
+      // Deep copy, with each line's share of the discount, tax class and
+      // tax rate for later refunds
+      items: cart.items.map((item, index) => ({
+        ...item,
+        discount: applied.lines[index].discount,
+        taxClass: taxResult
+          ? taxResult.lines[index].taxClass
+          : taxService.getTaxClass(item.productId),
+        taxRate: taxResult ? taxResult.lines[index].taxRate : 0,
+      })),
       subtotal: cart.subtotal,
-      discount: appliedDiscount ? appliedDiscount.discount : 0,
-      finalAmount: appliedDiscount
-        ? appliedDiscount.finalAmount
-        : cart.subtotal,
-      discountCode: discountCode || null,
-      discountPercentage: appliedDiscount
-        ? appliedDiscount.discountPercentage
-        : 0,
-      createdAt: new Date().toISOString(),
-      status: "completed",
+      discount,
+      tax,
+      shippingCost,
+      shippingDiscount,
+      finalAmount: money.toMajor(
+        money.toMinor(discountedAmount, currency) +
+          money.toMinor(tax, currency) +
+          money.toMinor(shippingCost, currency) -
+          money.toMinor(shippingDiscount, currency),
+        currency,
+      ),
+      destination: taxResult ? taxResult.destination : null,
+      shippingAddress,
+      shipping,
+      promotions: applied.promotions,
+      discountCode: discountInfo ? discountInfo.code : null,
+      discountType: discountInfo
+        ? promotionService.getType(discountInfo)
+        : null,
+      discountPercentage:
+        (discountInfo && discountInfo.discountPercentage) || 0,
+      createdAt,
+      status: "pending_payment",
+      statusHistory: [{ status: "pending_payment", at: createdAt, note: null }],
+      refunds: [],
+      refundedAmount: 0,
+      payment: null,
     };
+  }
 
-    // Save order
-    dataStore.createOrder(order);
+  /**
+   * Saves an order whose payment is authorized, takes its stock and clears
+   * the cart
+   * @param {object} order - Order from prepareOrder()
+   * @param {object} payment - Authorized payment
+   * @returns {object} - Created order with discount info
+   */
+  placeOrder(order, payment) {
+    const { userId, discountCode } = order;
+    order.payment = paymentService.summarize(payment);
 
-    // Mark discount code as used if applied
-    if (discountCode && discountInfo) {
-      discountService.markAsUsed(discountCode);
-    }
+    // Apply every mutation as one unit so a failure part way through
+    // leaves no half-placed order behind
+    let newDiscountCode = null;
+    new UnitOfWork().run((unit) => {
+      // The payment was authorized before the unit started; release it if
+      // the order cannot be placed
+      unit.step(
+        () => {},
+        () => {
+          order.payment = paymentService.void(order.payment);
+        },
+      );
+
+      // Save order
+      const previousOrderCount = dataStore.getOrderCount();
+      unit.step(
+        () => dataStore.createOrder(order),
+        () => {
+          dataStore.deleteOrder(order.id);
+          dataStore.setOrderCount(previousOrderCount);
+        },
+      );
+
+      // Mark discount code as used if applied. Only a use that was actually
+      // counted is undone, or a multi-use code would get an extra use back.
+      if (discountCode) {
+        const timesUsed = () => {
+          const discount = dataStore.getDiscountCode(discountCode);
+          return discount ? dataStore.getTimesUsed(discount) : 0;
+        };
+        const previousTimesUsed = timesUsed();
+        unit.step(
+          () => discountService.markAsUsed(discountCode),
+          () => {
+            if (timesUsed() > previousTimesUsed) {
+              dataStore.markDiscountAsUnused(discountCode);
+            }
+          },
+        );
+      }
 
-    // Update product stock
-    this.updateProductStock(order.items);
+      // Update product stock, one line at a time so each can be undone
+      order.items.forEach((item) => {
+        const restoreStock = this.snapshotStock(item);
+        unit.step(() => this.updateProductStock([item]), restoreStock);
+      });
 
-    // Clear cart
-    cartService.clearCart(userId);
+      // Clear cart
+      const cartItems = cartService
+        .getCart(userId)
+        .items.map((item) => ({ ...item }));
+      const holds = reservationService.getUserReservations(userId);
+      unit.step(
+        () => cartService.clearCart(userId),
+        () => {
+          dataStore.updateCart(userId, {
+            userId,
+            currency: order.currency,
+            items: cartItems,
+          });
+          reservationService.restore(holds);
+        },
+      );
 
-    // Check if this order qualifies for a new discount code
-    const currentOrderNumber = dataStore.getOrderCount();
-    const newDiscountCode =
-      discountService.generateDiscountCode(currentOrderNumber);
+      // Check if this order earns a discount code under the reward strategy
+      unit.step(
+        () => {
+          newDiscountCode = rewardService.issueReward(order);
+        },
+        () => {
+          if (newDiscountCode) {
+            dataStore.deleteDiscountCode(newDiscountCode.code);
+          }
+        },
+      );
+    });
 
     return {
       order,
@@ -90,6 +388,32 @@ class OrderService {
     };
   }
 
+  /**
+   * Captures the current stock of an order line's product and variant
+   * @param {object} item - Order item
+   * @returns {function} - Restores the captured stock levels
+   */
+  snapshotStock(item) {
+    const product = dataStore.getProduct(item.productId);
+    if (!product) {
+      return () => {};
+    }
+
+    const productStock = product.stock;
+    const variant = item.sku
+      ? (product.variants || []).find((v) => v.sku === item.sku)
+      : null;
+    const variantStock = variant ? variant.stock : null;
+
+    return () => {
+      product.stock = productStock;
+      if (variant) {
+        variant.stock = variantStock;
+      }
+      dataStore.saveProduct(product);
+    };
+  }
+
   /**
    * Updates product stock after order placement
    * @param {array} items - Order items
@@ -98,9 +422,317 @@ class OrderService {
     items.forEach((item) => {
       const product = dataStore.getProduct(item.productId);
       if (product) {
+        // Product stock is the sum of variant stock, so both move together
+        const variant = item.sku
+          ? (product.variants || []).find((v) => v.sku === item.sku)
+          : null;
+        if (variant) {
+          variant.stock -= item.quantity;
+        }
         product.stock -= item.quantity;
+        dataStore.saveProduct(product);
+      }
+    });
+  }
+
+  /**
+   * Puts an order's units back into stock. Lines whose product or variant
+   * has since been deleted are skipped.
+   * @param {array} items - Order items
+   */
+  restockItems(items) {
+    items.forEach((item) => {
+      const product = dataStore.getProduct(item.productId);
+      if (!product) {
+        return;
+      }
+      const variant = item.sku
+        ? (product.variants || []).find((v) => v.sku === item.sku)
+        : null;
+      if (item.sku && !variant) {
+        return;
+      }
+      if (variant) {
+        variant.stock += item.quantity;
+      }
+      product.stock += item.quantity;
+      dataStore.saveProduct(product);
+    });
+  }
+
+  /**
+   * Cancels an order, puts its stock back and refunds anything collected
+   * @param {string} orderId - Order identifier
+   * @param {object} [options] - Cancellation options
+   * @param {string} [options.reason] - Reason shown in the status history
+   * @param {string} [options.discountCode] - "reactivate" or "reissue" the
+   *   discount code used on the order
+   * @returns {object} - { order, discountCode } where discountCode is the
+   *   reactivated or reissued code, if any
+   */
+  cancelOrder(orderId, { reason = null, discountCode = null } = {}) {
+    const order = this.getOrder(orderId);
+    this.assertTransition(order, "cancelled");
+    this.validateDiscountAction(order, discountCode);
+
+    const collected = order.status !== "pending_payment";
+    let restoredCode = null;
+
+    new UnitOfWork().run((unit) => {
+      order.items.forEach((item) => {
+        const restoreStock = this.snapshotStock(item);
+        unit.step(() => this.restockItems([item]), restoreStock);
+      });
+
+      if (discountCode) {
+        unit.step(
+          () => {
+            restoredCode = this.restoreDiscount(order, discountCode);
+          },
+          () => this.undoRestoreDiscount(order, discountCode, restoredCode),
+        );
+      }
+
+      this.transitionStep(unit, order, "cancelled", reason);
+
+      // Money already taken for the order goes back in full; an
+      // authorization that was never captured is released. Both go last:
+      // the provider can't undo them if a later step failed.
+      if (collected) {
+        const refundable = this.getRefundableAmount(order);
+        if (refundable > 0) {
+          this.issueRefund(order, refundable, reason);
+        }
+      } else if (order.payment && order.payment.status === "authorized") {
+        order.payment = paymentService.void(order.payment);
+        dataStore.saveOrder(order);
+      }
+    });
+
+    return { order, discountCode: restoredCode };
+  }
+
+  /**
+   * Records a full or partial refund. A refund that covers the rest of the
+   * order moves it to "refunded".
+   * @param {string} orderId - Order identifier
+   * @param {object} [options] - Refund options
+   * @param {number} [options.amount] - Amount to refund (defaults to the
+   *   remaining refundable amount)
+   * @param {string} [options.reason] - Reason for the refund
+   * @param {string} [options.discountCode] - "reactivate" or "reissue" the
+   *   discount code (full refunds only)
+   * @returns {object} - { order, refund, discountCode }
+   */
+  refundOrder(
+    orderId,
+    { amount = null, reason = null, discountCode = null } = {},
+  ) {
+    const order = this.getOrder(orderId);
+
+    if (!this.canTransition(order.status, "refunded")) {
+      throw new Error(`Cannot refund an order that is ${order.status}`);
+    }
+
+    const refundable = this.getRefundableAmount(order);
+    const refundAmount =
+      amount === null || amount === undefined
+        ? refundable
+        : money.toMajor(
+            money.toMinor(Number(amount), this.getCurrency(order)),
+            this.getCurrency(order),
+          );
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      throw new Error("Refund amount must be a positive number");
+    }
+    if (refundAmount > refundable) {
+      throw new Error(
+        `Refund amount exceeds refundable amount of ${refundable}`,
+      );
+    }
+
+    const isFullRefund = refundAmount === refundable;
+    if (discountCode && !isFullRefund) {
+      throw new Error(
+        "Discount codes can only be restored when the whole order is refunded",
+      );
+    }
+    this.validateDiscountAction(order, discountCode);
+
+    let restoredCode = null;
+    let refund = null;
+
+    new UnitOfWork().run((unit) => {
+      if (discountCode) {
+        unit.step(
+          () => {
+            restoredCode = this.restoreDiscount(order, discountCode);
+          },
+          () => this.undoRestoreDiscount(order, discountCode, restoredCode),
+        );
       }
+
+      if (isFullRefund) {
+        this.transitionStep(unit, order, "refunded", reason);
+      }
+
+      // Last, as the provider can't undo a refund if a later step failed
+      refund = this.issueRefund(order, refundAmount, reason);
     });
+
+    return { order, refund, discountCode: restoredCode };
+  }
+
+  /**
+   * Gets the amount of an order that has not been refunded yet
+   * @param {object} order - Order
+   * @returns {number} - Refundable amount
+   */
+  getRefundableAmount(order) {
+    const currency = this.getCurrency(order);
+    return money.toMajor(
+      money.toMinor(order.finalAmount, currency) -
+        money.toMinor(order.refundedAmount || 0, currency),
+      currency,
+    );
+  }
+
+  /**
+   * Gets the currency an order was placed in
+   * @param {object} order - Order
+   * @returns {string} - Currency code (orders placed before currencies existed use the base currency)
+   */
+  getCurrency(order) {
+    return order.currency || currencyService.getBaseCurrency();
+  }
+
+  /**
+   * Returns money to the customer through the payment provider and records
+   * the refund on the order. Orders without a captured payment are only
+   * recorded.
+   * @param {object} order - Order
+   * @param {number} amount - Amount to refund
+   * @param {string} [reason] - Reason for the refund
+   * @returns {object} - Refund record
+   */
+  issueRefund(order, amount, reason = null) {
+    const providerRefund =
+      order.payment && order.payment.status === "captured"
+        ? paymentService.refund(order.payment, amount)
+        : null;
+    return this.recordRefund(
+      order,
+      amount,
+      reason,
+      providerRefund ? providerRefund.id : null,
+    );
+  }
+
+  /**
+   * Appends a refund to an order and saves it
+   * @param {object} order - Order
+   * @param {number} amount - Amount refunded
+   * @param {string} [reason] - Reason for the refund
+   * @param {string} [providerRefundId] - Refund ID at the payment provider
+   * @returns {object} - Refund record, with its share of the order's `tax`
+   */
+  recordRefund(order, amount, reason = null, providerRefundId = null) {
+    const currency = this.getCurrency(order);
+    const refund = {
+      id: uuidv4(),
+      amount: money.toMajor(money.toMinor(amount, currency), currency),
+      tax: this.getRefundTax(order, amount),
+      reason,
+      providerRefundId,
+      at: new Date().toISOString(),
+    };
+    order.refunds = order.refunds || [];
+    order.refunds.push(refund);
+    order.refundedAmount = money.toMajor(
+      money.toMinor(order.refundedAmount || 0, currency) +
+        money.toMinor(refund.amount, currency),
+      currency,
+    );
+    dataStore.saveOrder(order);
+    return refund;
+  }
+
+  /**
+   * Works out how much of a refund is tax: the tax not refunded yet, in
+   * proportion to how much of what is left to refund this refund covers.
+   * Refunding the rest of an order always gives back the rest of its tax.
+   * @param {object} order - Order, before the refund is recorded
+   * @param {number} amount - Amount being refunded
+   * @returns {number} - Tax part of the refund
+   */
+  getRefundTax(order, amount) {
+    const currency = this.getCurrency(order);
+    const refundedTax = (order.refunds || []).reduce(
+      (sum, refund) => sum + money.toMinor(refund.tax || 0, currency),
+      0,
+    );
+    const remainingTax = money.toMinor(order.tax || 0, currency) - refundedTax;
+    const remaining = money.toMinor(this.getRefundableAmount(order), currency);
+    if (remainingTax <= 0 || remaining <= 0) {
+      return 0;
+    }
+    return money.toMajor(
+      money.multiply(
+        remainingTax,
+        Math.min(1, money.toMinor(amount, currency) / remaining),
+      ),
+      currency,
+    );
+  }
+
+  /**
+   * Checks a discount restore option against an order
+   * @param {object} order - Order
+   * @param {string|null} action - "reactivate", "reissue" or null
+   */
+  validateDiscountAction(order, action) {
+    if (!action) {
+      return;
+    }
+    if (!DISCOUNT_ACTIONS.includes(action)) {
+      throw new Error(
+        `Invalid discount code action: ${action}. Must be one of: ${DISCOUNT_ACTIONS.join(", ")}`,
+      );
+    }
+    if (!order.discountCode) {
+      throw new Error("Order did not use a discount code");
+    }
+  }
+
+  /**
+   * Reactivates or reissues the discount code used on an order
+   * @param {object} order - Order
+   * @param {string} action - "reactivate" or "reissue"
+   * @returns {object} - The reactivated or newly issued discount code
+   */
+  restoreDiscount(order, action) {
+    if (action === "reissue") {
+      return discountService.reissueDiscountCode(order.discountCode);
+    }
+    return discountService.reactivateDiscountCode(order.discountCode);
+  }
+
+  /**
+   * Undoes restoreDiscount
+   * @param {object} order - Order
+   * @param {string} action - "reactivate" or "reissue"
+   * @param {object|null} restored - Result of restoreDiscount, if it ran
+   */
+  undoRestoreDiscount(order, action, restored) {
+    if (!restored) {
+      return;
+    }
+    if (action === "reissue") {
+      dataStore.deleteDiscountCode(restored.code);
+    } else {
+      dataStore.markDiscountAsUsed(order.discountCode);
+    }
   }
 
   /**
@@ -116,6 +748,92 @@ class OrderService {
     return order;
   }
 
+  /**
+   * Checks whether an order may move from one status to another
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean} - True if the transition is allowed
+   */
+  canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Throws if an order may not move to a status
+   * @param {object} order - Order
+   * @param {string} status - Requested status
+   */
+  assertTransition(order, status) {
+    if (!Object.prototype.hasOwnProperty.call(ORDER_TRANSITIONS, status)) {
+      throw new Error(
+        `Invalid order status: ${status}. Must be one of: ${Object.keys(ORDER_TRANSITIONS).join(", ")}`,
+      );
+    }
+
+    if (!this.canTransition(order.status, status)) {
+      const allowed = ORDER_TRANSITIONS[order.status] || [];
+      throw new Error(
+        `Cannot move order from ${order.status} to ${status}` +
+          (allowed.length
+            ? `. Allowed: ${allowed.join(", ")}`
+            : `. ${order.status} is a final status`),
+      );
+    }
+  }
+
+  /**
+   * Moves an order to a new status and records it in the status history
+   * @param {string} orderId - Order identifier
+   * @param {string} status - New status
+   * @param {string} [note] - Optional reason shown in the history
+   * @returns {object} - Updated order
+   */
+  transitionOrder(orderId, status, note = null) {
+    const order = this.getOrder(orderId);
+    this.assertTransition(order, status);
+
+    // Marking an order paid collects its authorized payment
+    if (
+      status === "paid" &&
+      order.payment &&
+      order.payment.status === "authorized"
+    ) {
+      order.payment = paymentService.capture(order.payment);
+    }
+
+    order.status = status;
+    order.statusHistory = order.statusHistory || [];
+    order.statusHistory.push({
+      status,
+      at: new Date().toISOString(),
+      note,
+    });
+
+    dataStore.saveOrder(order);
+    return order;
+  }
+
+  /**
+   * Moves an order to a new status as a step of a unit of work, so the
+   * unit's rollback puts the old status back
+   * @param {UnitOfWork} unit - Unit the step belongs to
+   * @param {object} order - Order
+   * @param {string} status - New status
+   * @param {string} [note] - Note for the status history
+   */
+  transitionStep(unit, order, status, note = null) {
+    const previousStatus = order.status;
+    const previousHistory = (order.statusHistory || []).slice();
+    unit.step(
+      () => this.transitionOrder(order.id, status, note),
+      () => {
+        order.status = previousStatus;
+        order.statusHistory = previousHistory;
+        dataStore.saveOrder(order);
+      },
+    );
+  }
+
   /**
    * Gets all orders for a user
    * @param {string} userId - User identifier
@@ -5,14 +5,21 @@
 const orderService = require('./orderService');
 const cartService = require('./cartService');
 const discountService = require('./discountService');
+const paymentService = require('./paymentService');
+const addressService = require('./addressService');
+const promotionService = require('./promotionService');
 const dataStore = require('./dataStore');
 
+// Settings of the store-wide nth-order reward
+const globalReward = dataStore.config.rewardStrategies.global_nth_order;
+
 describe('OrderService', () => {
   const testUserId = 'test-user-1';
 
   beforeEach(() => {
     // Clear all data before each test
     dataStore.carts.clear();
+    dataStore.reservations.clear();
     dataStore.orders.clear();
     dataStore.discountCodes.clear();
     dataStore.orderCounter = 0;
@@ -47,7 +54,7 @@ describe('OrderService', () => {
 
     test('should apply valid discount code', () => {
       // Generate a discount code
-      const discount = discountService.generateDiscountCode(dataStore.config.nthOrder);
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
       
       // Add items to cart
       cartService.addToCart(testUserId, '1', 1); // Laptop @ 1000
@@ -59,6 +66,17 @@ describe('OrderService', () => {
       expect(result.order.finalAmount).toBe(900);
     });
 
+    test('should use a code typed in lowercase and mark it used', () => {
+      discountService.createDiscountCode({ discountPercentage: 20, code: 'SAVE20' });
+      cartService.addToCart(testUserId, '1', 1);
+
+      const { order } = orderService.checkout(testUserId, 'save20');
+
+      expect(order.discountCode).toBe('SAVE20');
+      expect(order.discount).toBe(200);
+      expect(dataStore.getDiscountCode('SAVE20').used).toBe(true);
+    });
+
     test('should reject invalid discount code', () => {
       cartService.addToCart(testUserId, '1', 1);
 
@@ -68,7 +86,7 @@ describe('OrderService', () => {
     });
 
     test('should reject used discount code', () => {
-      const discount = discountService.generateDiscountCode(dataStore.config.nthOrder);
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
       discountService.markAsUsed(discount.code);
       
       cartService.addToCart(testUserId, '1', 1);
@@ -78,6 +96,30 @@ describe('OrderService', () => {
       }).toThrow('already been used');
     });
 
+    test('should reject codes with a machine-readable error code', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder, 'someone-else');
+      cartService.addToCart(testUserId, '1', 1);
+
+      expect(() => orderService.checkout(testUserId, discount.code)).toThrow(
+        expect.objectContaining({ code: 'DISCOUNT_CODE_WRONG_USER' }),
+      );
+    });
+
+    test('should only discount and spread tax over lines in scope', () => {
+      const discount = discountService.createDiscountCode({ discountPercentage: 10, categoryIds: ['computers'] });
+      cartService.addToCart(testUserId, '1', 1); // Laptop @ 1000, computers
+      cartService.addToCart(testUserId, '2', 2); // Mouse @ 25, peripherals
+
+      const { order } = orderService.checkout(testUserId, discount.code, null, {
+        destination: { country: 'US', state: 'NY' },
+      });
+
+      expect(order.discount).toBe(100);
+      expect(order.items.map((item) => item.discount)).toEqual([100, 0]);
+      expect(order.tax).toBe(38); // 4% of 900 + 50
+      expect(order.finalAmount).toBe(988);
+    });
+
     test('should update product stock after checkout', () => {
       const productId = '1';
       const initialStock = dataStore.getProduct(productId).stock;
@@ -89,6 +131,24 @@ describe('OrderService', () => {
       expect(updatedStock).toBe(initialStock - 3);
     });
 
+    test('should decrement variant stock and record the variant', () => {
+      const monitor = dataStore.getProduct('4');
+      const variant = monitor.variants.find(v => v.sku === 'MON-24');
+      const initialProductStock = monitor.stock;
+      const initialVariantStock = variant.stock;
+
+      cartService.addToCart(testUserId, '4', 2, 'MON-24');
+      const result = orderService.checkout(testUserId);
+
+      expect(result.order.items[0].sku).toBe('MON-24');
+      expect(result.order.items[0].options).toEqual({ Size: '24"' });
+      expect(variant.stock).toBe(initialVariantStock - 2);
+      expect(monitor.stock).toBe(initialProductStock - 2);
+
+      variant.stock = initialVariantStock;
+      monitor.stock = initialProductStock;
+    });
+
     test('should clear cart after successful checkout', () => {
       cartService.addToCart(testUserId, '1', 2);
       orderService.checkout(testUserId);
@@ -98,7 +158,7 @@ describe('OrderService', () => {
     });
 
     test('should generate new discount code for nth order', () => {
-      const nthOrder = dataStore.config.nthOrder;
+      const nthOrder = globalReward.nthOrder;
       
       // Place orders until we reach nth order
       for (let i = 0; i < nthOrder; i++) {
@@ -117,7 +177,7 @@ describe('OrderService', () => {
     });
 
     test('should mark discount code as used after checkout', () => {
-      const discount = discountService.generateDiscountCode(dataStore.config.nthOrder);
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
       
       cartService.addToCart(testUserId, '1', 1);
       orderService.checkout(testUserId, discount.code);
@@ -127,6 +187,437 @@ describe('OrderService', () => {
     });
   });
 
+  describe('quote', () => {
+    test('should give the totals checkout would charge without placing anything', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      cartService.addToCart(testUserId, '1', 1); // Laptop @ 1000
+      const delivery = { destination: { country: 'US', state: 'CA' } };
+
+      const quote = orderService.quote(testUserId, discount.code, delivery);
+
+      expect(quote).toMatchObject({
+        currency: 'USD',
+        subtotal: 1000,
+        discountCode: discount.code,
+        discountCodeError: null,
+        discount: 100,
+        tax: 65.25,
+        finalAmount: 965.25,
+        reward: null,
+      });
+      expect(dataStore.getDiscountCode(discount.code).used).toBe(false);
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+      expect(dataStore.getOrderCount()).toBe(0);
+      expect(cartService.getCart(testUserId).items).toHaveLength(1);
+      expect(dataStore.getProduct('1').stock).toBe(10);
+
+      const { order } = orderService.checkout(testUserId, discount.code, null, delivery);
+      expect(order.finalAmount).toBe(quote.finalAmount);
+    });
+
+    test('should quote without a refused code and say why it was refused', () => {
+      cartService.addToCart(testUserId, '1', 1);
+
+      const quote = orderService.quote(testUserId, 'DISC-NOPE');
+
+      expect(quote).toMatchObject({
+        discountCode: null,
+        discountCodeError: { errorCode: 'DISCOUNT_CODE_NOT_FOUND', message: 'Invalid discount code' },
+        discount: 0,
+        finalAmount: 1000,
+      });
+    });
+
+    test('should say whether the order would earn a reward, without issuing it', () => {
+      cartService.addToCart(testUserId, '2', 1);
+      expect(orderService.quote(testUserId).reward).toBeNull();
+      orderService.checkout(testUserId);
+      cartService.addToCart(testUserId, '2', 1);
+      orderService.checkout(testUserId);
+
+      cartService.addToCart(testUserId, '2', 1);
+      const { reward } = orderService.quote(testUserId);
+
+      expect(reward).toEqual({ strategy: 'global_nth_order', discountPercentage: globalReward.discountPercentage, orderNumber: 3 });
+      expect(dataStore.getAllDiscountCodes()).toHaveLength(0);
+      expect(orderService.checkout(testUserId).newDiscountCode).not.toBeNull();
+    });
+
+    test('should still fail for carts that can\'t be checked out', () => {
+      expect(() => orderService.quote(testUserId, 'DISC-NOPE')).toThrow('Cart is empty');
+    });
+  });
+
+  describe('tax', () => {
+    test('should add tax for the destination after the discount', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      cartService.addToCart(testUserId, '1', 1); // Laptop @ 1000
+
+      const { order } = orderService.checkout(testUserId, discount.code, null, { destination: { country: 'US', state: 'ca' } });
+
+      expect(order.discount).toBe(100);
+      expect(order.tax).toBe(65.25); // 7.25% of 900
+      expect(order.finalAmount).toBe(965.25);
+      expect(order.destination).toEqual({ country: 'US', state: 'CA' });
+      expect(order.items[0].taxRate).toBe(7.25);
+      expect(order.payment.amount).toBe(965.25);
+    });
+
+    test('should not charge tax without a destination', () => {
+      cartService.addToCart(testUserId, '1', 1);
+
+      const { order } = orderService.checkout(testUserId);
+
+      expect(order.tax).toBe(0);
+      expect(order.finalAmount).toBe(1000);
+    });
+
+    test('should report tax collected in the stats', () => {
+      cartService.addToCart(testUserId, '2', 4); // Mouse @ 25
+      orderService.checkout(testUserId, null, null, { destination: { country: 'DE' } });
+
+      expect(dataStore.getStats().taxCollected).toBe(19);
+    });
+
+    test('should take refunded tax out of the stats', () => {
+      cartService.addToCart(testUserId, '2', 4); // Mouse @ 25
+      const { order } = orderService.checkout(testUserId, null, null, { destination: { country: 'DE' } });
+      orderService.transitionOrder(order.id, 'paid');
+
+      const { refund } = orderService.refundOrder(order.id, { amount: 59.5 }); // half of 119
+      expect(refund.tax).toBe(9.5);
+      expect(dataStore.getStats().taxCollected).toBe(9.5);
+
+      orderService.cancelOrder(order.id);
+      expect(dataStore.getStats().taxCollected).toBe(0);
+    });
+  });
+
+  describe('shipping', () => {
+    let address;
+
+    beforeEach(() => {
+      dataStore.addresses.clear();
+      address = addressService.createAddress(testUserId, {
+        name: 'Ada Lovelace',
+        line1: '1 Main St',
+        city: 'Albany',
+        state: 'NY',
+        postalCode: '12207',
+        country: 'US',
+      });
+      cartService.addToCart(testUserId, '2', 2); // Mouse @ 25, 0.1 kg
+    });
+
+    test('should store the address and shipping cost on the order', () => {
+      const { order } = orderService.checkout(testUserId, null, null, {
+        addressId: address.id,
+        shippingMethod: 'express',
+      });
+
+      expect(order.shippingAddress.line1).toBe('1 Main St');
+      expect(order.shipping).toEqual({ method: 'express', name: 'Express', cost: 10.4 });
+      expect(order.shippingCost).toBe(10.4);
+      expect(order.tax).toBe(2); // 4% NY tax on 50, from the shipping address
+      expect(order.finalAmount).toBe(62.4);
+    });
+
+    test('should waive shipping with a free shipping code', () => {
+      const discount = discountService.createDiscountCode({ type: 'free_shipping' });
+
+      const { order } = orderService.checkout(testUserId, discount.code, null, {
+        addressId: address.id,
+        shippingMethod: 'express',
+      });
+
+      expect(order.discountType).toBe('free_shipping');
+      expect(order.discount).toBe(0);
+      expect(order.shippingCost).toBe(10.4);
+      expect(order.shippingDiscount).toBe(10.4);
+      expect(order.finalAmount).toBe(52);
+    });
+
+    test('should record automatic promotions next to the code', () => {
+      const promotion = promotionService.createPromotion({ name: 'Mouse week', discountPercentage: 20, productIds: ['2'] });
+      const discount = discountService.createDiscountCode({ type: 'fixed_amount', amount: 5 });
+
+      const { order } = orderService.checkout(testUserId, discount.code, null, {
+        addressId: address.id,
+        shippingMethod: 'standard',
+      });
+
+      expect(order.promotions).toEqual([
+        { id: promotion.id, name: 'Mouse week', type: 'percentage', savings: 10, freeShipping: false },
+      ]);
+      expect(order.discount).toBe(15); // 10 off the mice, then 5 off the 40 left
+      expect(order.items[0].discount).toBe(15);
+      expect(order.finalAmount).toBe(41.4); // 35 + 4% NY tax + 5 shipping
+
+      dataStore.promotions.clear();
+    });
+
+    test('should require a shipping method with an address', () => {
+      expect(() => {
+        orderService.checkout(testUserId, null, null, { addressId: address.id });
+      }).toThrow('Select a shipping method');
+    });
+
+    test('should require an address with a shipping method', () => {
+      expect(() => {
+        orderService.checkout(testUserId, null, null, { shippingMethod: 'standard' });
+      }).toThrow('A shipping address is required');
+    });
+
+    test('should not ship to another user\'s address', () => {
+      const other = addressService.createAddress('someone-else', {
+        name: 'Someone', line1: '2 Main St', city: 'Albany', postalCode: '12207', country: 'US',
+      });
+
+      expect(() => {
+        orderService.checkout(testUserId, null, null, { addressId: other.id, shippingMethod: 'standard' });
+      }).toThrow('Address not found');
+    });
+
+    test('should reject unknown shipping methods', () => {
+      expect(() => {
+        orderService.checkout(testUserId, null, null, { addressId: address.id, shippingMethod: 'teleport' });
+      }).toThrow('Unknown shipping method: teleport');
+    });
+  });
+
+  describe('atomic checkout', () => {
+    let discount;
+
+    const expectUnchanged = () => {
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+      expect(dataStore.getOrderCount()).toBe(0);
+      expect(dataStore.getDiscountCode(discount.code).used).toBe(false);
+      expect(dataStore.getDiscountCode(discount.code).usedAt).toBeNull();
+      expect(dataStore.getProduct('1').stock).toBe(10);
+      expect(dataStore.getProduct('2').stock).toBe(50);
+      expect(cartService.getCart(testUserId).items).toHaveLength(2);
+      expect(dataStore.getAllReservations()).toHaveLength(2);
+      expect(dataStore.getAllDiscountCodes()).toHaveLength(1);
+    };
+
+    beforeEach(() => {
+      discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      cartService.addToCart(testUserId, '1', 1);
+      cartService.addToCart(testUserId, '2', 2);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should roll back when saving the order fails', () => {
+      jest.spyOn(dataStore, 'createOrder').mockImplementation(() => {
+        throw new Error('disk full');
+      });
+
+      expect(() => orderService.checkout(testUserId, discount.code)).toThrow('disk full');
+      expectUnchanged();
+    });
+
+    test('should roll back when marking the code as used fails', () => {
+      jest.spyOn(discountService, 'markAsUsed').mockImplementation(() => {
+        throw new Error('code store down');
+      });
+
+      expect(() => orderService.checkout(testUserId, discount.code)).toThrow('code store down');
+      expectUnchanged();
+    });
+
+    test('should not give a multi-use code an extra use when marking it fails', () => {
+      const multiUse = discountService.createDiscountCode({ discountPercentage: 10, maxUses: 3 });
+      discountService.markAsUsed(multiUse.code);
+      jest.spyOn(discountService, 'markAsUsed').mockImplementation(() => {
+        throw new Error('code store down');
+      });
+
+      expect(() => orderService.checkout(testUserId, multiUse.code)).toThrow('code store down');
+      expect(dataStore.getDiscountCode(multiUse.code).timesUsed).toBe(1);
+    });
+
+    test('should roll back when a stock update fails part way through', () => {
+      const original = orderService.updateProductStock.bind(orderService);
+      jest.spyOn(orderService, 'updateProductStock').mockImplementation(items => {
+        original(items);
+        if (items[0].productId === '2') {
+          throw new Error('stock update failed');
+        }
+      });
+
+      expect(() => orderService.checkout(testUserId, discount.code)).toThrow('stock update failed');
+      expectUnchanged();
+    });
+
+    test('should roll back when clearing the cart fails', () => {
+      jest.spyOn(cartService, 'clearCart').mockImplementation(userId => {
+        dataStore.clearCart(userId);
+        throw new Error('cart store down');
+      });
+
+      expect(() => orderService.checkout(testUserId, discount.code)).toThrow('cart store down');
+      expectUnchanged();
+    });
+
+    test('should roll back when generating the reward code fails', () => {
+      dataStore.orderCounter = globalReward.nthOrder - 1;
+      jest.spyOn(discountService, 'createRewardCode').mockImplementation(() => {
+        throw new Error('code generation failed');
+      });
+
+      expect(() => orderService.checkout(testUserId, discount.code)).toThrow('code generation failed');
+      expect(dataStore.getOrderCount()).toBe(globalReward.nthOrder - 1);
+      dataStore.orderCounter = 0;
+      expectUnchanged();
+    });
+
+    test('should apply every change when nothing fails', () => {
+      const result = orderService.checkout(testUserId, discount.code);
+
+      expect(dataStore.getOrder(result.order.id)).toBeTruthy();
+      expect(dataStore.getDiscountCode(discount.code).used).toBe(true);
+      expect(dataStore.getProduct('1').stock).toBe(9);
+      expect(dataStore.getProduct('2').stock).toBe(48);
+      expect(cartService.getCart(testUserId).items).toHaveLength(0);
+      expect(dataStore.getAllReservations()).toHaveLength(0);
+    });
+  });
+
+  describe('payment', () => {
+    beforeEach(() => {
+      cartService.addToCart(testUserId, '1', 1); // Laptop @ 1000
+    });
+
+    test('should authorize payment before placing the order', () => {
+      const { order } = orderService.checkout(testUserId);
+
+      expect(order.payment.status).toBe('authorized');
+      expect(order.payment.amount).toBe(1000);
+      expect(paymentService.retrieve(order.payment.id).metadata).toEqual({
+        userId: testUserId,
+        orderId: order.id,
+      });
+    });
+
+    test('should leave everything untouched when payment is declined', () => {
+      expect(() => {
+        orderService.checkout(testUserId, null, 'tok_declined');
+      }).toThrow('Payment declined: card_declined');
+
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+      expect(dataStore.getProduct('1').stock).toBe(10);
+      expect(cartService.getCart(testUserId).items).toHaveLength(1);
+    });
+
+    test('should refuse to authorize amounts that are not whole minor units', () => {
+      [NaN, null, '10', -1, 10.005].forEach(amount => {
+        expect(() => paymentService.authorize(amount, 'USD')).toThrow(`Invalid payment amount: ${amount}`);
+      });
+      expect(paymentService.authorize(10.5, 'USD').status).toBe('authorized');
+    });
+
+    test('should not authorize a total broken by a bad quantity', () => {
+      const cart = dataStore.getCart(testUserId);
+      dataStore.updateCart(testUserId, { ...cart, items: [{ ...cart.items[0], quantity: '2abc' }] });
+      const authorize = jest.spyOn(paymentService.provider, 'authorize');
+
+      expect(() => orderService.checkout(testUserId)).toThrow('Invalid payment amount');
+      expect(authorize).not.toHaveBeenCalled();
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+
+      authorize.mockRestore();
+    });
+
+    test('should leave everything untouched when the provider times out', () => {
+      expect(() => {
+        orderService.checkout(testUserId, null, 'tok_timeout');
+      }).toThrow('Payment provider timed out');
+
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+      expect(cartService.getCart(testUserId).items).toHaveLength(1);
+    });
+
+    test('should wait for authentication before placing the order', () => {
+      const pending = orderService.checkout(testUserId, null, 'tok_3ds');
+
+      expect(pending.order).toBeNull();
+      expect(pending.payment.status).toBe('requires_action');
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+
+      const { order } = orderService.confirmCheckout(testUserId, pending.payment.id);
+      expect(order.payment.status).toBe('authorized');
+      expect(order.payment.id).toBe(pending.payment.id);
+      expect(dataStore.getProduct('1').stock).toBe(9);
+    });
+
+    test('should not place the order when authentication fails', () => {
+      const pending = orderService.checkout(testUserId, null, 'tok_3ds_fail');
+
+      expect(() => {
+        orderService.confirmCheckout(testUserId, pending.payment.id);
+      }).toThrow('Payment declined: authentication_failed');
+      expect(dataStore.getAllOrders()).toHaveLength(0);
+    });
+
+    test('should refuse to confirm when the cart changed', () => {
+      const pending = orderService.checkout(testUserId, null, 'tok_3ds');
+      cartService.addToCart(testUserId, '2', 1);
+
+      expect(() => {
+        orderService.confirmCheckout(testUserId, pending.payment.id);
+      }).toThrow('Cart changed while the payment was pending');
+    });
+
+    test('should not confirm another user\'s payment', () => {
+      const pending = orderService.checkout(testUserId, null, 'tok_3ds');
+
+      expect(() => {
+        orderService.confirmCheckout('someone-else', pending.payment.id);
+      }).toThrow(`Payment ${pending.payment.id} not found`);
+    });
+
+    test('should void the authorization if placing the order fails', () => {
+      const spy = jest.spyOn(dataStore, 'createOrder').mockImplementation(() => {
+        throw new Error('disk full');
+      });
+      const authorize = jest.spyOn(paymentService, 'authorize');
+
+      expect(() => orderService.checkout(testUserId)).toThrow('disk full');
+      const paymentId = authorize.mock.results[0].value.id;
+      expect(paymentService.retrieve(paymentId).status).toBe('voided');
+
+      spy.mockRestore();
+      authorize.mockRestore();
+    });
+
+    test('should capture when the order is marked paid', () => {
+      const { order } = orderService.checkout(testUserId);
+      orderService.transitionOrder(order.id, 'paid');
+
+      expect(order.payment.status).toBe('captured');
+    });
+
+    test('should void the authorization when an unpaid order is cancelled', () => {
+      const { order } = orderService.checkout(testUserId);
+      orderService.cancelOrder(order.id);
+
+      expect(order.payment.status).toBe('voided');
+    });
+
+    test('should refund through the provider', () => {
+      const { order } = orderService.checkout(testUserId);
+      orderService.transitionOrder(order.id, 'paid');
+
+      const { refund } = orderService.refundOrder(order.id, { amount: 100 });
+
+      expect(refund.providerRefundId).toMatch(/^mock_re_/);
+      expect(paymentService.retrieve(order.payment.id).refundedAmount).toBe(100);
+    });
+  });
+
   describe('getOrder', () => {
     test('should retrieve order by ID', () => {
       cartService.addToCart(testUserId, '1', 1);
@@ -143,6 +634,342 @@ describe('OrderService', () => {
     });
   });
 
+  describe('transitionOrder', () => {
+    let orderId;
+
+    beforeEach(() => {
+      cartService.addToCart(testUserId, '2', 1);
+      orderId = orderService.checkout(testUserId).order.id;
+    });
+
+    test('should create orders as pending payment with history', () => {
+      const order = orderService.getOrder(orderId);
+
+      expect(order.status).toBe('pending_payment');
+      expect(order.statusHistory).toHaveLength(1);
+      expect(order.statusHistory[0].status).toBe('pending_payment');
+    });
+
+    test('should walk through the fulfilment lifecycle', () => {
+      ['paid', 'fulfilled', 'shipped', 'delivered'].forEach(status => {
+        orderService.transitionOrder(orderId, status);
+      });
+
+      const order = orderService.getOrder(orderId);
+      expect(order.status).toBe('delivered');
+      expect(order.statusHistory.map(h => h.status)).toEqual([
+        'pending_payment', 'paid', 'fulfilled', 'shipped', 'delivered',
+      ]);
+      order.statusHistory.forEach(entry => expect(entry.at).toBeTruthy());
+    });
+
+    test('should record a note with the transition', () => {
+      const order = orderService.transitionOrder(orderId, 'cancelled', 'Customer request');
+      expect(order.statusHistory[1].note).toBe('Customer request');
+    });
+
+    test('should reject illegal transitions', () => {
+      expect(() => {
+        orderService.transitionOrder(orderId, 'shipped');
+      }).toThrow('Cannot move order from pending_payment to shipped. Allowed: paid, cancelled');
+    });
+
+    test('should reject transitions out of final statuses', () => {
+      orderService.transitionOrder(orderId, 'cancelled');
+
+      expect(() => {
+        orderService.transitionOrder(orderId, 'paid');
+      }).toThrow('cancelled is a final status');
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(() => {
+        orderService.transitionOrder(orderId, 'lost');
+      }).toThrow('Invalid order status: lost');
+    });
+
+    test('should throw for unknown orders', () => {
+      expect(() => {
+        orderService.transitionOrder('missing', 'paid');
+      }).toThrow('Order not found');
+    });
+
+    test('should report allowed transitions', () => {
+      expect(orderService.canTransition('shipped', 'delivered')).toBe(true);
+      expect(orderService.canTransition('delivered', 'shipped')).toBe(false);
+    });
+  });
+
+  describe('cancelOrder', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should cancel an unpaid order and restore stock', () => {
+      cartService.addToCart(testUserId, '1', 3);
+      const { order } = orderService.checkout(testUserId);
+      expect(dataStore.getProduct('1').stock).toBe(7);
+
+      const result = orderService.cancelOrder(order.id, { reason: 'Changed mind' });
+
+      expect(result.order.status).toBe('cancelled');
+      expect(result.order.refunds).toHaveLength(0);
+      expect(dataStore.getProduct('1').stock).toBe(10);
+    });
+
+    test('should restore variant stock', () => {
+      const monitor = dataStore.getProduct('4');
+      const variantBefore = monitor.variants.find(v => v.sku === 'MON-27').stock;
+      const stockBefore = monitor.stock;
+      cartService.addToCart(testUserId, '4', 2, 'MON-27');
+      const { order } = orderService.checkout(testUserId);
+
+      orderService.cancelOrder(order.id);
+
+      expect(monitor.variants.find(v => v.sku === 'MON-27').stock).toBe(variantBefore);
+      expect(monitor.stock).toBe(stockBefore);
+    });
+
+    test('should refund paid orders in full', () => {
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId);
+      orderService.transitionOrder(order.id, 'paid');
+
+      const result = orderService.cancelOrder(order.id);
+
+      expect(result.order.refunds).toHaveLength(1);
+      expect(result.order.refunds[0].amount).toBe(1000);
+      expect(result.order.refundedAmount).toBe(1000);
+    });
+
+    test('should reactivate the discount code when asked', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId, discount.code);
+
+      const result = orderService.cancelOrder(order.id, { discountCode: 'reactivate' });
+
+      expect(result.discountCode.code).toBe(discount.code);
+      expect(dataStore.getDiscountCode(discount.code).used).toBe(false);
+    });
+
+    test('should reissue the discount code when asked', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId, discount.code);
+
+      const result = orderService.cancelOrder(order.id, { discountCode: 'reissue' });
+
+      expect(result.discountCode.code).not.toBe(discount.code);
+      expect(result.discountCode.reissuedFrom).toBe(discount.code);
+      expect(dataStore.getDiscountCode(discount.code).used).toBe(true);
+    });
+
+    test('should reject discount actions for orders without a code', () => {
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId);
+
+      expect(() => {
+        orderService.cancelOrder(order.id, { discountCode: 'reactivate' });
+      }).toThrow('Order did not use a discount code');
+      expect(orderService.getOrder(order.id).status).toBe('pending_payment');
+    });
+
+    test('should not cancel shipped orders', () => {
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId);
+      ['paid', 'fulfilled', 'shipped'].forEach(status => {
+        orderService.transitionOrder(order.id, status);
+      });
+
+      expect(() => {
+        orderService.cancelOrder(order.id);
+      }).toThrow('Cannot move order from shipped to cancelled');
+      expect(dataStore.getProduct('1').stock).toBe(9);
+    });
+
+    test('should roll back restocking if the discount code is gone', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId, discount.code);
+      dataStore.deleteDiscountCode(discount.code);
+
+      expect(() => {
+        orderService.cancelOrder(order.id, { discountCode: 'reissue' });
+      }).toThrow('no longer exists');
+      expect(dataStore.getProduct('1').stock).toBe(9);
+      expect(orderService.getOrder(order.id).status).toBe('pending_payment');
+    });
+
+    test('should not refund when a step before the refund fails', () => {
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId);
+      orderService.transitionOrder(order.id, 'paid');
+      jest.spyOn(orderService, 'transitionOrder').mockImplementation(() => {
+        throw new Error('Storage unavailable');
+      });
+
+      expect(() => orderService.cancelOrder(order.id)).toThrow('Storage unavailable');
+      expect(paymentService.retrieve(order.payment.id).refundedAmount).toBe(0);
+      expect(orderService.getOrder(order.id).refunds).toHaveLength(0);
+      expect(dataStore.getProduct('1').stock).toBe(9);
+    });
+
+    test('should put the order back when the refund fails', () => {
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId);
+      orderService.transitionOrder(order.id, 'paid');
+      jest.spyOn(paymentService, 'refund').mockImplementation(() => {
+        throw new Error('Payment provider timed out');
+      });
+
+      expect(() => orderService.cancelOrder(order.id)).toThrow('Payment provider timed out');
+      expect(orderService.getOrder(order.id).status).toBe('paid');
+      expect(orderService.getOrder(order.id).statusHistory.map(entry => entry.status)).toEqual(['pending_payment', 'paid']);
+      expect(dataStore.getProduct('1').stock).toBe(9);
+    });
+
+    test('should put the order back when voiding fails', () => {
+      cartService.addToCart(testUserId, '1', 1);
+      const { order } = orderService.checkout(testUserId);
+      jest.spyOn(paymentService, 'void').mockImplementation(() => {
+        throw new Error('Payment provider timed out');
+      });
+
+      expect(() => orderService.cancelOrder(order.id)).toThrow('Payment provider timed out');
+      expect(orderService.getOrder(order.id).status).toBe('pending_payment');
+      expect(paymentService.retrieve(order.payment.id).status).toBe('authorized');
+      expect(dataStore.getProduct('1').stock).toBe(9);
+    });
+  });
+
+  describe('refundOrder', () => {
+    let orderId;
+
+    beforeEach(() => {
+      cartService.addToCart(testUserId, '1', 1); // Laptop @ 1000
+      orderId = orderService.checkout(testUserId).order.id;
+      orderService.transitionOrder(orderId, 'paid');
+    });
+
+    test('should record partial refunds without changing status', () => {
+      const result = orderService.refundOrder(orderId, { amount: 250, reason: 'Scratched lid' });
+
+      expect(result.refund.amount).toBe(250);
+      expect(result.order.refundedAmount).toBe(250);
+      expect(result.order.status).toBe('paid');
+    });
+
+    test('should move the order to refunded once fully refunded', () => {
+      orderService.refundOrder(orderId, { amount: 250 });
+      const result = orderService.refundOrder(orderId);
+
+      expect(result.refund.amount).toBe(750);
+      expect(result.order.refundedAmount).toBe(1000);
+      expect(result.order.status).toBe('refunded');
+    });
+
+    test('should not refund more than was paid', () => {
+      expect(() => {
+        orderService.refundOrder(orderId, { amount: 1000.01 });
+      }).toThrow('Refund amount exceeds refundable amount of 1000');
+    });
+
+    test('should reject non-positive amounts', () => {
+      expect(() => {
+        orderService.refundOrder(orderId, { amount: 0 });
+      }).toThrow('Refund amount must be a positive number');
+    });
+
+    test('should only restore discount codes on full refunds', () => {
+      expect(() => {
+        orderService.refundOrder(orderId, { amount: 100, discountCode: 'reactivate' });
+      }).toThrow('only be restored when the whole order is refunded');
+    });
+
+    test('should not refund unpaid orders', () => {
+      cartService.addToCart(testUserId, '2', 1);
+      const { order } = orderService.checkout(testUserId);
+
+      expect(() => {
+        orderService.refundOrder(order.id);
+      }).toThrow('Cannot refund an order that is pending_payment');
+    });
+
+    test('should not refund when moving the order to refunded fails', () => {
+      const spy = jest.spyOn(orderService, 'transitionOrder').mockImplementation(() => {
+        throw new Error('Storage unavailable');
+      });
+
+      expect(() => orderService.refundOrder(orderId)).toThrow('Storage unavailable');
+      spy.mockRestore();
+
+      const order = orderService.getOrder(orderId);
+      expect(order.refunds).toHaveLength(0);
+      expect(paymentService.retrieve(order.payment.id).refundedAmount).toBe(0);
+    });
+  });
+
+  describe('stats', () => {
+    test('should report refunds and net revenue separately', () => {
+      cartService.addToCart(testUserId, '1', 1); // 1000
+      const paid = orderService.checkout(testUserId).order;
+      orderService.transitionOrder(paid.id, 'paid');
+      orderService.refundOrder(paid.id, { amount: 200 });
+
+      cartService.addToCart(testUserId, '2', 2); // 2 x 25
+      const unpaid = orderService.checkout(testUserId).order;
+      orderService.cancelOrder(unpaid.id);
+
+      const stats = dataStore.getStats();
+      expect(stats.totalRevenue).toBe(1000);
+      expect(stats.refunds).toEqual({ count: 1, total: 200 });
+      expect(stats.netRevenue).toBe(800);
+      expect(stats.totalItemsPurchased).toBe(1);
+      expect(stats.totalOrders).toBe(2);
+      expect(stats.cancelledOrders).toBe(1);
+    });
+  });
+
+  describe('currency', () => {
+    afterEach(() => {
+      delete dataStore.getProduct('2').prices;
+    });
+
+    test('should place orders in the cart currency', () => {
+      const authorize = jest.spyOn(paymentService, 'authorize');
+      dataStore.getProduct('2').prices = { EUR: 24.99 };
+      cartService.setCurrency(testUserId, 'EUR');
+      cartService.addToCart(testUserId, '2', 2);
+
+      const { order } = orderService.checkout(testUserId, null, null, {
+        destination: { country: 'DE' },
+      });
+
+      expect(order.currency).toBe('EUR');
+      expect(order.exchangeRate).toBe(0.92);
+      expect(order.subtotal).toBe(49.98);
+      expect(order.tax).toBe(9.5); // 19% of 49.98 = 9.4962
+      expect(order.finalAmount).toBe(59.48);
+      expect(order.payment.currency).toBe('EUR');
+      expect(authorize).toHaveBeenCalledWith(59.48, 'EUR', null, expect.any(Object));
+      authorize.mockRestore();
+    });
+
+    test('should report stats in the base currency', () => {
+      cartService.setCurrency(testUserId, 'EUR');
+      cartService.addToCart(testUserId, '1', 1); // 920 EUR
+      orderService.checkout(testUserId);
+      cartService.setCurrency(testUserId, 'USD');
+      cartService.addToCart(testUserId, '2', 1); // 25 USD
+      orderService.checkout(testUserId);
+
+      const stats = dataStore.getStats();
+      expect(stats.currency).toBe('USD');
+      expect(stats.totalRevenue).toBe(1025);
+    });
+  });
+
   describe('getUserOrders', () => {
     test('should return all orders for a user', () => {
       // Place two orders for the same user
@@ -0,0 +1,234 @@
+/**
+ * Payment Providers
+ * Gateways that sit behind the PaymentService
+ *
+ * Every provider implements the same synchronous interface:
+ *   authorize({ amount, currency, paymentMethod, metadata }) -> payment
+ *   retrieve(paymentId)          -> payment
+ *   confirm(paymentId)           -> payment (completes a 3DS-style challenge)
+ *   capture(paymentId, amount?)  -> payment
+ *   void(paymentId)              -> payment
+ *   refund(paymentId, amount)    -> refund { id, paymentId, amount }
+ *
+ * A payment's `status` is one of "authorized", "requires_action",
+ * "declined", "captured" or "voided". Declines are returned as payments
+ * with a `declineReason`; gateway failures such as timeouts are thrown.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const money = require("./money");
+
+/**
+ * Keeps payments in process memory. Used when no store is given, e.g. by
+ * the provider's own tests.
+ */
+class MemoryPaymentStore {
+  constructor() {
+    this.payments = new Map();
+  }
+
+  getPayment(paymentId) {
+    return this.payments.get(paymentId);
+  }
+
+  savePayment(payment) {
+    this.payments.set(payment.id, payment);
+  }
+}
+
+/**
+ * Local gateway for development and tests. Nothing leaves the process and
+ * the outcome depends only on the payment method token:
+ *   tok_declined            -> declined (card_declined)
+ *   tok_insufficient_funds  -> declined (insufficient_funds)
+ *   tok_timeout             -> throws "Payment provider timed out"
+ *   tok_3ds                 -> requires_action, confirm() authorizes
+ *   tok_3ds_fail            -> requires_action, confirm() declines
+ *   anything else (or none) -> authorized
+ */
+class MockPaymentProvider {
+  /**
+   * @param {object} [store] - Where payments are kept, with
+   *   getPayment(paymentId) and savePayment(payment). Orders keep payment
+   *   IDs, so this must survive restarts whenever orders do.
+   */
+  constructor(store = new MemoryPaymentStore()) {
+    this.name = "mock";
+    this.store = store;
+  }
+
+  /**
+   * Places a hold on the customer's funds
+   * @param {object} request
+   * @param {number} request.amount - Amount to authorize
+   * @param {string} [request.currency="USD"] - Currency of the amount
+   * @param {string} [request.paymentMethod] - Payment method token
+   * @param {object} [request.metadata] - Stored with the payment
+   * @returns {object} - Payment
+   */
+  authorize({ amount, currency = "USD", paymentMethod = null, metadata = {} }) {
+    if (paymentMethod === "tok_timeout") {
+      throw new Error("Payment provider timed out");
+    }
+
+    const payment = {
+      // Unique across restarts, so a new payment never takes an old one's ID
+      id: `mock_pay_${uuidv4()}`,
+      amount,
+      currency,
+      paymentMethod,
+      metadata: { ...metadata },
+      status: "authorized",
+      declineReason: null,
+      capturedAmount: 0,
+      refundedAmount: 0,
+    };
+
+    if (paymentMethod === "tok_declined") {
+      payment.status = "declined";
+      payment.declineReason = "card_declined";
+    } else if (paymentMethod === "tok_insufficient_funds") {
+      payment.status = "declined";
+      payment.declineReason = "insufficient_funds";
+    } else if (
+      paymentMethod === "tok_3ds" ||
+      paymentMethod === "tok_3ds_fail"
+    ) {
+      payment.status = "requires_action";
+    }
+
+    this.store.savePayment(payment);
+    return { ...payment };
+  }
+
+  /**
+   * Looks up a payment
+   * @param {string} paymentId - Payment identifier
+   * @returns {object} - Payment
+   */
+  retrieve(paymentId) {
+    const payment = this.store.getPayment(paymentId);
+    if (!payment) {
+      throw new Error(`Payment ${paymentId} not found`);
+    }
+    return { ...payment, metadata: { ...payment.metadata } };
+  }
+
+  /**
+   * Completes the customer's authentication challenge
+   * @param {string} paymentId - Payment identifier
+   * @returns {object} - Payment
+   */
+  confirm(paymentId) {
+    const payment = this.getPayment(paymentId, ["requires_action"]);
+
+    if (payment.paymentMethod === "tok_3ds_fail") {
+      payment.status = "declined";
+      payment.declineReason = "authentication_failed";
+    } else {
+      payment.status = "authorized";
+    }
+
+    this.store.savePayment(payment);
+    return { ...payment };
+  }
+
+  /**
+   * Collects authorized funds
+   * @param {string} paymentId - Payment identifier
+   * @param {number} [amount] - Amount to capture (defaults to the full amount)
+   * @returns {object} - Payment
+   */
+  capture(paymentId, amount = null) {
+    const payment = this.getPayment(paymentId, ["authorized"]);
+    const captureAmount = amount === null ? payment.amount : amount;
+
+    if (captureAmount > payment.amount) {
+      throw new Error("Cannot capture more than was authorized");
+    }
+
+    payment.status = "captured";
+    payment.capturedAmount = captureAmount;
+    this.store.savePayment(payment);
+    return { ...payment };
+  }
+
+  /**
+   * Releases an authorization without collecting funds
+   * @param {string} paymentId - Payment identifier
+   * @returns {object} - Payment
+   */
+  void(paymentId) {
+    const payment = this.getPayment(paymentId, [
+      "authorized",
+      "requires_action",
+    ]);
+    payment.status = "voided";
+    this.store.savePayment(payment);
+    return { ...payment };
+  }
+
+  /**
+   * Returns captured funds to the customer
+   * @param {string} paymentId - Payment identifier
+   * @param {number} amount - Amount to refund
+   * @returns {object} - Refund
+   */
+  refund(paymentId, amount) {
+    const payment = this.getPayment(paymentId, ["captured"]);
+    const { currency } = payment;
+    const refunded =
+      money.toMinor(payment.refundedAmount, currency) +
+      money.toMinor(amount, currency);
+
+    if (refunded > money.toMinor(payment.capturedAmount, currency)) {
+      throw new Error("Cannot refund more than was captured");
+    }
+
+    payment.refundedAmount = money.toMajor(refunded, currency);
+    this.store.savePayment(payment);
+    return { id: `mock_re_${uuidv4()}`, paymentId, amount };
+  }
+
+  /**
+   * Looks up a payment and checks its status
+   * @param {string} paymentId - Payment identifier
+   * @param {array} allowedStatuses - Statuses the operation accepts
+   * @returns {object} - Stored payment
+   */
+  getPayment(paymentId, allowedStatuses) {
+    const payment = this.store.getPayment(paymentId);
+    if (!payment) {
+      throw new Error(`Payment ${paymentId} not found`);
+    }
+    if (!allowedStatuses.includes(payment.status)) {
+      throw new Error(`Payment ${paymentId} is ${payment.status}`);
+    }
+    return payment;
+  }
+}
+
+/**
+ * Picks a payment provider from configuration
+ * @param {object} config - Usually process.env
+ * @param {string} [config.PAYMENT_PROVIDER] - "mock" (default)
+ * @param {object} [store] - Where the mock provider keeps payments
+ *   (see MockPaymentProvider)
+ * @returns {object} - Payment provider instance
+ */
+function createPaymentProvider(config = {}, store = undefined) {
+  const type = config.PAYMENT_PROVIDER || "mock";
+
+  switch (type) {
+    case "mock":
+      return new MockPaymentProvider(store);
+    default:
+      throw new Error(`Unknown payment provider: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryPaymentStore,
+  MockPaymentProvider,
+  createPaymentProvider,
+};
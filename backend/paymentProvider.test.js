@@ -0,0 +1,115 @@
+/**
+ * Unit tests for Payment Providers
+ */
+
+const {
+  MemoryPaymentStore,
+  MockPaymentProvider,
+  createPaymentProvider,
+} = require('./paymentProvider');
+
+describe('PaymentProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockPaymentProvider();
+  });
+
+  describe('MockPaymentProvider', () => {
+    test('should authorize by default', () => {
+      const payment = provider.authorize({ amount: 100, metadata: { userId: 'u1' } });
+
+      expect(payment.id).toMatch(/^mock_pay_[0-9a-f-]{36}$/);
+      expect(payment.status).toBe('authorized');
+      expect(payment.metadata).toEqual({ userId: 'u1' });
+    });
+
+    test('should decline declined cards', () => {
+      const payment = provider.authorize({ amount: 100, paymentMethod: 'tok_declined' });
+
+      expect(payment.status).toBe('declined');
+      expect(payment.declineReason).toBe('card_declined');
+    });
+
+    test('should decline for insufficient funds', () => {
+      const payment = provider.authorize({ amount: 100, paymentMethod: 'tok_insufficient_funds' });
+      expect(payment.declineReason).toBe('insufficient_funds');
+    });
+
+    test('should throw on timeouts', () => {
+      expect(() => {
+        provider.authorize({ amount: 100, paymentMethod: 'tok_timeout' });
+      }).toThrow('Payment provider timed out');
+    });
+
+    test('should require action for 3DS cards until confirmed', () => {
+      const payment = provider.authorize({ amount: 100, paymentMethod: 'tok_3ds' });
+      expect(payment.status).toBe('requires_action');
+
+      expect(provider.confirm(payment.id).status).toBe('authorized');
+    });
+
+    test('should decline failed 3DS challenges', () => {
+      const payment = provider.authorize({ amount: 100, paymentMethod: 'tok_3ds_fail' });
+      const confirmed = provider.confirm(payment.id);
+
+      expect(confirmed.status).toBe('declined');
+      expect(confirmed.declineReason).toBe('authentication_failed');
+    });
+
+    test('should capture, then refund up to the captured amount', () => {
+      const payment = provider.authorize({ amount: 100 });
+      const captured = provider.capture(payment.id);
+
+      expect(captured.status).toBe('captured');
+      expect(captured.capturedAmount).toBe(100);
+
+      expect(provider.refund(payment.id, 60)).toEqual({
+        id: expect.stringMatching(/^mock_re_/),
+        paymentId: payment.id,
+        amount: 60,
+      });
+      expect(() => provider.refund(payment.id, 41)).toThrow('Cannot refund more than was captured');
+    });
+
+    test('should void authorizations but not captured payments', () => {
+      const voided = provider.authorize({ amount: 100 });
+      expect(provider.void(voided.id).status).toBe('voided');
+      expect(() => provider.capture(voided.id)).toThrow(`Payment ${voided.id} is voided`);
+
+      const captured = provider.authorize({ amount: 100 });
+      provider.capture(captured.id);
+      expect(() => provider.void(captured.id)).toThrow(`Payment ${captured.id} is captured`);
+    });
+
+    test('should not refund uncaptured payments', () => {
+      const payment = provider.authorize({ amount: 100 });
+      expect(() => provider.refund(payment.id, 10)).toThrow(`Payment ${payment.id} is authorized`);
+    });
+
+    test('should throw for unknown payments', () => {
+      expect(() => provider.retrieve('missing')).toThrow('Payment missing not found');
+    });
+
+    test('should keep payments in the given store', () => {
+      const store = new MemoryPaymentStore();
+      const payment = new MockPaymentProvider(store).authorize({ amount: 100 });
+
+      new MockPaymentProvider(store).capture(payment.id);
+
+      expect(store.getPayment(payment.id).status).toBe('captured');
+    });
+  });
+
+  describe('createPaymentProvider', () => {
+    test('should default to the mock provider', () => {
+      expect(createPaymentProvider({})).toBeInstanceOf(MockPaymentProvider);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => {
+        createPaymentProvider({ PAYMENT_PROVIDER: 'stripe' });
+      }).toThrow('Unknown payment provider: stripe');
+    });
+  });
+});
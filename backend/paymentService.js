@@ -0,0 +1,128 @@
+/**
+ * Payment Service
+ * Charges customers through the configured payment provider
+ * (the local mock by default, see paymentProvider.js)
+ */
+
+const { createPaymentProvider } = require("./paymentProvider");
+const dataStore = require("./dataStore");
+const money = require("./money");
+
+class PaymentService {
+  /**
+   * @param {object} provider - Payment provider
+   */
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Authorizes a payment. Declines are thrown; a payment that needs the
+   * customer to authenticate is returned with status "requires_action".
+   * @param {number} amount - Amount to authorize
+   * @param {string} currency - Currency of the amount
+   * @param {string} [paymentMethod] - Payment method token
+   * @param {object} [metadata] - Stored with the payment
+   * @returns {object} - Payment
+   */
+  authorize(amount, currency, paymentMethod = null, metadata = {}) {
+    // A total broken by bad input (NaN, null, a fraction of a cent) must
+    // never reach the provider
+    if (
+      typeof amount !== "number" ||
+      !Number.isFinite(amount) ||
+      amount < 0 ||
+      money.toMajor(money.toMinor(amount, currency), currency) !== amount
+    ) {
+      throw new Error(`Invalid payment amount: ${amount}`);
+    }
+
+    const payment = this.provider.authorize({
+      amount,
+      currency,
+      paymentMethod,
+      metadata,
+    });
+    this.assertNotDeclined(payment);
+    return payment;
+  }
+
+  /**
+   * Looks up a payment at the provider
+   * @param {string} paymentId - Payment identifier
+   * @returns {object} - Payment
+   */
+  retrieve(paymentId) {
+    return this.provider.retrieve(paymentId);
+  }
+
+  /**
+   * Completes a payment that required customer authentication
+   * @param {string} paymentId - Payment identifier
+   * @returns {object} - Authorized payment
+   */
+  confirm(paymentId) {
+    const payment = this.provider.confirm(paymentId);
+    this.assertNotDeclined(payment);
+    return payment;
+  }
+
+  /**
+   * Captures an order's authorized payment
+   * @param {object} orderPayment - Payment summary stored on the order
+   * @returns {object} - Updated payment summary
+   */
+  capture(orderPayment) {
+    return this.summarize(this.provider.capture(orderPayment.id));
+  }
+
+  /**
+   * Releases an order's authorized payment
+   * @param {object} orderPayment - Payment summary stored on the order
+   * @returns {object} - Updated payment summary
+   */
+  void(orderPayment) {
+    return this.summarize(this.provider.void(orderPayment.id));
+  }
+
+  /**
+   * Refunds part or all of an order's captured payment
+   * @param {object} orderPayment - Payment summary stored on the order
+   * @param {number} amount - Amount to refund
+   * @returns {object} - Provider refund
+   */
+  refund(orderPayment, amount) {
+    return this.provider.refund(orderPayment.id, amount);
+  }
+
+  /**
+   * Builds the payment summary kept on an order
+   * @param {object} payment - Payment returned by the provider
+   * @returns {object} - { provider, id, status, amount, currency }
+   */
+  summarize(payment) {
+    return {
+      provider: this.provider.name,
+      id: payment.id,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+    };
+  }
+
+  /**
+   * Throws if the provider declined a payment
+   * @param {object} payment - Payment returned by the provider
+   */
+  assertNotDeclined(payment) {
+    if (payment.status === "declined") {
+      throw new Error(`Payment declined: ${payment.declineReason}`);
+    }
+  }
+}
+
+// Export singleton instance backed by the configured payment provider, which
+// keeps its payments in the data store so they persist alongside orders
+module.exports = new PaymentService(
+  createPaymentProvider(process.env, dataStore),
+);
@@ -0,0 +1,634 @@
+/**
+ * Product Service
+ * Handles product catalog management
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+const categoryService = require("./categoryService");
+const reservationService = require("./reservationService");
+const taxService = require("./taxService");
+const currencyService = require("./currencyService");
+
+const SORT_FIELDS = ["price", "name", "stock"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class ProductService {
+  /**
+   * Gets products visible to shoppers (archived products are hidden)
+   * @returns {array} - Array of active products
+   */
+  getProducts() {
+    return dataStore.getAllProducts().filter((product) => !product.archived);
+  }
+
+  /**
+   * Searches, filters, sorts and paginates the shopper-visible catalog
+   * @param {object} query - Raw query string values
+   * @param {string} [query.search] - Case-insensitive text match on name
+   * @param {string} [query.minPrice] - Minimum price (inclusive)
+   * @param {string} [query.maxPrice] - Maximum price (inclusive)
+   * @param {string} [query.inStock] - "true" to hide out-of-stock products
+   * @param {string} [query.category] - Category ID (includes subcategories)
+   * @param {string} [query.tag] - Only products with this tag
+   * @param {string} [query.sort] - One of price, name, stock
+   * @param {string} [query.order] - "asc" (default) or "desc"
+   * @param {string} [query.page] - 1-based page number
+   * @param {string} [query.pageSize] - Products per page (max 100)
+   * @returns {object} - Page of products with pagination info
+   */
+  searchProducts(query = {}) {
+    const minPrice = this.parseNumber(query.minPrice, "minPrice");
+    const maxPrice = this.parseNumber(query.maxPrice, "maxPrice");
+    const page = this.parseNumber(query.page, "page", 1);
+    const pageSize = this.parseNumber(
+      query.pageSize,
+      "pageSize",
+      DEFAULT_PAGE_SIZE,
+    );
+    const order = query.order || "asc";
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error("page must be a positive integer");
+    }
+    if (
+      !Number.isInteger(pageSize) ||
+      pageSize < 1 ||
+      pageSize > MAX_PAGE_SIZE
+    ) {
+      throw new Error(
+        `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      );
+    }
+    if (query.sort && !SORT_FIELDS.includes(query.sort)) {
+      throw new Error(`sort must be one of: ${SORT_FIELDS.join(", ")}`);
+    }
+    if (!["asc", "desc"].includes(order)) {
+      throw new Error("order must be asc or desc");
+    }
+
+    const categoryIds = query.category
+      ? categoryService.getDescendantIds(
+          categoryService.getCategory(query.category).id,
+        )
+      : null;
+    const tag = this.parseText(query.tag, "tag");
+    const search = this.parseText(query.search, "search");
+    let products = this.getProducts().filter((product) => {
+      if (search && !product.name.toLowerCase().includes(search)) {
+        return false;
+      }
+      // Products with variants match if any variant is in the range
+      const { lowest, highest } = this.getPriceRange(product);
+      if (minPrice !== undefined && highest < minPrice) {
+        return false;
+      }
+      if (maxPrice !== undefined && lowest > maxPrice) {
+        return false;
+      }
+      if (
+        query.inStock === "true" &&
+        reservationService.getAvailableStock(product, null) <= 0
+      ) {
+        return false;
+      }
+      if (categoryIds && !categoryIds.includes(product.categoryId)) {
+        return false;
+      }
+      if (tag && !(product.tags || []).includes(tag)) {
+        return false;
+      }
+      return true;
+    });
+
+    if (query.sort) {
+      const direction = order === "desc" ? -1 : 1;
+      // By price, cheapest first goes by each product's lowest price and
+      // dearest first by its highest
+      const sortValue = (product) =>
+        query.sort === "price"
+          ? this.getPriceRange(product)[order === "desc" ? "highest" : "lowest"]
+          : product[query.sort];
+      products = [...products].sort((a, b) => {
+        const left = sortValue(a);
+        const right = sortValue(b);
+        const result =
+          typeof left === "string" ? left.localeCompare(right) : left - right;
+        return result * direction;
+      });
+    }
+
+    const total = products.length;
+    const start = (page - 1) * pageSize;
+
+    return {
+      products: products
+        .slice(start, start + pageSize)
+        .map((product) => this.withAvailability(product)),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+
+  /**
+   * Copies a product for API responses, adding `availableStock`
+   * (on-hand stock minus units held in carts) to it and its variants
+   * @param {object} product - Product
+   * @returns {object} - Product with availability
+   */
+  withAvailability(product) {
+    const result = {
+      ...product,
+      availableStock: reservationService.getAvailableStock(product, null),
+    };
+    if (this.hasVariants(product)) {
+      result.variants = product.variants.map((variant) => ({
+        ...variant,
+        availableStock: reservationService.getAvailableStock(product, variant),
+      }));
+    }
+    return result;
+  }
+
+  /**
+   * Parses an optional numeric query parameter
+   * @param {string} value - Raw value
+   * @param {string} name - Parameter name for error messages
+   * @param {number} [fallback] - Value when not provided (0 is provided)
+   * @returns {number|undefined} - Parsed number, or the fallback if not provided
+   */
+  parseNumber(value, name, fallback = undefined) {
+    if (value === undefined || value === "") {
+      return fallback;
+    }
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      throw new Error(`${name} must be a number`);
+    }
+    return number;
+  }
+
+  /**
+   * Parses an optional text query parameter for case-insensitive matching
+   * @param {string} value - Raw value (repeated parameters arrive as arrays)
+   * @param {string} name - Parameter name for error messages
+   * @returns {string} - Trimmed, lowercased text, or "" if not provided
+   */
+  parseText(value, name) {
+    if (value === undefined) {
+      return "";
+    }
+    if (typeof value !== "string") {
+      throw new Error(`${name} must be a single text value`);
+    }
+    return value.trim().toLowerCase();
+  }
+
+  /**
+   * Gets all products including archived ones (admin function)
+   * @returns {array} - Array of all products
+   */
+  getAllProducts() {
+    return dataStore.getAllProducts();
+  }
+
+  /**
+   * Gets a product by ID
+   * @param {string} productId - Product identifier
+   * @returns {object} - Product details
+   */
+  getProduct(productId) {
+    const product = dataStore.getProduct(productId);
+    if (!product) {
+      throw new Error("Product not found");
+    }
+    return product;
+  }
+
+  /**
+   * Creates a new product
+   * @param {object} data - Product fields
+   * @param {string} data.name - Display name
+   * @param {number} data.price - Unit price (default for variants)
+   * @param {number} [data.stock] - Units on hand (required without variants)
+   * @param {string} [data.description] - Optional description
+   * @param {string} [data.categoryId] - Category the product belongs to
+   * @param {array} [data.tags] - Free-form tags
+   * @param {string} [data.taxClass="standard"] - standard, reduced or exempt
+   * @param {number} [data.weight=0] - Shipping weight in kg
+   * @param {object} [data.prices] - Fixed prices in other currencies, e.g. { EUR: 899 }
+   * @param {array} [data.options] - Option axes, e.g. [{ name: "Color", values: ["Black"] }]
+   * @param {array} [data.variants] - Variants: { sku, options, price?, stock }
+   * @returns {object} - Created product
+   */
+  createProduct(data = {}) {
+    const hasVariantData = Array.isArray(data.variants) && data.variants.length;
+    this.validateProductFields(data, {
+      partial: false,
+      requireStock: !hasVariantData,
+    });
+
+    const product = {
+      id: uuidv4(),
+      name: data.name.trim(),
+      price: data.price,
+      stock: data.stock,
+      description: data.description || "",
+      categoryId: data.categoryId || null,
+      tags: this.normalizeTags(data.tags),
+      taxClass: data.taxClass || "standard",
+      weight: data.weight || 0,
+      prices: this.normalizePrices(data.prices),
+      archived: false,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (hasVariantData) {
+      this.setVariants(product, data.options, data.variants);
+    }
+
+    dataStore.saveProduct(product);
+    return product;
+  }
+
+  /**
+   * Updates an existing product
+   * @param {string} productId - Product identifier
+   * @param {object} updates - Fields to change (name, price, stock, description,
+   *   categoryId, tags, taxClass, weight, prices, options, variants). Variants replace
+   *   the existing list when provided.
+   * @returns {object} - Updated product
+   */
+  updateProduct(productId, updates = {}) {
+    const product = this.getProduct(productId);
+    this.validateProductFields(updates, { partial: true });
+
+    if (updates.stock !== undefined && this.hasVariants(product)) {
+      if (updates.variants === undefined) {
+        throw new Error("Stock is managed per variant for this product");
+      }
+    }
+
+    if (updates.variants !== undefined || updates.options !== undefined) {
+      this.setVariants(
+        product,
+        updates.options !== undefined ? updates.options : product.options,
+        updates.variants !== undefined ? updates.variants : product.variants,
+      );
+      if (!this.hasVariants(product)) {
+        product.stock = updates.stock !== undefined ? updates.stock : 0;
+      }
+    }
+
+    if (updates.categoryId !== undefined) {
+      product.categoryId = updates.categoryId || null;
+    }
+    if (updates.tags !== undefined) {
+      product.tags = this.normalizeTags(updates.tags);
+    }
+    if (updates.prices !== undefined) {
+      product.prices = this.normalizePrices(updates.prices);
+    }
+
+    const editable = ["name", "price", "description", "taxClass", "weight"];
+    if (!this.hasVariants(product)) {
+      editable.push("stock");
+    }
+    editable.forEach((field) => {
+      if (updates[field] !== undefined) {
+        product[field] =
+          field === "name" ? updates[field].trim() : updates[field];
+      }
+    });
+    product.updatedAt = new Date().toISOString();
+
+    dataStore.saveProduct(product);
+    return product;
+  }
+
+  /**
+   * Checks whether a product is sold by variant
+   * @param {object} product - Product
+   * @returns {boolean} - True if the product has variants
+   */
+  hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+  }
+
+  /**
+   * Finds the variant a shopper picked. Products without variants resolve
+   * to null; products with variants require a matching SKU.
+   * @param {object} product - Product
+   * @param {string} [sku] - Variant SKU
+   * @returns {object|null} - Variant or null for simple products
+   */
+  resolveVariant(product, sku) {
+    if (!this.hasVariants(product)) {
+      if (sku) {
+        throw new Error("Variant not found");
+      }
+      return null;
+    }
+
+    if (!sku) {
+      throw new Error("Please select a variant for this product");
+    }
+
+    const variant = product.variants.find((v) => v.sku === sku);
+    if (!variant) {
+      throw new Error("Variant not found");
+    }
+    return variant;
+  }
+
+  /**
+   * Gets the unit price for a product or one of its variants. A product's
+   * price list wins over conversion at the exchange rate; variants with a
+   * price of their own are always converted.
+   * @param {object} product - Product
+   * @param {object|null} variant - Variant from resolveVariant()
+   * @param {string} [currency] - Currency to price in (defaults to the base currency)
+   * @returns {number} - Unit price
+   */
+  getUnitPrice(product, variant, currency = currencyService.getBaseCurrency()) {
+    const hasOwnPrice = variant && variant.price != null;
+    const basePrice = hasOwnPrice ? variant.price : product.price;
+
+    if (currency === currencyService.getBaseCurrency()) {
+      return basePrice;
+    }
+    if (!hasOwnPrice && product.prices && product.prices[currency]) {
+      return product.prices[currency];
+    }
+    return currencyService.convertFromBase(basePrice, currency);
+  }
+
+  /**
+   * Gets the lowest and highest base currency price a product sells at,
+   * across its variants
+   * @param {object} product - Product
+   * @returns {object} - { lowest, highest }
+   */
+  getPriceRange(product) {
+    const prices = this.hasVariants(product)
+      ? product.variants.map((variant) => this.getUnitPrice(product, variant))
+      : [product.price];
+    return { lowest: Math.min(...prices), highest: Math.max(...prices) };
+  }
+
+  /**
+   * Validates and replaces a product's option axes and variants.
+   * Product stock becomes the sum of variant stock.
+   * @param {object} product - Product to update
+   * @param {array} options - Option axes
+   * @param {array} variants - Variants
+   */
+  setVariants(product, options = [], variants = []) {
+    if (!Array.isArray(variants)) {
+      throw new Error("Variants must be an array");
+    }
+
+    if (variants.length === 0) {
+      delete product.options;
+      delete product.variants;
+      return;
+    }
+
+    if (!Array.isArray(options) || options.length === 0) {
+      throw new Error("Options are required for products with variants");
+    }
+
+    const axisNames = new Set();
+    options.forEach((option) => {
+      if (!option || typeof option.name !== "string" || !option.name.trim()) {
+        throw new Error("Option name is required");
+      }
+      if (axisNames.has(option.name)) {
+        throw new Error(`Duplicate option: ${option.name}`);
+      }
+      if (!Array.isArray(option.values) || option.values.length === 0) {
+        throw new Error(`Option ${option.name} must have at least one value`);
+      }
+      axisNames.add(option.name);
+    });
+
+    const skus = new Set();
+    const combinations = new Set();
+    const normalized = variants.map((variant) => {
+      if (!variant || typeof variant.sku !== "string" || !variant.sku.trim()) {
+        throw new Error("Variant SKU is required");
+      }
+      const sku = variant.sku.trim();
+      if (skus.has(sku) || this.isSkuTaken(sku, product.id)) {
+        throw new Error(`SKU ${sku} is already in use`);
+      }
+      skus.add(sku);
+
+      const variantOptions = variant.options || {};
+      options.forEach((option) => {
+        if (!option.values.includes(variantOptions[option.name])) {
+          throw new Error(
+            `Variant ${sku} has an invalid value for ${option.name}`,
+          );
+        }
+      });
+      if (Object.keys(variantOptions).length !== options.length) {
+        throw new Error(`Variant ${sku} has unknown options`);
+      }
+
+      const combination = options
+        .map((option) => variantOptions[option.name])
+        .join("/");
+      if (combinations.has(combination)) {
+        throw new Error(`Duplicate variant for ${combination}`);
+      }
+      combinations.add(combination);
+
+      if (
+        variant.price != null &&
+        (typeof variant.price !== "number" || variant.price <= 0)
+      ) {
+        throw new Error(`Variant ${sku} price must be a positive number`);
+      }
+      if (!Number.isInteger(variant.stock) || variant.stock < 0) {
+        throw new Error(`Variant ${sku} stock must be a non-negative integer`);
+      }
+
+      return {
+        sku,
+        options: { ...variantOptions },
+        price: variant.price != null ? variant.price : null,
+        stock: variant.stock,
+      };
+    });
+
+    product.options = options.map((option) => ({
+      name: option.name.trim(),
+      values: [...option.values],
+    }));
+    product.variants = normalized;
+    product.stock = normalized.reduce((sum, v) => sum + v.stock, 0);
+  }
+
+  /**
+   * Checks whether another product already uses a SKU
+   * @param {string} sku - Variant SKU
+   * @param {string} productId - Product being edited
+   * @returns {boolean} - True if the SKU belongs to another product
+   */
+  isSkuTaken(sku, productId) {
+    return dataStore
+      .getAllProducts()
+      .some(
+        (product) =>
+          product.id !== productId &&
+          this.hasVariants(product) &&
+          product.variants.some((variant) => variant.sku === sku),
+      );
+  }
+
+  /**
+   * Archives a product so it can no longer be added to carts.
+   * Existing orders keep their copy of the product details.
+   * @param {string} productId - Product identifier
+   * @returns {object} - Archived product
+   */
+  archiveProduct(productId) {
+    const product = this.getProduct(productId);
+    product.archived = true;
+    product.archivedAt = new Date().toISOString();
+
+    dataStore.saveProduct(product);
+    return product;
+  }
+
+  /**
+   * Restores an archived product to the catalog
+   * @param {string} productId - Product identifier
+   * @returns {object} - Restored product
+   */
+  restoreProduct(productId) {
+    const product = this.getProduct(productId);
+    product.archived = false;
+    product.archivedAt = null;
+
+    dataStore.saveProduct(product);
+    return product;
+  }
+
+  /**
+   * Permanently deletes a product
+   * @param {string} productId - Product identifier
+   */
+  deleteProduct(productId) {
+    this.getProduct(productId);
+    dataStore.deleteProduct(productId);
+  }
+
+  /**
+   * Validates product fields
+   * @param {object} data - Fields to validate
+   * @param {object} options
+   * @param {boolean} options.partial - Allow missing fields (for updates)
+   * @param {boolean} [options.requireStock] - Require stock when not partial
+   */
+  validateProductFields(data, { partial, requireStock = true }) {
+    const { name, price, stock, description } = data;
+
+    if (!partial || name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        throw new Error("Product name is required");
+      }
+    }
+
+    if (!partial || price !== undefined) {
+      if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) {
+        throw new Error("Price must be a positive number");
+      }
+    }
+
+    if ((!partial && requireStock) || stock !== undefined) {
+      if (!Number.isInteger(stock) || stock < 0) {
+        throw new Error("Stock must be a non-negative integer");
+      }
+    }
+
+    if (description !== undefined && typeof description !== "string") {
+      throw new Error("Description must be a string");
+    }
+
+    if (data.categoryId) {
+      categoryService.getCategory(data.categoryId);
+    }
+
+    if (data.tags !== undefined) {
+      const validTags =
+        Array.isArray(data.tags) &&
+        data.tags.every((tag) => typeof tag === "string" && tag.trim());
+      if (!validTags) {
+        throw new Error("Tags must be an array of non-empty strings");
+      }
+    }
+
+    if (data.taxClass !== undefined) {
+      taxService.validateTaxClass(data.taxClass);
+    }
+
+    if (data.weight !== undefined) {
+      if (
+        typeof data.weight !== "number" ||
+        !Number.isFinite(data.weight) ||
+        data.weight < 0
+      ) {
+        throw new Error("Weight must be a non-negative number");
+      }
+    }
+
+    if (data.prices !== undefined && data.prices !== null) {
+      if (typeof data.prices !== "object" || Array.isArray(data.prices)) {
+        throw new Error("Prices must be an object of currency -> price");
+      }
+      Object.entries(data.prices).forEach(([currency, value]) => {
+        const code = currencyService.normalizeCurrency(currency);
+        if (code === currencyService.getBaseCurrency()) {
+          throw new Error(`Set the ${code} price with the price field`);
+        }
+        if (
+          typeof value !== "number" ||
+          !Number.isFinite(value) ||
+          value <= 0
+        ) {
+          throw new Error(`${code} price must be a positive number`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Normalizes a price list to upper-case currency codes
+   * @param {object} [prices] - Raw price list
+   * @returns {object} - currency -> price
+   */
+  normalizePrices(prices) {
+    return Object.entries(prices || {}).reduce((result, [currency, value]) => {
+      result[currency.toUpperCase()] = value;
+      return result;
+    }, {});
+  }
+
+  /**
+   * Normalizes tags to unique, trimmed, lowercase strings
+   * @param {array} [tags] - Raw tags
+   * @returns {array} - Normalized tags
+   */
+  normalizeTags(tags = []) {
+    return [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+  }
+}
+
+module.exports = new ProductService();
@@ -0,0 +1,338 @@
+/**
+ * Unit tests for Product Service
+ */
+
+const productService = require('./productService');
+const cartService = require('./cartService');
+const dataStore = require('./dataStore');
+
+describe('ProductService', () => {
+  const seedProducts = JSON.parse(JSON.stringify(dataStore.getAllProducts()));
+
+  beforeEach(() => {
+    // Restore the seed catalog before each test
+    dataStore.products.clear();
+    seedProducts.forEach(product => dataStore.products.set(product.id, JSON.parse(JSON.stringify(product))));
+    dataStore.carts.clear();
+    dataStore.reservations.clear();
+  });
+
+  describe('searchProducts', () => {
+    test('should return first page with totals by default', () => {
+      const result = productService.searchProducts();
+
+      expect(result.products).toHaveLength(5);
+      expect(result.pagination).toEqual({ page: 1, pageSize: 20, total: 5, totalPages: 1 });
+    });
+
+    test('should match name case-insensitively', () => {
+      const result = productService.searchProducts({ search: 'key' });
+
+      expect(result.products.map(p => p.name)).toEqual(['Keyboard']);
+    });
+
+    test('should filter by price range', () => {
+      const result = productService.searchProducts({ minPrice: '50', maxPrice: '300' });
+
+      expect(result.products.map(p => p.name)).toEqual(['Keyboard', 'Monitor', 'Headphones']);
+    });
+
+    test('should filter and sort on variant prices', () => {
+      // Monitor is 300, or 380 for MON-27
+      expect(productService.searchProducts({ minPrice: '350', maxPrice: '500' }).products.map(p => p.name)).toEqual(['Monitor']);
+
+      productService.createProduct({ name: 'Stand', price: 400, stock: 5 });
+      const byPrice = (order) => productService.searchProducts({ sort: 'price', order, minPrice: '290', maxPrice: '500' })
+        .products.map(p => p.name);
+      expect(byPrice('asc')).toEqual(['Monitor', 'Stand']); // from 300
+      expect(byPrice('desc')).toEqual(['Stand', 'Monitor']); // up to 380
+    });
+
+    test('should hide out-of-stock products when inStock is true', () => {
+      dataStore.getProduct('2').stock = 0;
+
+      const result = productService.searchProducts({ inStock: 'true' });
+      expect(result.products.map(p => p.id)).not.toContain('2');
+      expect(result.pagination.total).toBe(4);
+    });
+
+    test('should sort by price descending', () => {
+      const result = productService.searchProducts({ sort: 'price', order: 'desc' });
+
+      expect(result.products.map(p => p.price)).toEqual([1000, 300, 150, 75, 25]);
+    });
+
+    test('should sort by name', () => {
+      const result = productService.searchProducts({ sort: 'name' });
+
+      expect(result.products[0].name).toBe('Headphones');
+    });
+
+    test('should paginate results', () => {
+      const result = productService.searchProducts({ sort: 'price', page: '2', pageSize: '2' });
+
+      expect(result.products.map(p => p.price)).toEqual([150, 300]);
+      expect(result.pagination).toEqual({ page: 2, pageSize: 2, total: 5, totalPages: 3 });
+    });
+
+    test('should exclude archived products', () => {
+      productService.archiveProduct('1');
+
+      const result = productService.searchProducts();
+      expect(result.pagination.total).toBe(4);
+    });
+
+    test('should reject invalid parameters', () => {
+      expect(() => productService.searchProducts({ minPrice: 'abc' })).toThrow('minPrice must be a number');
+      expect(() => productService.searchProducts({ sort: 'rating' })).toThrow('sort must be one of');
+      expect(() => productService.searchProducts({ order: 'up' })).toThrow('order must be asc or desc');
+      expect(() => productService.searchProducts({ pageSize: '500' })).toThrow('pageSize must be an integer');
+      expect(() => productService.searchProducts({ page: '1.5' })).toThrow('page must be a positive integer');
+      expect(() => productService.searchProducts({ page: '0' })).toThrow('page must be a positive integer');
+      expect(() => productService.searchProducts({ search: ['a'] })).toThrow('search must be a single text value');
+      expect(() => productService.searchProducts({ tag: { a: '1' } })).toThrow('tag must be a single text value');
+      expect(() => productService.searchProducts({ pageSize: '0' })).toThrow('pageSize must be an integer');
+    });
+  });
+
+  describe('createProduct', () => {
+    test('should create a product', () => {
+      const product = productService.createProduct({
+        name: ' Webcam ',
+        price: 80,
+        stock: 12,
+        description: '1080p USB webcam',
+      });
+
+      expect(product.id).toBeTruthy();
+      expect(product.name).toBe('Webcam');
+      expect(product.archived).toBe(false);
+      expect(dataStore.getProduct(product.id)).toBe(product);
+    });
+
+    test('should default description to empty string', () => {
+      const product = productService.createProduct({ name: 'Cable', price: 5, stock: 100 });
+      expect(product.description).toBe('');
+    });
+
+    test('should reject missing name', () => {
+      expect(() => {
+        productService.createProduct({ price: 5, stock: 1 });
+      }).toThrow('Product name is required');
+    });
+
+    test('should default tax class to standard', () => {
+      const product = productService.createProduct({ name: 'Cable', price: 5, stock: 100 });
+      expect(product.taxClass).toBe('standard');
+    });
+
+    test('should reject unknown tax classes', () => {
+      expect(() => {
+        productService.createProduct({ name: 'Cable', price: 5, stock: 100, taxClass: 'luxury' });
+      }).toThrow('Invalid tax class: luxury');
+    });
+
+    test('should store price lists and price from them', () => {
+      const product = productService.createProduct({
+        name: 'Cable',
+        price: 5,
+        stock: 100,
+        prices: { eur: 4.99 },
+      });
+
+      expect(product.prices).toEqual({ EUR: 4.99 });
+      expect(productService.getUnitPrice(product, null, 'EUR')).toBe(4.99);
+      expect(productService.getUnitPrice(product, null, 'GBP')).toBe(3.95);
+    });
+
+    test('should reject bad price lists', () => {
+      expect(() => {
+        productService.createProduct({ name: 'Cable', price: 5, stock: 1, prices: { USD: 6 } });
+      }).toThrow('Set the USD price with the price field');
+      expect(() => {
+        productService.createProduct({ name: 'Cable', price: 5, stock: 1, prices: { EUR: -1 } });
+      }).toThrow('EUR price must be a positive number');
+    });
+
+    test('should reject non-positive price', () => {
+      expect(() => {
+        productService.createProduct({ name: 'Cable', price: 0, stock: 1 });
+      }).toThrow('Price must be a positive number');
+    });
+
+    test('should reject fractional stock', () => {
+      expect(() => {
+        productService.createProduct({ name: 'Cable', price: 5, stock: 1.5 });
+      }).toThrow('Stock must be a non-negative integer');
+    });
+
+    test('should reject non-string description', () => {
+      expect(() => {
+        productService.createProduct({ name: 'Cable', price: 5, stock: 1, description: 42 });
+      }).toThrow('Description must be a string');
+    });
+  });
+
+  describe('updateProduct', () => {
+    test('should update only provided fields', () => {
+      const product = productService.updateProduct('2', { price: 30 });
+
+      expect(product.price).toBe(30);
+      expect(product.name).toBe('Mouse');
+      expect(product.stock).toBe(50);
+      expect(product.updatedAt).toBeTruthy();
+    });
+
+    test('should validate provided fields', () => {
+      expect(() => {
+        productService.updateProduct('2', { stock: -1 });
+      }).toThrow('Stock must be a non-negative integer');
+    });
+
+    test('should throw for unknown product', () => {
+      expect(() => {
+        productService.updateProduct('missing', { price: 1 });
+      }).toThrow('Product not found');
+    });
+  });
+
+  describe('variants', () => {
+    const variantData = {
+      name: 'T-Shirt',
+      price: 20,
+      options: [
+        { name: 'Size', values: ['S', 'M'] },
+        { name: 'Color', values: ['Red'] },
+      ],
+      variants: [
+        { sku: 'TS-S-RED', options: { Size: 'S', Color: 'Red' }, stock: 4 },
+        { sku: 'TS-M-RED', options: { Size: 'M', Color: 'Red' }, price: 22, stock: 6 },
+      ],
+    };
+
+    test('should create a product with variants', () => {
+      const product = productService.createProduct(variantData);
+
+      expect(product.variants).toHaveLength(2);
+      expect(product.variants[0].price).toBeNull();
+      expect(product.stock).toBe(10);
+    });
+
+    test('should reject variants with invalid option values', () => {
+      expect(() => {
+        productService.createProduct({
+          ...variantData,
+          variants: [{ sku: 'TS-L', options: { Size: 'L', Color: 'Red' }, stock: 1 }],
+        });
+      }).toThrow('Variant TS-L has an invalid value for Size');
+    });
+
+    test('should reject duplicate option combinations', () => {
+      expect(() => {
+        productService.createProduct({
+          ...variantData,
+          variants: [
+            { sku: 'A', options: { Size: 'S', Color: 'Red' }, stock: 1 },
+            { sku: 'B', options: { Size: 'S', Color: 'Red' }, stock: 1 },
+          ],
+        });
+      }).toThrow('Duplicate variant for S/Red');
+    });
+
+    test('should reject SKUs used by another product', () => {
+      expect(() => {
+        productService.createProduct({
+          ...variantData,
+          variants: [{ sku: 'HP-BLK', options: { Size: 'S', Color: 'Red' }, stock: 1 }],
+        });
+      }).toThrow('SKU HP-BLK is already in use');
+    });
+
+    test('should reject variants without options', () => {
+      expect(() => {
+        productService.createProduct({ ...variantData, options: [] });
+      }).toThrow('Options are required for products with variants');
+    });
+
+    test('should reject product-level stock updates for variant products', () => {
+      expect(() => {
+        productService.updateProduct('5', { stock: 3 });
+      }).toThrow('Stock is managed per variant');
+    });
+
+    test('should replace variants and recompute stock', () => {
+      const product = productService.updateProduct('5', {
+        variants: [{ sku: 'HP-BLK', options: { Color: 'Black' }, stock: 2 }],
+      });
+
+      expect(product.variants).toHaveLength(1);
+      expect(product.stock).toBe(2);
+    });
+
+    test('should turn a variant product back into a simple product', () => {
+      const product = productService.updateProduct('5', { variants: [], stock: 7 });
+
+      expect(product.variants).toBeUndefined();
+      expect(product.stock).toBe(7);
+    });
+
+    test('should resolve variants by SKU', () => {
+      const product = dataStore.getProduct('4');
+
+      expect(productService.resolveVariant(product, 'MON-27').price).toBe(380);
+      expect(productService.getUnitPrice(product, product.variants[1])).toBe(380);
+      expect(productService.getUnitPrice(product, product.variants[0])).toBe(300);
+      expect(() => productService.resolveVariant(product)).toThrow('Please select a variant');
+      expect(() => productService.resolveVariant(product, 'NOPE')).toThrow('Variant not found');
+      expect(productService.resolveVariant(dataStore.getProduct('1'))).toBeNull();
+    });
+  });
+
+  describe('archiveProduct', () => {
+    test('should hide archived products from shoppers', () => {
+      productService.archiveProduct('3');
+
+      const visibleIds = productService.getProducts().map(product => product.id);
+      expect(visibleIds).not.toContain('3');
+      expect(productService.getAllProducts()).toHaveLength(seedProducts.length);
+    });
+
+    test('should prevent adding archived products to cart', () => {
+      productService.archiveProduct('3');
+
+      expect(() => {
+        cartService.addToCart('user-1', '3', 1);
+      }).toThrow('Product is no longer available');
+    });
+
+    test('should fail cart validation for archived products', () => {
+      cartService.addToCart('user-1', '3', 1);
+      productService.archiveProduct('3');
+
+      const result = cartService.validateCart('user-1');
+      expect(result.isValid).toBe(false);
+      expect(result.message).toContain('no longer available');
+    });
+
+    test('should restore archived products', () => {
+      productService.archiveProduct('3');
+      const product = productService.restoreProduct('3');
+
+      expect(product.archived).toBe(false);
+      expect(productService.getProducts().map(p => p.id)).toContain('3');
+    });
+  });
+
+  describe('deleteProduct', () => {
+    test('should remove product from the catalog', () => {
+      productService.deleteProduct('4');
+      expect(dataStore.getProduct('4')).toBeUndefined();
+    });
+
+    test('should throw for unknown product', () => {
+      expect(() => {
+        productService.deleteProduct('missing');
+      }).toThrow('Product not found');
+    });
+  });
+});
@@ -0,0 +1,505 @@
+/**
+ * Promotion Service
+ * Works out what promotions take off a cart, line by line, and manages the
+ * automatic promotions applied to every cart without a code
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+const categoryService = require("./categoryService");
+const currencyService = require("./currencyService");
+const money = require("./money");
+
+// What each kind of promotion takes off (amounts in the base currency)
+const PROMOTION_TYPES = {
+  // Percentage off every eligible line: { discountPercentage }
+  percentage: ["discountPercentage"],
+  // Amount off the eligible lines, never more than they cost: { amount }
+  fixed_amount: ["amount"],
+  // Shipping is free: {}
+  free_shipping: [],
+  // In every group of buy + get eligible units, the get cheapest ones are
+  // discounted: { buyQuantity, getQuantity, discountPercentage }
+  buy_x_get_y: ["buyQuantity", "getQuantity", "discountPercentage"],
+  // Percentage off the single cheapest eligible unit: { discountPercentage }
+  cheapest_item: ["discountPercentage"],
+};
+
+class PromotionService {
+  /**
+   * Creates an automatic promotion (admin function)
+   * @param {object} data - Promotion fields
+   * @param {string} data.name - Name shown to shoppers
+   * @param {string} [data.type="percentage"] - One of PROMOTION_TYPES, with its own fields
+   * @param {array} [data.productIds] - Only these products are discounted
+   * @param {array} [data.categoryIds] - Only products in these categories are discounted
+   * @param {number} [data.priority=0] - Higher priorities are applied first
+   * @param {boolean} [data.exclusive=false] - Applies alone, never with other automatic promotions
+   * @param {boolean} [data.combinableWithCodes=true] - Discount codes can be used on top
+   * @param {number} [data.minSubtotal] - Smallest cart subtotal, in the base currency
+   * @param {string} [data.startsAt] - Date the promotion starts
+   * @param {string} [data.endsAt] - Date the promotion ends
+   * @param {boolean} [data.active=true] - Switched on
+   * @returns {object} - Created promotion
+   */
+  createPromotion(data = {}) {
+    const promotion = {
+      id: uuidv4(),
+      ...this.normalizeAutomatic(data),
+      createdAt: new Date().toISOString(),
+    };
+
+    dataStore.savePromotion(promotion);
+    return promotion;
+  }
+
+  /**
+   * Updates an automatic promotion (admin function)
+   * @param {string} promotionId - Promotion identifier
+   * @param {object} changes - Fields to change (see createPromotion)
+   * @returns {object} - Updated promotion
+   */
+  updatePromotion(promotionId, changes = {}) {
+    const existing = this.getPromotion(promotionId);
+    const promotion = {
+      id: existing.id,
+      ...this.normalizeAutomatic({ ...existing, ...changes }),
+      createdAt: existing.createdAt,
+    };
+
+    dataStore.savePromotion(promotion);
+    return promotion;
+  }
+
+  /**
+   * Deletes an automatic promotion (admin function). Orders keep the
+   * savings they were given.
+   * @param {string} promotionId - Promotion identifier
+   */
+  deletePromotion(promotionId) {
+    this.getPromotion(promotionId);
+    dataStore.deletePromotion(promotionId);
+  }
+
+  /**
+   * Gets an automatic promotion by ID
+   * @param {string} promotionId - Promotion identifier
+   * @returns {object} - Promotion
+   */
+  getPromotion(promotionId) {
+    const promotion = dataStore.getPromotion(promotionId);
+    if (!promotion) {
+      throw new Error("Promotion not found");
+    }
+    return promotion;
+  }
+
+  /**
+   * Gets all automatic promotions in the order they are applied
+   * @returns {array} - Promotions, highest priority first (oldest first on ties)
+   */
+  getAllPromotions() {
+    return dataStore
+      .getAllPromotions()
+      .sort(
+        (a, b) =>
+          b.priority - a.priority || a.createdAt.localeCompare(b.createdAt),
+      );
+  }
+
+  /**
+   * Checks whether an automatic promotion is switched on and running
+   * @param {object} promotion - Promotion
+   * @param {number} [now=Date.now()] - Time to check at
+   * @returns {boolean} - True while the promotion runs
+   */
+  isRunning(promotion, now = Date.now()) {
+    return (
+      promotion.active &&
+      (!promotion.startsAt || now >= Date.parse(promotion.startsAt)) &&
+      (!promotion.endsAt || now < Date.parse(promotion.endsAt))
+    );
+  }
+
+  /**
+   * Validates the fields of an automatic promotion
+   * @param {object} data - Raw promotion fields (see createPromotion)
+   * @returns {object} - Normalized fields, without id and createdAt
+   */
+  normalizeAutomatic(data) {
+    const {
+      name,
+      priority = 0,
+      exclusive = false,
+      combinableWithCodes = true,
+      minSubtotal = null,
+      startsAt = null,
+      endsAt = null,
+      active = true,
+    } = data;
+
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error("Promotion name is required");
+    }
+    if (!Number.isInteger(priority)) {
+      throw new Error("priority must be an integer");
+    }
+    Object.entries({ exclusive, combinableWithCodes, active }).forEach(
+      ([field, value]) => {
+        if (typeof value !== "boolean") {
+          throw new Error(`${field} must be true or false`);
+        }
+      },
+    );
+    if (
+      minSubtotal !== null &&
+      (typeof minSubtotal !== "number" ||
+        !Number.isFinite(minSubtotal) ||
+        minSubtotal < 0)
+    ) {
+      throw new Error("minSubtotal must be a non-negative number");
+    }
+    [
+      ["startsAt", startsAt],
+      ["endsAt", endsAt],
+    ].forEach(([field, value]) => {
+      if (value !== null && Number.isNaN(Date.parse(value))) {
+        throw new Error(`${field} must be a valid date`);
+      }
+    });
+    if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) {
+      throw new Error("endsAt must be after startsAt");
+    }
+
+    return {
+      name: name.trim(),
+      ...this.normalizePromotion(data),
+      priority,
+      exclusive,
+      combinableWithCodes,
+      minSubtotal,
+      startsAt: startsAt === null ? null : new Date(startsAt).toISOString(),
+      endsAt: endsAt === null ? null : new Date(endsAt).toISOString(),
+      active,
+    };
+  }
+
+  /**
+   * Validates and normalizes a promotion's type, amounts and scope
+   * @param {object} data - Raw promotion fields
+   * @param {string} [data.type="percentage"] - One of PROMOTION_TYPES
+   * @param {array} [data.productIds] - Only these products are discounted
+   * @param {array} [data.categoryIds] - Only products in these categories (or below) are discounted
+   * @returns {object} - { type, ...type fields, productIds, categoryIds }
+   */
+  normalizePromotion(data = {}) {
+    const { type = "percentage", productIds = null, categoryIds = null } = data;
+
+    if (!PROMOTION_TYPES[type]) {
+      throw new Error(
+        `Invalid promotion type: ${type}. Must be one of: ${Object.keys(PROMOTION_TYPES).join(", ")}`,
+      );
+    }
+
+    const promotion = { type };
+    PROMOTION_TYPES[type].forEach((field) => {
+      const value =
+        field === "discountPercentage" &&
+        type === "buy_x_get_y" &&
+        data[field] === undefined
+          ? 100 // "Get Y" means free unless a percentage is given
+          : data[field];
+      this.validateField(field, value);
+      promotion[field] = value;
+    });
+
+    [productIds, categoryIds].forEach((ids, index) => {
+      if (ids !== null && (!Array.isArray(ids) || !ids.length)) {
+        throw new Error(
+          `${index ? "categoryIds" : "productIds"} must be a non-empty array`,
+        );
+      }
+    });
+    (productIds || []).forEach((productId) => {
+      if (!dataStore.getProduct(productId)) {
+        throw new Error(`Product ${productId} not found`);
+      }
+    });
+    (categoryIds || []).forEach((categoryId) =>
+      categoryService.getCategory(categoryId),
+    );
+
+    promotion.productIds = productIds ? [...new Set(productIds)] : null;
+    promotion.categoryIds = categoryIds ? [...new Set(categoryIds)] : null;
+    return promotion;
+  }
+
+  /**
+   * Checks one of a promotion type's fields
+   * @param {string} field - Field name
+   * @param {*} value - Field value
+   */
+  validateField(field, value) {
+    switch (field) {
+      case "discountPercentage":
+        if (typeof value !== "number" || !(value > 0 && value <= 100)) {
+          throw new Error(
+            "Discount percentage must be a number above 0 and up to 100",
+          );
+        }
+        break;
+      case "amount":
+        if (
+          typeof value !== "number" ||
+          !Number.isFinite(value) ||
+          value <= 0
+        ) {
+          throw new Error("Discount amount must be a positive number");
+        }
+        break;
+      default:
+        if (!Number.isInteger(value) || value < 1) {
+          throw new Error(`${field} must be a positive integer`);
+        }
+    }
+  }
+
+  /**
+   * Gets the type of a stored promotion
+   * @param {object} promotion - Promotion or discount code
+   * @returns {string} - Promotion type (codes saved before types existed are percentages)
+   */
+  getType(promotion) {
+    return promotion.type || "percentage";
+  }
+
+  /**
+   * Gets the lines a promotion applies to
+   * @param {object} promotion - Promotion or discount code
+   * @param {array} items - Cart or order lines
+   * @returns {array} - Lines the promotion discounts (all of them without a scope)
+   */
+  getEligibleItems(promotion, items) {
+    const { productIds, categoryIds } = promotion;
+    if (!productIds && !categoryIds) {
+      return items;
+    }
+
+    const scopedCategories = new Set(
+      (categoryIds || []).flatMap((id) => categoryService.getDescendantIds(id)),
+    );
+    return items.filter((item) => {
+      if (productIds && productIds.includes(item.productId)) {
+        return true;
+      }
+      const product = dataStore.getProduct(item.productId);
+      return Boolean(
+        product &&
+        product.categoryId &&
+        scopedCategories.has(product.categoryId),
+      );
+    });
+  }
+
+  /**
+   * Applies the running automatic promotions to a cart, then a discount
+   * code on what is left. Promotions go highest priority first. An
+   * exclusive promotion only applies when no other has, and stops the rest.
+   * Each promotion only discounts what earlier ones left, so lines never go
+   * below zero.
+   * @param {object} cart - Cart from cartService.getCart()
+   * @param {object} [code] - Discount code the shopper entered
+   * @returns {object} - { discount, freeShipping, lines: [{ discount }],
+   *   promotions: [{ id, name, type, savings, freeShipping }],
+   *   code: { type, savings, freeShipping } | null,
+   *   blockedBy: applied promotion that can't be combined with codes | null }
+   */
+  applyPromotions(cart, code = null) {
+    const { currency } = cart;
+    const applied = cart.items.map(() => 0);
+    const record = (promotion, shares) => {
+      shares.forEach((share, index) => {
+        applied[index] += share;
+      });
+      return {
+        type: this.getType(promotion),
+        savings: money.toMajor(
+          shares.reduce((sum, share) => sum + share, 0),
+          currency,
+        ),
+        freeShipping: this.getType(promotion) === "free_shipping",
+      };
+    };
+
+    const promotions = [];
+    let exclusiveApplied = false;
+    let blockedBy = null;
+    for (const promotion of this.getAllPromotions()) {
+      if (exclusiveApplied || (promotion.exclusive && promotions.length)) {
+        continue;
+      }
+      if (
+        !this.isRunning(promotion) ||
+        !this.meetsMinSubtotal(promotion, cart)
+      ) {
+        continue;
+      }
+      // A promotion that takes nothing off this cart is left out
+      const shares = this.getShares(promotion, cart, applied);
+      if (
+        !shares.some(Boolean) &&
+        this.getType(promotion) !== "free_shipping"
+      ) {
+        continue;
+      }
+
+      promotions.push({
+        id: promotion.id,
+        name: promotion.name,
+        ...record(promotion, shares),
+      });
+      exclusiveApplied = promotion.exclusive;
+      if (!promotion.combinableWithCodes && !blockedBy) {
+        blockedBy = { id: promotion.id, name: promotion.name };
+      }
+    }
+
+    const codeResult =
+      code && !blockedBy
+        ? record(code, this.getShares(code, cart, applied))
+        : null;
+
+    return {
+      discount: money.toMajor(
+        applied.reduce((sum, share) => sum + share, 0),
+        currency,
+      ),
+      freeShipping:
+        promotions.some((promotion) => promotion.freeShipping) ||
+        Boolean(codeResult && codeResult.freeShipping),
+      lines: applied.map((share) => ({
+        discount: money.toMajor(share, currency),
+      })),
+      promotions,
+      code: codeResult,
+      blockedBy,
+    };
+  }
+
+  /**
+   * Checks an automatic promotion's minimum subtotal against a cart
+   * @param {object} promotion - Promotion
+   * @param {object} cart - Cart from cartService.getCart()
+   * @returns {boolean} - True when the cart spends enough
+   */
+  meetsMinSubtotal(promotion, cart) {
+    return (
+      !promotion.minSubtotal ||
+      cart.subtotal >=
+        currencyService.convertFromBase(promotion.minSubtotal, cart.currency)
+    );
+  }
+
+  /**
+   * Works out a promotion's discount per cart line
+   * @param {object} promotion - Promotion or discount code
+   * @param {object} cart - Cart
+   * @param {array} applied - Minor units already taken off each line
+   * @returns {array} - Discount per cart line, in minor units, never more
+   *   than what is left of the line
+   */
+  getShares(promotion, cart, applied) {
+    const { currency } = cart;
+    const type = this.getType(promotion);
+    const eligible = new Set(this.getEligibleItems(promotion, cart.items));
+    const remaining = cart.items.map((item, index) =>
+      eligible.has(item)
+        ? money.toMinor(item.price, currency) * item.quantity - applied[index]
+        : 0,
+    );
+    const eligibleTotal = remaining.reduce((sum, total) => sum + total, 0);
+
+    let shares;
+    switch (type) {
+      case "percentage":
+        shares = money.allocate(
+          money.percentage(eligibleTotal, promotion.discountPercentage),
+          remaining,
+        );
+        break;
+      case "fixed_amount": {
+        const amount = money.toMinor(
+          currencyService.convertFromBase(promotion.amount, currency),
+          currency,
+        );
+        shares = money.allocate(Math.min(amount, eligibleTotal), remaining);
+        break;
+      }
+      case "free_shipping":
+        shares = remaining.map(() => 0);
+        break;
+      case "buy_x_get_y":
+        shares = this.discountUnits(
+          cart,
+          eligible,
+          (units) => {
+            // Most expensive first, so the discounted units of each group
+            // are its cheapest
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            return units.filter(
+              (unit, index) =>
+                index % groupSize >= promotion.buyQuantity &&
+                index < units.length - (units.length % groupSize),
+            );
+          },
+          promotion.discountPercentage,
+        );
+        break;
+      case "cheapest_item":
+        shares = this.discountUnits(
+          cart,
+          eligible,
+          (units) => units.slice(-1),
+          promotion.discountPercentage,
+        );
+        break;
+      default:
+        throw new Error(`Invalid promotion type: ${type}`);
+    }
+
+    return shares.map((share, index) => Math.min(share, remaining[index]));
+  }
+
+  /**
+   * Discounts individual units picked from the eligible lines
+   * @param {object} cart - Cart
+   * @param {Set} eligible - Eligible cart lines
+   * @param {function} pick - Gets the units to discount from all eligible
+   *   units, sorted from most to least expensive
+   * @param {number} discountPercentage - Percentage off each picked unit
+   * @returns {array} - Discount per cart line, in minor units
+   */
+  discountUnits(cart, eligible, pick, discountPercentage) {
+    const units = cart.items
+      .flatMap((item, lineIndex) =>
+        eligible.has(item)
+          ? Array.from({ length: item.quantity }, () => ({
+              lineIndex,
+              price: money.toMinor(item.price, cart.currency),
+            }))
+          : [],
+      )
+      .sort((a, b) => b.price - a.price);
+
+    const shares = cart.items.map(() => 0);
+    pick(units).forEach((unit) => {
+      shares[unit.lineIndex] += money.percentage(
+        unit.price,
+        discountPercentage,
+      );
+    });
+    return shares;
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for Promotion Service
+ */
+
+const promotionService = require('./promotionService');
+const dataStore = require('./dataStore');
+
+describe('PromotionService', () => {
+  const cart = (items, currency = 'USD') => ({ currency, items });
+  const laptop = { productId: '1', price: 1000, quantity: 1 };
+  const mouse = { productId: '2', price: 25, quantity: 2 };
+  const keyboard = { productId: '3', price: 75, quantity: 1 };
+
+  describe('normalizePromotion', () => {
+    test('should default to a percentage promotion', () => {
+      expect(promotionService.normalizePromotion({ discountPercentage: 10 })).toEqual({
+        type: 'percentage',
+        discountPercentage: 10,
+        productIds: null,
+        categoryIds: null,
+      });
+    });
+
+    test('should make buy X get Y free unless a percentage is given', () => {
+      expect(promotionService.normalizePromotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 }))
+        .toMatchObject({ buyQuantity: 2, getQuantity: 1, discountPercentage: 100 });
+    });
+
+    test('should validate each type\'s fields', () => {
+      expect(() => promotionService.normalizePromotion({ type: 'bogus' })).toThrow('Invalid promotion type');
+      expect(() => promotionService.normalizePromotion({ type: 'fixed_amount', amount: -5 })).toThrow('Discount amount');
+      expect(() => promotionService.normalizePromotion({ type: 'buy_x_get_y', buyQuantity: 1.5, getQuantity: 1 }))
+        .toThrow('buyQuantity must be a positive integer');
+      expect(() => promotionService.normalizePromotion({ type: 'cheapest_item', discountPercentage: 150 }))
+        .toThrow('Discount percentage');
+      expect(() => promotionService.normalizePromotion({ discountPercentage: 10, categoryIds: [] }))
+        .toThrow('categoryIds must be a non-empty array');
+    });
+  });
+
+  describe('applyPromotions with a code', () => {
+    const applyCode = (code, codeCart) => promotionService.applyPromotions(codeCart, code);
+
+    beforeEach(() => {
+      dataStore.promotions.clear();
+    });
+
+    test('should only discount lines in scope', () => {
+      const scoped = promotionService.normalizePromotion({
+        discountPercentage: 10,
+        categoryIds: ['electronics'],
+        productIds: ['2'],
+      });
+      const computersOnly = promotionService.normalizePromotion({ discountPercentage: 10, categoryIds: ['computers'] });
+
+      expect(applyCode(scoped, cart([laptop, mouse])).discount).toBe(105);
+      expect(applyCode(computersOnly, cart([laptop, mouse]))).toEqual({
+        discount: 100,
+        freeShipping: false,
+        lines: [{ discount: 100 }, { discount: 0 }],
+        promotions: [],
+        code: { type: 'percentage', savings: 100, freeShipping: false },
+        blockedBy: null,
+      });
+    });
+
+    test('should spread a fixed amount over the eligible lines', () => {
+      const promotion = promotionService.normalizePromotion({ type: 'fixed_amount', amount: 30 });
+      const result = applyCode(promotion, cart([laptop, mouse]));
+
+      expect(result.discount).toBe(30);
+      expect(result.lines).toEqual([{ discount: 28.57 }, { discount: 1.43 }]);
+    });
+
+    test('should cap a fixed amount at what the eligible lines cost', () => {
+      const promotion = promotionService.normalizePromotion({ type: 'fixed_amount', amount: 200, productIds: ['2'] });
+
+      expect(applyCode(promotion, cart([laptop, mouse])).lines).toEqual([
+        { discount: 0 },
+        { discount: 50 },
+      ]);
+    });
+
+    test('should convert a fixed amount to the cart currency', () => {
+      const promotion = promotionService.normalizePromotion({ type: 'fixed_amount', amount: 10 });
+
+      expect(applyCode(promotion, cart([laptop], 'EUR')).discount).toBe(9.2);
+    });
+
+    test('should flag free shipping without touching the lines', () => {
+      const promotion = promotionService.normalizePromotion({ type: 'free_shipping' });
+
+      expect(applyCode(promotion, cart([laptop]))).toMatchObject({
+        discount: 0,
+        freeShipping: true,
+        lines: [{ discount: 0 }],
+        code: { type: 'free_shipping', savings: 0, freeShipping: true },
+      });
+    });
+
+    test('should give the cheapest unit of each full group for buy X get Y', () => {
+      const promotion = promotionService.normalizePromotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+      // 75, 25, 25: the second mouse is free
+      expect(applyCode(promotion, cart([keyboard, mouse])).lines).toEqual([
+        { discount: 0 },
+        { discount: 25 },
+      ]);
+      // 75, 25, 25, 25, 25: the last two units don't make a full group
+      expect(applyCode(promotion, cart([keyboard, { ...mouse, quantity: 4 }])).discount).toBe(25);
+    });
+
+    test('should apply the buy X get Y percentage to each group', () => {
+      const promotion = promotionService.normalizePromotion({
+        type: 'buy_x_get_y',
+        buyQuantity: 1,
+        getQuantity: 1,
+        discountPercentage: 50,
+      });
+
+      // Groups 75 + 75 and 25 + 25: half off one unit of each
+      expect(applyCode(promotion, cart([{ ...keyboard, quantity: 2 }, mouse])).lines).toEqual([
+        { discount: 37.5 },
+        { discount: 12.5 },
+      ]);
+    });
+
+    test('should discount the single cheapest eligible unit', () => {
+      const promotion = promotionService.normalizePromotion({ type: 'cheapest_item', discountPercentage: 50 });
+
+      expect(applyCode(promotion, cart([laptop, mouse])).lines).toEqual([
+        { discount: 0 },
+        { discount: 12.5 },
+      ]);
+    });
+  });
+
+  describe('automatic promotions', () => {
+    const subtotalOf = (items) => items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const shopCart = (items) => ({ currency: 'USD', items, subtotal: subtotalOf(items) });
+
+    beforeEach(() => {
+      dataStore.promotions.clear();
+    });
+
+    test('should validate promotion settings', () => {
+      expect(() => promotionService.createPromotion({ discountPercentage: 10 })).toThrow('Promotion name is required');
+      expect(() => promotionService.createPromotion({ name: 'Sale', discountPercentage: 10, priority: 1.5 }))
+        .toThrow('priority must be an integer');
+      expect(() => promotionService.createPromotion({ name: 'Sale', discountPercentage: 10, exclusive: 'yes' }))
+        .toThrow('exclusive must be true or false');
+      expect(() => promotionService.createPromotion({
+        name: 'Sale',
+        discountPercentage: 10,
+        startsAt: '2026-02-01T00:00:00Z',
+        endsAt: '2026-01-01T00:00:00Z',
+      })).toThrow('endsAt must be after startsAt');
+    });
+
+    test('should apply promotions without a code and list their savings', () => {
+      const promotion = promotionService.createPromotion({
+        name: 'Keyboard week',
+        discountPercentage: 15,
+        productIds: ['3'],
+      });
+
+      const result = promotionService.applyPromotions(shopCart([laptop, keyboard]));
+
+      expect(result.promotions).toEqual([
+        { id: promotion.id, name: 'Keyboard week', type: 'percentage', savings: 11.25, freeShipping: false },
+      ]);
+      expect(result.discount).toBe(11.25);
+      expect(result.lines).toEqual([{ discount: 0 }, { discount: 11.25 }]);
+    });
+
+    test('should apply higher priorities first, each on what is left', () => {
+      promotionService.createPromotion({ name: 'Everything', discountPercentage: 10, priority: 1 });
+      promotionService.createPromotion({ name: 'Mice', type: 'fixed_amount', amount: 10, productIds: ['2'], priority: 5 });
+
+      const result = promotionService.applyPromotions(shopCart([laptop, mouse]));
+
+      expect(result.promotions.map(promotion => [promotion.name, promotion.savings])).toEqual([
+        ['Mice', 10],
+        ['Everything', 104], // 10% of 1000 + 10% of the 40 left on the mice
+      ]);
+      expect(result.lines).toEqual([{ discount: 100 }, { discount: 14 }]);
+    });
+
+    test('should apply an exclusive promotion on its own', () => {
+      promotionService.createPromotion({ name: 'Everything', discountPercentage: 10, priority: 1 });
+      promotionService.createPromotion({ name: 'Flash sale', discountPercentage: 30, priority: 9, exclusive: true });
+
+      expect(promotionService.applyPromotions(shopCart([laptop])).promotions.map(promotion => promotion.name))
+        .toEqual(['Flash sale']);
+    });
+
+    test('should skip an exclusive promotion once others have applied', () => {
+      promotionService.createPromotion({ name: 'Everything', discountPercentage: 10, priority: 9 });
+      promotionService.createPromotion({ name: 'Flash sale', discountPercentage: 30, priority: 1, exclusive: true });
+
+      expect(promotionService.applyPromotions(shopCart([laptop])).promotions.map(promotion => promotion.name))
+        .toEqual(['Everything']);
+    });
+
+    test('should skip promotions that are off, out of dates or below their minimum', () => {
+      promotionService.createPromotion({ name: 'Off', discountPercentage: 10, active: false });
+      promotionService.createPromotion({ name: 'Over', discountPercentage: 10, endsAt: '2000-01-01T00:00:00Z' });
+      promotionService.createPromotion({ name: 'Big spenders', discountPercentage: 10, minSubtotal: 500 });
+      promotionService.createPromotion({ name: 'Laptops', discountPercentage: 10, productIds: ['1'] });
+
+      expect(promotionService.applyPromotions(shopCart([mouse])).promotions).toEqual([]);
+    });
+
+    test('should apply a code on top of the promotions', () => {
+      promotionService.createPromotion({ name: 'Everything', discountPercentage: 10 });
+      const code = promotionService.normalizePromotion({ type: 'fixed_amount', amount: 20 });
+
+      const result = promotionService.applyPromotions(shopCart([laptop]), code);
+
+      expect(result.code).toEqual({ type: 'fixed_amount', savings: 20, freeShipping: false });
+      expect(result.discount).toBe(120);
+      expect(result.blockedBy).toBeNull();
+    });
+
+    test('should leave the code out when a promotion can\'t be combined with codes', () => {
+      const promotion = promotionService.createPromotion({
+        name: 'Members only',
+        discountPercentage: 10,
+        combinableWithCodes: false,
+      });
+      const code = promotionService.normalizePromotion({ discountPercentage: 10 });
+
+      const result = promotionService.applyPromotions(shopCart([laptop]), code);
+
+      expect(result.code).toBeNull();
+      expect(result.discount).toBe(100);
+      expect(result.blockedBy).toEqual({ id: promotion.id, name: 'Members only' });
+    });
+
+    test('should re-validate the merged fields on update', () => {
+      const promotion = promotionService.createPromotion({ name: 'Sale', discountPercentage: 10 });
+
+      const updated = promotionService.updatePromotion(promotion.id, { type: 'free_shipping', priority: 3 });
+
+      expect(updated).toMatchObject({ id: promotion.id, type: 'free_shipping', priority: 3, createdAt: promotion.createdAt });
+      expect(updated.discountPercentage).toBeUndefined();
+      expect(() => promotionService.updatePromotion('nope', {})).toThrow('Promotion not found');
+    });
+  });
+});
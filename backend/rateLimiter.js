@@ -0,0 +1,117 @@
+/**
+ * Rate Limiters
+ * Token buckets that sit behind the CodeAttemptService
+ *
+ * Every limiter implements the same synchronous interface:
+ *   take(key, { capacity, refillPerMinute }, now?) -> { allowed, retryAfterMs }
+ *   reset(key)
+ *
+ * Each key has a bucket holding up to `capacity` tokens, refilled at
+ * `refillPerMinute`. A request takes one token and is refused when the
+ * bucket is empty; `retryAfterMs` says when the next token arrives.
+ */
+
+// Past this many buckets, full ones are dropped (a full bucket is the same
+// as no bucket), so keys seen once don't stay in memory forever
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Keeps buckets in process memory. Limits are per server process and start
+ * over when it restarts.
+ */
+class MemoryTokenBucketLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Takes a token from a key's bucket
+   * @param {string} key - What is being limited, e.g. "user:<id>"
+   * @param {object} policy
+   * @param {number} policy.capacity - Most tokens the bucket holds
+   * @param {number} policy.refillPerMinute - Tokens added per minute
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {object} - { allowed, retryAfterMs }
+   */
+  take(key, { capacity, refillPerMinute }, now = Date.now()) {
+    if (this.buckets.size > PRUNE_THRESHOLD) {
+      this.prune(now);
+    }
+
+    const refillPerMs = refillPerMinute / 60000;
+    const bucket = this.refill(
+      this.buckets.get(key) || { tokens: capacity, updatedAt: now },
+      { capacity, refillPerMs },
+      now,
+    );
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs),
+      };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Forgets a key's bucket, giving it a full one
+   * @param {string} key - Key to reset
+   */
+  reset(key) {
+    this.buckets.delete(key);
+  }
+
+  /**
+   * Adds the tokens earned since a bucket was last updated
+   * @param {object} bucket - { tokens, updatedAt }
+   * @param {object} policy - { capacity, refillPerMs }
+   * @param {number} now - Current time in milliseconds
+   * @returns {object} - Refilled bucket, remembering its policy for prune()
+   */
+  refill(bucket, { capacity, refillPerMs }, now) {
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    return {
+      tokens: Math.min(capacity, bucket.tokens + elapsed * refillPerMs),
+      updatedAt: now,
+      capacity,
+      refillPerMs,
+    };
+  }
+
+  /**
+   * Drops buckets that have refilled completely
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    this.buckets.forEach((bucket, key) => {
+      if (this.refill(bucket, bucket, now).tokens >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Picks a rate limiter from configuration
+ * @param {object} config - Usually process.env
+ * @param {string} [config.RATE_LIMITER] - "memory" (default)
+ * @returns {object} - Rate limiter instance
+ */
+function createRateLimiter(config = {}) {
+  const type = config.RATE_LIMITER || "memory";
+
+  switch (type) {
+    case "memory":
+      return new MemoryTokenBucketLimiter();
+    default:
+      throw new Error(`Unknown rate limiter: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryTokenBucketLimiter,
+  createRateLimiter,
+};
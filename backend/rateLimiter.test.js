@@ -0,0 +1,68 @@
+/**
+ * Unit tests for Rate Limiters
+ */
+
+const {
+  MemoryTokenBucketLimiter,
+  createRateLimiter,
+} = require('./rateLimiter');
+
+describe('RateLimiter', () => {
+  const policy = { capacity: 3, refillPerMinute: 6 }; // a token every 10 seconds
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new MemoryTokenBucketLimiter();
+  });
+
+  describe('MemoryTokenBucketLimiter', () => {
+    test('should allow a burst up to the capacity, then refuse', () => {
+      expect(limiter.take('user:a', policy, 0).allowed).toBe(true);
+      expect(limiter.take('user:a', policy, 0).allowed).toBe(true);
+      expect(limiter.take('user:a', policy, 0).allowed).toBe(true);
+
+      expect(limiter.take('user:a', policy, 0)).toEqual({ allowed: false, retryAfterMs: 10000 });
+      expect(limiter.take('user:b', policy, 0).allowed).toBe(true);
+    });
+
+    test('should refill over time without going past the capacity', () => {
+      [0, 0, 0].forEach(now => limiter.take('user:a', policy, now));
+
+      expect(limiter.take('user:a', policy, 4000)).toEqual({ allowed: false, retryAfterMs: 6000 });
+      expect(limiter.take('user:a', policy, 10000).allowed).toBe(true);
+      expect(limiter.take('user:a', policy, 10000).allowed).toBe(false);
+
+      const later = 10 * 60 * 1000;
+      [1, 2, 3].forEach(() => expect(limiter.take('user:a', policy, later).allowed).toBe(true));
+      expect(limiter.take('user:a', policy, later).allowed).toBe(false);
+    });
+
+    test('should give a reset key a full bucket', () => {
+      [0, 0, 0].forEach(now => limiter.take('user:a', policy, now));
+
+      limiter.reset('user:a');
+
+      expect(limiter.take('user:a', policy, 0).allowed).toBe(true);
+    });
+
+    test('should only prune buckets that have refilled', () => {
+      limiter.take('user:a', policy, 0);
+      limiter.take('user:b', policy, 5000);
+
+      limiter.prune(10000);
+
+      expect(Array.from(limiter.buckets.keys())).toEqual(['user:b']);
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    test('should default to the memory limiter', () => {
+      expect(createRateLimiter()).toBeInstanceOf(MemoryTokenBucketLimiter);
+      expect(createRateLimiter({ RATE_LIMITER: 'memory' })).toBeInstanceOf(MemoryTokenBucketLimiter);
+    });
+
+    test('should reject unknown limiters', () => {
+      expect(() => createRateLimiter({ RATE_LIMITER: 'redis' })).toThrow('Unknown rate limiter: redis');
+    });
+  });
+});
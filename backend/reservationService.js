@@ -0,0 +1,188 @@
+/**
+ * Reservation Service
+ * Holds inventory for items sitting in carts so two shoppers cannot both
+ * claim the last unit. Holds expire after `config.reservationTtlMinutes`
+ * and are released by a background sweeper.
+ */
+
+const dataStore = require("./dataStore");
+
+class ReservationService {
+  constructor() {
+    this.sweeper = null;
+  }
+
+  /**
+   * Builds the reservation key for a cart line
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @param {string} [sku] - Variant SKU
+   * @returns {string} - Reservation key
+   */
+  getKey(userId, productId, sku) {
+    return `${userId}:${productId}:${sku || ""}`;
+  }
+
+  /**
+   * Checks whether a hold is still active
+   * @param {object} reservation - Reservation
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean} - True if the hold has not expired
+   */
+  isActive(reservation, now = Date.now()) {
+    return Date.parse(reservation.expiresAt) > now;
+  }
+
+  /**
+   * Sums active holds on a product or variant
+   * @param {string} productId - Product identifier
+   * @param {string} [sku] - Variant SKU (omit to count all variants)
+   * @param {string} [excludeUserId] - Ignore this user's own holds
+   * @returns {number} - Units reserved
+   */
+  getReservedQuantity(productId, sku = null, excludeUserId = null) {
+    const now = Date.now();
+    return dataStore
+      .getAllReservations()
+      .filter(
+        (reservation) =>
+          reservation.productId === productId &&
+          (sku === null || reservation.sku === sku) &&
+          reservation.userId !== excludeUserId &&
+          this.isActive(reservation, now),
+      )
+      .reduce((sum, reservation) => sum + reservation.quantity, 0);
+  }
+
+  /**
+   * Gets on-hand stock minus other shoppers' holds
+   * @param {object} product - Product
+   * @param {object|null} variant - Variant, or null for simple products
+   * @param {string} [userId] - Shopper whose own holds should not count
+   * @returns {number} - Units the shopper can still put in their cart
+   */
+  getAvailableStock(product, variant, userId = null) {
+    const onHand = variant ? variant.stock : product.stock;
+    const reserved = this.getReservedQuantity(
+      product.id,
+      variant ? variant.sku : null,
+      userId,
+    );
+    return Math.max(onHand - reserved, 0);
+  }
+
+  /**
+   * Sets the hold for a cart line to the line's quantity and restarts its TTL
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @param {string|null} sku - Variant SKU
+   * @param {number} quantity - Units in the cart line
+   * @returns {object} - Reservation
+   */
+  reserve(userId, productId, sku, quantity) {
+    const ttlMs = dataStore.config.reservationTtlMinutes * 60 * 1000;
+    const reservation = {
+      userId,
+      productId,
+      sku: sku || null,
+      quantity,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    };
+
+    dataStore.saveReservation(this.getKey(userId, productId, sku), reservation);
+    return reservation;
+  }
+
+  /**
+   * Releases the hold for one cart line
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @param {string|null} sku - Variant SKU
+   */
+  release(userId, productId, sku) {
+    const key = this.getKey(userId, productId, sku);
+    if (dataStore.getReservation(key)) {
+      dataStore.deleteReservation(key);
+    }
+  }
+
+  /**
+   * Releases every hold a user has
+   * @param {string} userId - User identifier
+   */
+  releaseAll(userId) {
+    dataStore.getAllReservations().forEach((reservation) => {
+      if (reservation.userId === userId) {
+        this.release(userId, reservation.productId, reservation.sku);
+      }
+    });
+  }
+
+  /**
+   * Gets copies of every hold a user has
+   * @param {string} userId - User identifier
+   * @returns {array} - Reservations
+   */
+  getUserReservations(userId) {
+    return dataStore
+      .getAllReservations()
+      .filter((reservation) => reservation.userId === userId)
+      .map((reservation) => ({ ...reservation }));
+  }
+
+  /**
+   * Puts previously captured holds back, keeping their original expiry
+   * @param {array} reservations - Reservations from getUserReservations()
+   */
+  restore(reservations) {
+    reservations.forEach((reservation) => {
+      dataStore.saveReservation(
+        this.getKey(reservation.userId, reservation.productId, reservation.sku),
+        { ...reservation },
+      );
+    });
+  }
+
+  /**
+   * Removes expired holds
+   * @param {number} [now] - Current time in ms
+   * @returns {number} - Number of holds released
+   */
+  sweepExpired(now = Date.now()) {
+    let released = 0;
+    dataStore.getAllReservations().forEach((reservation) => {
+      if (!this.isActive(reservation, now)) {
+        this.release(
+          reservation.userId,
+          reservation.productId,
+          reservation.sku,
+        );
+        released++;
+      }
+    });
+    return released;
+  }
+
+  /**
+   * Starts the background sweeper
+   * @param {number} [intervalMs=60000] - How often to sweep
+   */
+  startSweeper(intervalMs = 60 * 1000) {
+    this.stopSweeper();
+    this.sweeper = setInterval(() => this.sweepExpired(), intervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.sweeper.unref();
+  }
+
+  /**
+   * Stops the background sweeper
+   */
+  stopSweeper() {
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for Reservation Service
+ */
+
+const reservationService = require('./reservationService');
+const cartService = require('./cartService');
+const orderService = require('./orderService');
+const productService = require('./productService');
+const dataStore = require('./dataStore');
+
+describe('ReservationService', () => {
+  const laptop = () => dataStore.getProduct('1');
+
+  beforeEach(() => {
+    dataStore.carts.clear();
+    dataStore.reservations.clear();
+    dataStore.config.reservationTtlMinutes = 15;
+    laptop().stock = 10;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reservationService.stopSweeper();
+  });
+
+  describe('reserve', () => {
+    test('should hold units for the TTL', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00.000Z'));
+
+      const reservation = reservationService.reserve('user-a', '1', null, 2);
+
+      expect(reservation.quantity).toBe(2);
+      expect(reservation.expiresAt).toBe('2024-01-01T00:15:00.000Z');
+    });
+
+    test('should replace the hold for the same cart line', () => {
+      reservationService.reserve('user-a', '1', null, 2);
+      reservationService.reserve('user-a', '1', null, 5);
+
+      expect(reservationService.getReservedQuantity('1')).toBe(5);
+    });
+  });
+
+  describe('getAvailableStock', () => {
+    test('should subtract other shoppers holds', () => {
+      reservationService.reserve('user-a', '1', null, 3);
+
+      expect(reservationService.getAvailableStock(laptop(), null)).toBe(7);
+      expect(reservationService.getAvailableStock(laptop(), null, 'user-b')).toBe(7);
+      expect(reservationService.getAvailableStock(laptop(), null, 'user-a')).toBe(10);
+    });
+
+    test('should count holds per variant', () => {
+      const monitor = dataStore.getProduct('4');
+      reservationService.reserve('user-a', '4', 'MON-27', 2);
+
+      expect(reservationService.getAvailableStock(monitor, monitor.variants[1])).toBe(3);
+      expect(reservationService.getAvailableStock(monitor, monitor.variants[0])).toBe(10);
+      expect(reservationService.getAvailableStock(monitor, null)).toBe(13);
+    });
+
+    test('should ignore expired holds', () => {
+      reservationService.reserve('user-a', '1', null, 3);
+      dataStore.config.reservationTtlMinutes = 0;
+      reservationService.reserve('user-b', '1', null, 4);
+
+      expect(reservationService.getAvailableStock(laptop(), null)).toBe(7);
+    });
+  });
+
+  describe('sweepExpired', () => {
+    test('should release only expired holds', () => {
+      reservationService.reserve('user-a', '1', null, 3);
+      dataStore.config.reservationTtlMinutes = 0;
+      reservationService.reserve('user-b', '1', null, 4);
+
+      expect(reservationService.sweepExpired()).toBe(1);
+      expect(dataStore.getAllReservations().map(r => r.userId)).toEqual(['user-a']);
+    });
+
+    test('should run on an interval once started', () => {
+      jest.useFakeTimers();
+      dataStore.config.reservationTtlMinutes = 0;
+      reservationService.reserve('user-a', '1', null, 3);
+
+      reservationService.startSweeper(1000);
+      jest.advanceTimersByTime(1000);
+
+      expect(dataStore.getAllReservations()).toHaveLength(0);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('cart integration', () => {
+    test('should stop a second shopper from taking held units', () => {
+      cartService.addToCart('user-a', '1', 10);
+
+      expect(() => {
+        cartService.addToCart('user-b', '1', 1);
+      }).toThrow('Insufficient stock. Only 0 items available');
+    });
+
+    test('should let a second shopper buy once the hold expires', () => {
+      dataStore.config.reservationTtlMinutes = 0;
+      cartService.addToCart('user-a', '1', 10);
+
+      const cart = cartService.addToCart('user-b', '1', 1);
+      expect(cart.items[0].quantity).toBe(1);
+    });
+
+    test('should track quantity changes and removals', () => {
+      cartService.addToCart('user-a', '1', 2);
+      cartService.updateCartItem('user-a', '1', 4);
+      expect(reservationService.getReservedQuantity('1')).toBe(4);
+
+      cartService.removeFromCart('user-a', '1');
+      expect(reservationService.getReservedQuantity('1')).toBe(0);
+    });
+
+    test('should fail validation when holds leave too little stock', () => {
+      dataStore.config.reservationTtlMinutes = 0;
+      cartService.addToCart('user-a', '1', 8);
+      dataStore.config.reservationTtlMinutes = 15;
+      cartService.addToCart('user-b', '1', 5);
+
+      const result = cartService.validateCart('user-a');
+      expect(result.isValid).toBe(false);
+      expect(result.message).toContain('Only 5 available');
+    });
+
+    test('should release holds on checkout', () => {
+      cartService.addToCart('user-a', '1', 2);
+      orderService.checkout('user-a');
+
+      expect(dataStore.getAllReservations()).toHaveLength(0);
+      expect(laptop().stock).toBe(8);
+    });
+  });
+
+  describe('product responses', () => {
+    test('should report available stock as on-hand minus reserved', () => {
+      cartService.addToCart('user-a', '1', 4);
+
+      const product = productService.withAvailability(laptop());
+      expect(product.stock).toBe(10);
+      expect(product.availableStock).toBe(6);
+    });
+
+    test('should treat fully reserved products as out of stock', () => {
+      cartService.addToCart('user-a', '1', 10);
+
+      const result = productService.searchProducts({ inStock: 'true' });
+      expect(result.products.map(p => p.id)).not.toContain('1');
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Return Service
+ * Handles return requests (RMAs) for individual lines of delivered orders
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const dataStore = require("./dataStore");
+const orderService = require("./orderService");
+const money = require("./money");
+const UnitOfWork = require("./unitOfWork");
+
+// Allowed return status transitions (from -> allowed next statuses)
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received"],
+  received: ["restocked"],
+  rejected: [],
+  restocked: [],
+};
+
+class ReturnService {
+  /**
+   * Opens a return for some of an order's lines
+   * @param {string} userId - Customer opening the return
+   * @param {string} orderId - Order identifier
+   * @param {array} items - Lines to return: [{ productId, sku?, quantity }]
+   * @param {string} reason - Why the items are coming back
+   * @returns {object} - Created return
+   */
+  createReturn(userId, orderId, items, reason) {
+    const order = dataStore.getOrder(orderId);
+    // Don't reveal other customers' orders
+    if (!order || order.userId !== userId) {
+      throw new Error("Order not found");
+    }
+
+    if (order.status !== "delivered") {
+      throw new Error("Only delivered orders can be returned");
+    }
+
+    if (typeof reason !== "string" || !reason.trim()) {
+      throw new Error("A reason for the return is required");
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("Select at least one item to return");
+    }
+
+    // Combine repeated lines so quantities are checked together
+    const requested = new Map();
+    items.forEach(({ productId, sku = null, quantity } = {}) => {
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error("Return quantities must be positive whole numbers");
+      }
+      const line = this.findOrderLine(order, productId, sku);
+      if (!line) {
+        throw new Error(`Item ${productId} is not part of this order`);
+      }
+      const entry = requested.get(line) || { line, quantity: 0 };
+      entry.quantity += quantity;
+      requested.set(line, entry);
+    });
+
+    const returnItems = Array.from(requested.values()).map(
+      ({ line, quantity }) => {
+        const returnable = this.getReturnableQuantity(order, line);
+        if (quantity > returnable) {
+          throw new Error(`Only ${returnable} of ${line.name} can be returned`);
+        }
+        const item = {
+          productId: line.productId,
+          name: line.name,
+          price: line.price,
+          taxRate: line.taxRate || 0,
+          quantity,
+        };
+        if (line.sku) {
+          item.sku = line.sku;
+          item.options = { ...line.options };
+        }
+        return item;
+      },
+    );
+
+    const createdAt = new Date().toISOString();
+    const orderReturn = {
+      id: uuidv4(),
+      orderId,
+      userId,
+      items: returnItems,
+      reason: reason.trim(),
+      refundAmount: this.calculateRefund(order, returnItems),
+      refundId: null,
+      createdAt,
+      status: "requested",
+      statusHistory: [{ status: "requested", at: createdAt, note: null }],
+    };
+
+    dataStore.saveReturn(orderReturn);
+    return orderReturn;
+  }
+
+  /**
+   * Finds an order line by product and variant
+   * @param {object} order - Order
+   * @param {string} productId - Product identifier
+   * @param {string} [sku] - Variant SKU
+   * @returns {object|undefined} - Order line
+   */
+  findOrderLine(order, productId, sku) {
+    return order.items.find(
+      (item) =>
+        item.productId === productId && (item.sku || null) === (sku || null),
+    );
+  }
+
+  /**
+   * Gets how many units of an order line can still be returned.
+   * Units in open or completed returns count; rejected returns do not.
+   * @param {object} order - Order
+   * @param {object} line - Order line
+   * @returns {number} - Returnable units
+   */
+  getReturnableQuantity(order, line) {
+    const alreadyReturned = dataStore
+      .getAllReturns()
+      .filter(
+        (orderReturn) =>
+          orderReturn.orderId === order.id && orderReturn.status !== "rejected",
+      )
+      .flatMap((orderReturn) => orderReturn.items)
+      .filter(
+        (item) =>
+          item.productId === line.productId &&
+          (item.sku || null) === (line.sku || null),
+      )
+      .reduce((sum, item) => sum + item.quantity, 0);
+
+    return line.quantity - alreadyReturned;
+  }
+
+  /**
+   * Works out the refund for returned lines. Each unit is refunded at the
+   * price paid, less its share of the line's discount, plus the tax charged
+   * on it. The total never exceeds what is left to refund on the order.
+   * @param {object} order - Order
+   * @param {array} items - Returned lines
+   * @returns {number} - Refund amount
+   */
+  calculateRefund(order, items) {
+    const currency = orderService.getCurrency(order);
+    const refund = items.reduce((sum, item) => {
+      const line = this.findOrderLine(order, item.productId, item.sku);
+      const lineTotal = money.toMinor(item.price, currency) * item.quantity;
+      // Orders placed before discounts were split per line only have the
+      // order's discount percentage
+      const discount =
+        line && line.discount !== undefined
+          ? money.multiply(
+              money.toMinor(line.discount, currency),
+              item.quantity / line.quantity,
+            )
+          : money.percentage(lineTotal, order.discountPercentage || 0);
+      const paid = lineTotal - discount;
+      return sum + paid + money.percentage(paid, item.taxRate || 0);
+    }, 0);
+
+    return Math.min(
+      money.toMajor(refund, currency),
+      orderService.getRefundableAmount(order),
+    );
+  }
+
+  /**
+   * Gets a return by ID
+   * @param {string} returnId - Return identifier
+   * @returns {object} - Return details
+   */
+  getReturn(returnId) {
+    const orderReturn = dataStore.getReturn(returnId);
+    if (!orderReturn) {
+      throw new Error("Return not found");
+    }
+    return orderReturn;
+  }
+
+  /**
+   * Gets all returns for a user
+   * @param {string} userId - User identifier
+   * @returns {array} - Returns
+   */
+  getUserReturns(userId) {
+    return dataStore
+      .getAllReturns()
+      .filter((orderReturn) => orderReturn.userId === userId);
+  }
+
+  /**
+   * Gets all returns (admin function)
+   * @returns {array} - Returns
+   */
+  getAllReturns() {
+    return dataStore.getAllReturns();
+  }
+
+  /**
+   * Approves a requested return
+   * @param {string} returnId - Return identifier
+   * @param {string} [note] - Note shown in the history
+   * @returns {object} - Updated return
+   */
+  approveReturn(returnId, note = null) {
+    return this.transitionReturn(returnId, "approved", note);
+  }
+
+  /**
+   * Rejects a requested return, freeing its units to be returned again
+   * @param {string} returnId - Return identifier
+   * @param {string} [note] - Note shown in the history
+   * @returns {object} - Updated return
+   */
+  rejectReturn(returnId, note = null) {
+    return this.transitionReturn(returnId, "rejected", note);
+  }
+
+  /**
+   * Records that the returned goods have arrived
+   * @param {string} returnId - Return identifier
+   * @param {string} [note] - Note shown in the history
+   * @returns {object} - Updated return
+   */
+  receiveReturn(returnId, note = null) {
+    return this.transitionReturn(returnId, "received", note);
+  }
+
+  /**
+   * Puts received goods back into stock and refunds the customer
+   * @param {string} returnId - Return identifier
+   * @param {string} [note] - Note shown in the history
+   * @returns {object} - Updated return
+   */
+  restockReturn(returnId, note = null) {
+    const orderReturn = this.getReturn(returnId);
+    this.assertTransition(orderReturn, "restocked");
+    const order = orderService.getOrder(orderReturn.orderId);
+
+    new UnitOfWork().run((unit) => {
+      orderReturn.items.forEach((item) => {
+        const restoreStock = orderService.snapshotStock(item);
+        unit.step(() => orderService.restockItems([item]), restoreStock);
+      });
+
+      // Earlier refunds on the order may have used up part of this one
+      const amount = Math.min(
+        orderReturn.refundAmount,
+        orderService.getRefundableAmount(order),
+      );
+      orderReturn.refundAmount = amount;
+      if (amount > 0) {
+        const { refund } = orderService.refundOrder(order.id, {
+          amount,
+          reason: `Return ${orderReturn.id}`,
+        });
+        orderReturn.refundId = refund.id;
+      }
+    });
+
+    return this.transitionReturn(returnId, "restocked", note);
+  }
+
+  /**
+   * Throws if a return may not move to a status
+   * @param {object} orderReturn - Return
+   * @param {string} status - Requested status
+   */
+  assertTransition(orderReturn, status) {
+    if (!Object.prototype.hasOwnProperty.call(RETURN_TRANSITIONS, status)) {
+      throw new Error(
+        `Invalid return status: ${status}. Must be one of: ${Object.keys(RETURN_TRANSITIONS).join(", ")}`,
+      );
+    }
+
+    const allowed = RETURN_TRANSITIONS[orderReturn.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(
+        `Cannot move return from ${orderReturn.status} to ${status}` +
+          (allowed.length
+            ? `. Allowed: ${allowed.join(", ")}`
+            : `. ${orderReturn.status} is a final status`),
+      );
+    }
+  }
+
+  /**
+   * Moves a return to a new status and records it in the status history
+   * @param {string} returnId - Return identifier
+   * @param {string} status - New status
+   * @param {string} [note] - Note shown in the history
+   * @returns {object} - Updated return
+   */
+  transitionReturn(returnId, status, note = null) {
+    const orderReturn = this.getReturn(returnId);
+    this.assertTransition(orderReturn, status);
+
+    orderReturn.status = status;
+    orderReturn.statusHistory.push({
+      status,
+      at: new Date().toISOString(),
+      note,
+    });
+
+    dataStore.saveReturn(orderReturn);
+    return orderReturn;
+  }
+}
+
+module.exports = new ReturnService();
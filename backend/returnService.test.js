@@ -0,0 +1,215 @@
+/**
+ * Unit tests for Return Service
+ */
+
+const returnService = require('./returnService');
+const orderService = require('./orderService');
+const cartService = require('./cartService');
+const discountService = require('./discountService');
+const dataStore = require('./dataStore');
+
+// Settings of the store-wide nth-order reward
+const globalReward = dataStore.config.rewardStrategies.global_nth_order;
+
+describe('ReturnService', () => {
+  const testUserId = 'test-user-1';
+
+  const placeDeliveredOrder = (discountCode = null) => {
+    cartService.addToCart(testUserId, '1', 2); // Laptop @ 1000
+    cartService.addToCart(testUserId, '2', 4); // Mouse @ 25
+    const { order } = orderService.checkout(testUserId, discountCode);
+    ['paid', 'fulfilled', 'shipped', 'delivered'].forEach(status => {
+      orderService.transitionOrder(order.id, status);
+    });
+    return order;
+  };
+
+  beforeEach(() => {
+    dataStore.carts.clear();
+    dataStore.reservations.clear();
+    dataStore.orders.clear();
+    dataStore.returns.clear();
+    dataStore.discountCodes.clear();
+    dataStore.orderCounter = 0;
+
+    dataStore.products.forEach(product => {
+      if (product.id === '1') product.stock = 10;
+      if (product.id === '2') product.stock = 50;
+    });
+  });
+
+  describe('createReturn', () => {
+    test('should open a return for part of a line', () => {
+      const order = placeDeliveredOrder();
+
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '2', quantity: 1 }], 'Stopped working'
+      );
+
+      expect(orderReturn.status).toBe('requested');
+      expect(orderReturn.items).toEqual([
+        { productId: '2', name: 'Mouse', price: 25, taxRate: 0, quantity: 1 },
+      ]);
+      expect(orderReturn.refundAmount).toBe(25);
+      expect(orderReturn.statusHistory).toHaveLength(1);
+    });
+
+    test('should compute the refund pro rata with the order discount', () => {
+      const discount = discountService.generateDiscountCode(globalReward.nthOrder);
+      const order = placeDeliveredOrder(discount.code);
+
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '1', quantity: 1 }, { productId: '2', quantity: 2 }], 'Duplicate'
+      );
+
+      expect(orderReturn.refundAmount).toBe(945); // (1000 + 50) less 10%
+    });
+
+    test('should only take a line\'s own discount off its refund', () => {
+      const discount = discountService.createDiscountCode({ type: 'cheapest_item', discountPercentage: 100 });
+      const order = placeDeliveredOrder(discount.code); // One mouse free
+
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '1', quantity: 1 }, { productId: '2', quantity: 2 }], 'Duplicate'
+      );
+
+      expect(orderReturn.refundAmount).toBe(1037.5); // 1000 + 50 less half the free mouse
+    });
+
+    test('should refund the tax charged on returned units', () => {
+      cartService.addToCart(testUserId, '2', 2); // Mouse @ 25
+      const { order } = orderService.checkout(testUserId, null, null, { destination: { country: 'GB' } });
+      ['paid', 'fulfilled', 'shipped', 'delivered'].forEach(status => {
+        orderService.transitionOrder(order.id, status);
+      });
+
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '2', quantity: 1 }], 'Broken'
+      );
+
+      expect(orderReturn.refundAmount).toBe(30); // 25 + 20% VAT
+    });
+
+    test('should hide other customers\' orders', () => {
+      const order = placeDeliveredOrder();
+
+      expect(() => {
+        returnService.createReturn('someone-else', order.id, [{ productId: '2', quantity: 1 }], 'Broken');
+      }).toThrow('Order not found');
+    });
+
+    test('should only accept delivered orders', () => {
+      cartService.addToCart(testUserId, '2', 1);
+      const { order } = orderService.checkout(testUserId);
+
+      expect(() => {
+        returnService.createReturn(testUserId, order.id, [{ productId: '2', quantity: 1 }], 'Broken');
+      }).toThrow('Only delivered orders can be returned');
+    });
+
+    test('should require a reason', () => {
+      const order = placeDeliveredOrder();
+
+      expect(() => {
+        returnService.createReturn(testUserId, order.id, [{ productId: '2', quantity: 1 }], ' ');
+      }).toThrow('A reason for the return is required');
+    });
+
+    test('should reject items that are not on the order', () => {
+      const order = placeDeliveredOrder();
+
+      expect(() => {
+        returnService.createReturn(testUserId, order.id, [{ productId: '3', quantity: 1 }], 'Broken');
+      }).toThrow('Item 3 is not part of this order');
+    });
+
+    test('should not return more units than were bought', () => {
+      const order = placeDeliveredOrder();
+      returnService.createReturn(testUserId, order.id, [{ productId: '2', quantity: 3 }], 'Broken');
+
+      expect(() => {
+        returnService.createReturn(testUserId, order.id, [{ productId: '2', quantity: 2 }], 'Broken');
+      }).toThrow('Only 1 of Mouse can be returned');
+    });
+
+    test('should free units again when a return is rejected', () => {
+      const order = placeDeliveredOrder();
+      const first = returnService.createReturn(testUserId, order.id, [{ productId: '2', quantity: 4 }], 'Broken');
+      returnService.rejectReturn(first.id, 'Outside return window');
+
+      const second = returnService.createReturn(testUserId, order.id, [{ productId: '2', quantity: 4 }], 'Broken');
+      expect(second.items[0].quantity).toBe(4);
+    });
+  });
+
+  describe('lifecycle', () => {
+    test('should approve, receive and restock with a refund', () => {
+      const order = placeDeliveredOrder();
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '1', quantity: 1 }], 'Too heavy'
+      );
+
+      returnService.approveReturn(orderReturn.id);
+      returnService.receiveReturn(orderReturn.id, 'Box intact');
+      const restocked = returnService.restockReturn(orderReturn.id);
+
+      expect(restocked.status).toBe('restocked');
+      expect(restocked.statusHistory.map(h => h.status)).toEqual([
+        'requested', 'approved', 'received', 'restocked',
+      ]);
+      expect(dataStore.getProduct('1').stock).toBe(9);
+
+      const updatedOrder = orderService.getOrder(order.id);
+      expect(updatedOrder.refundedAmount).toBe(1000);
+      expect(updatedOrder.refunds[0].id).toBe(restocked.refundId);
+      expect(updatedOrder.status).toBe('delivered');
+    });
+
+    test('should refund the order in full when every line comes back', () => {
+      const order = placeDeliveredOrder();
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '1', quantity: 2 }, { productId: '2', quantity: 4 }], 'Wrong order'
+      );
+      returnService.approveReturn(orderReturn.id);
+      returnService.receiveReturn(orderReturn.id);
+      returnService.restockReturn(orderReturn.id);
+
+      expect(orderService.getOrder(order.id).status).toBe('refunded');
+    });
+
+    test('should not restock before the goods are received', () => {
+      const order = placeDeliveredOrder();
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '2', quantity: 1 }], 'Broken'
+      );
+      returnService.approveReturn(orderReturn.id);
+
+      expect(() => {
+        returnService.restockReturn(orderReturn.id);
+      }).toThrow('Cannot move return from approved to restocked');
+      expect(dataStore.getProduct('2').stock).toBe(46);
+    });
+
+    test('should roll back restocking if the refund fails', () => {
+      const order = placeDeliveredOrder();
+      const orderReturn = returnService.createReturn(
+        testUserId, order.id, [{ productId: '2', quantity: 1 }], 'Broken'
+      );
+      returnService.approveReturn(orderReturn.id);
+      returnService.receiveReturn(orderReturn.id);
+      orderService.getOrder(order.id).status = 'shipped';
+
+      expect(() => {
+        returnService.restockReturn(orderReturn.id);
+      }).toThrow('Cannot refund an order that is shipped');
+      expect(dataStore.getProduct('2').stock).toBe(46);
+      expect(returnService.getReturn(orderReturn.id).status).toBe('received');
+    });
+
+    test('should throw for unknown returns', () => {
+      expect(() => {
+        returnService.approveReturn('missing');
+      }).toThrow('Return not found');
+    });
+  });
+});
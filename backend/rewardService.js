@@ -0,0 +1,298 @@
+/**
+ * Reward Service
+ * Decides which orders earn a discount code for the customer's next purchase
+ */
+
+const dataStore = require("./dataStore");
+const discountService = require("./discountService");
+const currencyService = require("./currencyService");
+const money = require("./money");
+
+// How orders earn a reward, with the settings each strategy takes
+const REWARD_STRATEGIES = {
+  // Every nth order placed in the store: { nthOrder, discountPercentage }
+  global_nth_order: ["nthOrder", "discountPercentage"],
+  // Every nth order of each customer: { nthOrder, discountPercentage }
+  customer_nth_order: ["nthOrder", "discountPercentage"],
+  // The order that takes a customer's lifetime spend past a milestone:
+  // { milestones: [{ spend (base currency), discountPercentage }] }
+  spend_milestones: ["milestones"],
+};
+
+class RewardService {
+  /**
+   * Gets the active reward strategy and every strategy's settings
+   * @returns {object} - { strategy, strategies: { name -> settings } }
+   */
+  getConfig() {
+    return {
+      strategy: dataStore.config.rewardStrategy,
+      strategies: dataStore.config.rewardStrategies,
+    };
+  }
+
+  /**
+   * Switches the reward strategy and/or changes strategy settings
+   * @param {object} changes - What to change
+   * @param {string} [changes.strategy] - Strategy to use from now on
+   * @param {object} [changes.strategies] - name -> settings to merge in
+   * @param {string} [changedBy] - Admin making the change (config history)
+   * @returns {object} - Updated reward config
+   */
+  configure(changes = {}, changedBy = null) {
+    dataStore.updateConfig(this.normalizeConfig(changes), { changedBy });
+    return this.getConfig();
+  }
+
+  /**
+   * Validates reward changes against the current settings
+   * @param {object} changes - { strategy?, strategies? } as for configure()
+   * @returns {object} - { rewardStrategy, rewardStrategies } config values
+   */
+  normalizeConfig({ strategy, strategies = {} } = {}) {
+    if (strategy !== undefined) {
+      this.assertStrategy(strategy);
+    }
+    if (!strategies || typeof strategies !== "object") {
+      throw new Error("strategies must be an object");
+    }
+
+    const updated = { ...dataStore.config.rewardStrategies };
+    Object.entries(strategies).forEach(([name, settings]) => {
+      this.assertStrategy(name);
+      updated[name] = this.normalizeSettings(name, {
+        ...updated[name],
+        ...settings,
+      });
+    });
+
+    return {
+      rewardStrategy:
+        strategy === undefined ? dataStore.config.rewardStrategy : strategy,
+      rewardStrategies: updated,
+    };
+  }
+
+  /**
+   * Throws for unknown strategy names
+   * @param {string} strategy - Strategy name
+   */
+  assertStrategy(strategy) {
+    if (!Object.prototype.hasOwnProperty.call(REWARD_STRATEGIES, strategy)) {
+      throw new Error(
+        `Invalid reward strategy: ${strategy}. Must be one of: ${Object.keys(REWARD_STRATEGIES).join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Validates a strategy's settings
+   * @param {string} strategy - Strategy name
+   * @param {object} settings - Raw settings
+   * @returns {object} - Settings with only the strategy's fields;
+   *   milestones are sorted by spend
+   */
+  normalizeSettings(strategy, settings) {
+    const validPercentage = (value) =>
+      typeof value === "number" && value > 0 && value <= 100;
+
+    return REWARD_STRATEGIES[strategy].reduce((normalized, field) => {
+      const value = settings[field];
+      switch (field) {
+        case "nthOrder":
+          if (!Number.isInteger(value) || value < 1) {
+            throw new Error("nthOrder must be a positive integer");
+          }
+          normalized[field] = value;
+          break;
+        case "discountPercentage":
+          if (!validPercentage(value)) {
+            throw new Error(
+              "Discount percentage must be a number above 0 and up to 100",
+            );
+          }
+          normalized[field] = value;
+          break;
+        case "milestones": {
+          if (!Array.isArray(value) || !value.length) {
+            throw new Error("milestones must be a non-empty array");
+          }
+          const milestones = value.map((milestone) => {
+            const { spend, discountPercentage } = milestone || {};
+            if (typeof spend !== "number" || !(spend > 0)) {
+              throw new Error("Milestone spend must be a positive number");
+            }
+            if (!validPercentage(discountPercentage)) {
+              throw new Error(
+                "Discount percentage must be a number above 0 and up to 100",
+              );
+            }
+            return { spend, discountPercentage };
+          });
+          if (
+            new Set(milestones.map((m) => m.spend)).size < milestones.length
+          ) {
+            throw new Error("Milestones must have different spend amounts");
+          }
+          normalized[field] = milestones.sort((a, b) => a.spend - b.spend);
+          break;
+        }
+      }
+      return normalized;
+    }, {});
+  }
+
+  /**
+   * Works out what a just-saved order earns under the active strategy
+   * @param {object} order - Saved order
+   * @returns {object|null} - { strategy, discountPercentage, orderNumber } or
+   *   null when the order earns nothing. Spend milestone rewards also list
+   *   the `milestones` the order passed.
+   */
+  getReward(order) {
+    return this.evaluate(
+      order,
+      dataStore.getOrderCount(),
+      this.getCustomerOrders(order.userId),
+    );
+  }
+
+  /**
+   * Works out what an order that is not placed yet would earn if it were
+   * placed now. Orders placed in the meantime can change the answer.
+   * @param {object} order - Unsaved order, e.g. from orderService.prepareOrder()
+   * @returns {object|null} - As for getReward()
+   */
+  previewReward(order) {
+    return this.evaluate(order, dataStore.getOrderCount() + 1, [
+      ...this.getCustomerOrders(order.userId),
+      order,
+    ]);
+  }
+
+  /**
+   * Applies the active strategy to an order
+   * @param {object} order - Order being rewarded
+   * @param {number} orderCount - Orders in the store, counting this one
+   * @param {array} customerOrders - The customer's orders that count towards
+   *   rewards, including this one
+   * @returns {object|null} - As for getReward()
+   */
+  evaluate(order, orderCount, customerOrders) {
+    const { strategy, strategies } = this.getConfig();
+    const settings = strategies[strategy];
+
+    switch (strategy) {
+      case "global_nth_order":
+      case "customer_nth_order": {
+        const orderNumber =
+          strategy === "global_nth_order" ? orderCount : customerOrders.length;
+        return orderNumber % settings.nthOrder === 0
+          ? {
+              strategy,
+              discountPercentage: settings.discountPercentage,
+              orderNumber,
+            }
+          : null;
+      }
+      case "spend_milestones": {
+        const after = customerOrders.reduce(
+          (sum, placed) => sum + this.getSpend(placed),
+          0,
+        );
+        const before = after - this.getSpend(order);
+        const base = currencyService.getBaseCurrency();
+        // Spend is net of refunds, so a milestone can be passed again after
+        // one; each is only ever rewarded once per customer
+        const rewarded = this.getRewardedMilestones(order.userId);
+        // One code per order: the best milestone this order passed
+        const passed = settings.milestones.filter((milestone) => {
+          const spend = money.toMinor(milestone.spend, base);
+          return (
+            before < spend &&
+            after >= spend &&
+            !rewarded.includes(milestone.spend)
+          );
+        });
+        return passed.length
+          ? {
+              strategy,
+              discountPercentage: passed[passed.length - 1].discountPercentage,
+              orderNumber: customerOrders.length,
+              milestones: passed.map((milestone) => milestone.spend),
+            }
+          : null;
+      }
+      default:
+        throw new Error(`Invalid reward strategy: ${strategy}`);
+    }
+  }
+
+  /**
+   * Issues the discount code an order earns, bound to its customer
+   * @param {object} order - Saved order
+   * @returns {object|null} - New discount code, or null
+   */
+  issueReward(order) {
+    const reward = this.getReward(order);
+    if (!reward) {
+      return null;
+    }
+    return discountService.createRewardCode({
+      ...reward,
+      userId: order.userId,
+      orderId: order.id,
+    });
+  }
+
+  /**
+   * Gets the spend milestones a customer has already earned a code for
+   * @param {string} userId - Customer
+   * @returns {array} - Milestone spend amounts, in the base currency
+   */
+  getRewardedMilestones(userId) {
+    return dataStore
+      .getAllDiscountCodes()
+      .filter(
+        (discount) =>
+          discount.userId === userId &&
+          discount.reward &&
+          discount.reward.milestones,
+      )
+      .flatMap((discount) => discount.reward.milestones);
+  }
+
+  /**
+   * Gets a customer's orders that count towards rewards
+   * @param {string} userId - Customer
+   * @returns {array} - Orders that were not cancelled
+   */
+  getCustomerOrders(userId) {
+    return dataStore
+      .getAllOrders()
+      .filter(
+        (order) => order.userId === userId && order.status !== "cancelled",
+      );
+  }
+
+  /**
+   * Gets what a customer spent on an order, less refunds, in the base currency
+   * @param {object} order - Order
+   * @returns {number} - Minor units of the base currency
+   */
+  getSpend(order) {
+    const base = currencyService.getBaseCurrency();
+    const currency = order.currency || base;
+    const paid = money.toMajor(
+      money.toMinor(order.finalAmount, currency) -
+        money.toMinor(order.refundedAmount || 0, currency),
+      currency,
+    );
+    return money.toMinor(
+      money.convert(paid, currency, base, 1 / (order.exchangeRate || 1)),
+      base,
+    );
+  }
+}
+
+module.exports = new RewardService();
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for Reward Service
+ */
+
+const rewardService = require('./rewardService');
+const orderService = require('./orderService');
+const cartService = require('./cartService');
+const dataStore = require('./dataStore');
+
+describe('RewardService', () => {
+  const { rewardStrategy, rewardStrategies } = dataStore.config;
+
+  const placeOrder = (userId, productId = '2', quantity = 1) => {
+    cartService.addToCart(userId, productId, quantity);
+    return orderService.checkout(userId);
+  };
+
+  beforeEach(() => {
+    dataStore.carts.clear();
+    dataStore.reservations.clear();
+    dataStore.orders.clear();
+    dataStore.discountCodes.clear();
+    dataStore.orderCounter = 0;
+
+    dataStore.products.forEach(product => {
+      if (product.id === '1') product.stock = 10;
+      if (product.id === '2') product.stock = 50;
+    });
+  });
+
+  afterEach(() => {
+    dataStore.updateConfig({ rewardStrategy, rewardStrategies });
+  });
+
+  describe('customer_nth_order', () => {
+    test('should reward each customer\'s own nth order', () => {
+      rewardService.configure({ strategy: 'customer_nth_order' });
+
+      placeOrder('user-a');
+      placeOrder('user-b');
+      placeOrder('user-b');
+      placeOrder('user-a');
+      const result = placeOrder('user-a'); // 5th order in the store, 3rd of user-a
+
+      const earned = dataStore.getDiscountCode(result.newDiscountCode.code);
+      expect(earned).toMatchObject({
+        userId: 'user-a',
+        discountPercentage: 10,
+        orderNumber: 3,
+        reward: { strategy: 'customer_nth_order', orderId: result.order.id },
+      });
+      expect(dataStore.getAllDiscountCodes()).toHaveLength(1);
+    });
+
+    test('should not count cancelled orders', () => {
+      rewardService.configure({ strategy: 'customer_nth_order', strategies: { customer_nth_order: { nthOrder: 2 } } });
+
+      const { order } = placeOrder('user-a');
+      orderService.cancelOrder(order.id);
+
+      expect(placeOrder('user-a').newDiscountCode).toBeNull();
+      expect(placeOrder('user-a').newDiscountCode).not.toBeNull();
+    });
+  });
+
+  describe('spend_milestones', () => {
+    beforeEach(() => {
+      rewardService.configure({ strategy: 'spend_milestones' });
+    });
+
+    test('should reward the order that passes each milestone', () => {
+      expect(placeOrder('user-a', '2', 4).newDiscountCode).toBeNull(); // 100 spent
+      expect(placeOrder('user-a', '1', 1).newDiscountCode.discountPercentage).toBe(10); // 1100, past 500
+      expect(placeOrder('user-a', '2', 4).newDiscountCode).toBeNull(); // 1200
+      expect(placeOrder('user-a', '1', 1).newDiscountCode.discountPercentage).toBe(15); // 2200, past 2000
+    });
+
+    test('should give the best milestone when one order passes several', () => {
+      expect(placeOrder('user-a', '1', 3).newDiscountCode.discountPercentage).toBe(15);
+      expect(dataStore.getAllDiscountCodes()).toHaveLength(1);
+    });
+
+    test('should not reward a milestone again after a refund', () => {
+      const { order, newDiscountCode } = placeOrder('user-a', '1', 1); // 1000, past 500
+      expect(dataStore.getDiscountCode(newDiscountCode.code).reward.milestones).toEqual([500]);
+      orderService.transitionOrder(order.id, 'paid');
+      orderService.refundOrder(order.id, { amount: 600 }); // 400 after the refund
+
+      expect(placeOrder('user-a', '2', 6).newDiscountCode).toBeNull(); // 550, past 500 again
+      expect(dataStore.getAllDiscountCodes()).toHaveLength(1);
+    });
+
+    test('should count spend in the base currency, less refunds', () => {
+      const { order } = placeOrder('user-a', '1', 1);
+      orderService.transitionOrder(order.id, 'paid');
+      orderService.refundOrder(order.id, { amount: 600 });
+
+      expect(rewardService.getSpend(orderService.getOrder(order.id))).toBe(40000);
+      expect(rewardService.getSpend({ finalAmount: 92, currency: 'EUR', exchangeRate: 0.92 })).toBe(10000);
+    });
+  });
+
+  describe('previewReward', () => {
+    test('should work out the reward as if the order were placed now', () => {
+      rewardService.configure({ strategy: 'spend_milestones' });
+      placeOrder('user-a', '2', 4); // 100 spent
+      cartService.addToCart('user-a', '1', 1);
+      const order = orderService.prepareOrder('user-a');
+
+      expect(rewardService.previewReward(order)).toEqual({
+        strategy: 'spend_milestones',
+        discountPercentage: 10,
+        orderNumber: 2,
+        milestones: [500],
+      });
+      expect(rewardService.getReward(order)).toBeNull(); // Not saved, so it passed nothing yet
+    });
+  });
+
+  describe('configure', () => {
+    test('should merge settings and keep milestones in order', () => {
+      const rewards = rewardService.configure({
+        strategies: {
+          global_nth_order: { discountPercentage: 20 },
+          spend_milestones: { milestones: [{ spend: 900, discountPercentage: 12 }, { spend: 100, discountPercentage: 5 }] },
+        },
+      });
+
+      expect(rewards.strategy).toBe('global_nth_order');
+      expect(rewards.strategies.global_nth_order).toEqual({ nthOrder: 3, discountPercentage: 20 });
+      expect(rewards.strategies.spend_milestones.milestones.map(milestone => milestone.spend)).toEqual([100, 900]);
+    });
+
+    test('should reject unknown strategies and bad settings', () => {
+      expect(() => rewardService.configure({ strategy: 'lottery' })).toThrow('Invalid reward strategy');
+      expect(() => rewardService.configure({ strategies: { customer_nth_order: { nthOrder: 0 } } }))
+        .toThrow('nthOrder must be a positive integer');
+      expect(() => rewardService.configure({
+        strategies: { spend_milestones: { milestones: [{ spend: 100, discountPercentage: 5 }, { spend: 100, discountPercentage: 8 }] } },
+      })).toThrow('different spend amounts');
+      expect(dataStore.config.rewardStrategies).toBe(rewardStrategies);
+    });
+  });
+});
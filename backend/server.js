@@ -4,9 +4,35 @@ const dataStore = require("./dataStore");
 const cartService = require("./cartService");
 const orderService = require("./orderService");
 const discountService = require("./discountService");
+const productService = require("./productService");
+const categoryService = require("./categoryService");
+const reservationService = require("./reservationService");
+const idempotencyService = require("./idempotencyService");
+const returnService = require("./returnService");
+const taxService = require("./taxService");
+const addressService = require("./addressService");
+const shippingService = require("./shippingService");
+const currencyService = require("./currencyService");
+const promotionService = require("./promotionService");
+const campaignService = require("./campaignService");
+const rewardService = require("./rewardService");
+const configService = require("./configService");
+const authService = require("./authService");
+const codeAttemptService = require("./codeAttemptService");
+const money = require("./money");
 const app = express();
 const port = 3000;
 
+// Behind a proxy, TRUST_PROXY (e.g. "1" or "loopback") makes req.ip the
+// client's address instead of the proxy's, for per-IP limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY,
+  );
+}
+
 //Middleware
 app.use(cors());
 app.use(express.json());
@@ -16,22 +42,110 @@ app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
   next();
 });
-app.listen(port, () => {
-  console.log(`API server listening at http://localhost:${port}`);
+
+//Session Middleware: resolves the signed-in user from
+//"Authorization: Bearer <token>" (req.user is null when signed out)
+app.use((req, res, next) => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  req.sessionToken = scheme === "Bearer" && token ? token : null;
+  req.user = req.sessionToken
+    ? authService.getSessionUser(req.sessionToken)
+    : null;
+  next();
 });
 
+/**
+ * Rejects requests that are not signed in
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Sign in to continue" });
+  }
+  next();
+}
+
+/**
+ * Rejects requests from users whose role lacks a permission
+ * @param {string} permission - Permission the route needs
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Sign in to continue" });
+    }
+    if (!authService.hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to do this",
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Counts a discount code in the request body against the user's and IP
+ * address's limits, refusing it with 429 when they are used up
+ * @param {string} field - Body field holding the code
+ */
+function limitCodeAttempts(field) {
+  return (req, res, next) => {
+    if (!req.body[field]) {
+      return next();
+    }
+    try {
+      codeAttemptService.checkAttempt(codeActor(req));
+      next();
+    } catch (error) {
+      res.set("Retry-After", String(error.retryAfter));
+      res.status(429).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code,
+        retryAfter: error.retryAfter,
+      });
+    }
+  };
+}
+
+/**
+ * Who is trying a discount code, for codeAttemptService
+ */
+function codeActor(req) {
+  return { userId: req.user.id, ip: req.ip };
+}
+
+// Creates or promotes the first admin account
+if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+  authService.ensureAdmin(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+}
+
+// Only listen when run directly, so tests can load the app
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`API server listening at http://localhost:${port}`);
+    reservationService.startSweeper();
+  });
+}
+
 // ============ Product Routes ============
 
 /**
  * GET /api/products
- * Get all products
+ * Search and browse products
+ * Query: search?, minPrice?, maxPrice?, inStock?, category?, tag?, sort?,
+ *        order?, page?, pageSize?
  */
 app.get("/api/products", (req, res) => {
   try {
-    const products = dataStore.getAllProducts();
-    res.json({ success: true, products });
+    const { products, pagination } = productService.searchProducts(req.query);
+    res.json({ success: true, products, pagination });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(400).json({ success: false, message: error.message });
   }
 });
 
@@ -42,65 +156,226 @@ app.get("/api/products", (req, res) => {
 app.get("/api/products/:id", (req, res) => {
   try {
     const product = dataStore.getProduct(req.params.id);
-    if (!product) {
+    if (!product || product.archived) {
       return res
         .status(404)
         .json({ success: false, message: "Product not found" });
     }
-    res.json({ success: true, product });
+    res.json({
+      success: true,
+      product: productService.withAvailability(product),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ Category Routes ============
+
+/**
+ * GET /api/categories
+ * Get the category tree with product counts
+ */
+app.get("/api/categories", (req, res) => {
+  try {
+    const categories = categoryService.getCategoryTree();
+    res.json({ success: true, categories });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/categories/:id/products
+ * Get products in a category, including its subcategories
+ * Query: same options as GET /api/products
+ */
+app.get("/api/categories/:id/products", (req, res) => {
+  try {
+    const category = dataStore.getCategory(req.params.id);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+    const { products, pagination } = productService.searchProducts({
+      ...req.query,
+      category: category.id,
+    });
+    res.json({ success: true, category, products, pagination });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// ============ Auth Routes ============
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign it in
+ * Body: { email, password, name? }
+ */
+app.post("/api/auth/register", (req, res) => {
+  try {
+    const { token, user } = authService.register(req.body);
+    res
+      .status(201)
+      .json({ success: true, message: "Account created", token, user });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in and get a session token
+ * Body: { email, password }
+ */
+app.post("/api/auth/login", (req, res) => {
+  try {
+    const { token, user } = authService.login(
+      req.body.email,
+      req.body.password,
+    );
+    res.json({ success: true, message: "Signed in", token, user });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+app.post("/api/auth/logout", requireUser, (req, res) => {
+  try {
+    authService.logout(req.sessionToken);
+    res.json({ success: true, message: "Signed out" });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+app.get("/api/auth/me", requireUser, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
 // ============ Cart Routes ============
 
 /**
  * POST /api/cart/add
- * Add item to cart
- * Body: { userId, productId, quantity }
+ * Add item to the signed-in user's cart
+ * Body: { productId, quantity, sku? }
  */
-app.post("/api/cart/add", (req, res) => {
+app.post("/api/cart/add", requireUser, (req, res) => {
   try {
-    const { userId, productId, quantity } = req.body;
-    if (!userId || !productId) {
+    const { productId, quantity, sku } = req.body;
+    if (!productId) {
       return res
         .status(400)
-        .json({ success: false, message: "userId and productId are required" });
+        .json({ success: false, message: "productId is required" });
     }
-    const cart = cartService.addToCart(userId, productId, quantity);
+    const cart = cartService.addToCart(req.user.id, productId, quantity, sku);
     res.json({ success: true, message: "Item added successfully", cart });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 /**
- * GET /api/cart/:userId
- * Get user's cart
+ * GET /api/cart
+ * Get the signed-in user's cart
+ * Query: country?, state? (quote tax for this destination)
  */
-app.get("/api/cart/:userId", (req, res) => {
+app.get("/api/cart", requireUser, (req, res) => {
   try {
-    const cart = cartService.getCart(req.params.userId);
+    let destination = null;
+    if (req.query.country) {
+      try {
+        destination = taxService.normalizeDestination(req.query);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+    }
+    const cart = cartService.getCart(req.user.id, destination);
     res.json({ success: true, cart });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
+/**
+ * POST /api/cart/quote
+ * Preview what checking out the signed-in user's cart would cost, without
+ * placing an order
+ * Body: { discountCode?, addressId?, shippingMethod?,
+ *        destination?: { country, state? } } (as for checkout)
+ */
+app.post(
+  "/api/cart/quote",
+  requireUser,
+  limitCodeAttempts("discountCode"),
+  (req, res) => {
+    try {
+      const { discountCode, addressId, shippingMethod, destination } = req.body;
+      const quote = orderService.quote(req.user.id, discountCode, {
+        addressId,
+        shippingMethod,
+        destination,
+      });
+      if (quote.discountCodeError) {
+        codeAttemptService.recordResult(
+          codeActor(req),
+          quote.discountCodeError.errorCode,
+        );
+      }
+      res.json({ success: true, quote });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+/**
+ * PUT /api/cart/currency
+ * Switch the cart to another currency and reprice its items
+ * Body: { currency }
+ */
+app.put("/api/cart/currency", requireUser, (req, res) => {
+  try {
+    const { currency } = req.body;
+    if (!currency) {
+      return res
+        .status(400)
+        .json({ success: false, message: "currency is required" });
+    }
+    const cart = cartService.setCurrency(req.user.id, currency);
+    res.json({ success: true, message: "Cart currency updated", cart });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
 /**
  * PUT /api/cart/update
  * Update cart item quantity
- * Body: { userId, productId, quantity }
+ * Body: { productId, quantity, sku? }
  */
-app.put("/api/cart/update", (req, res) => {
+app.put("/api/cart/update", requireUser, (req, res) => {
   try {
-    const { userId, productId, quantity } = req.body;
-    if (!userId || !productId || quantity === undefined) {
+    const { productId, quantity, sku } = req.body;
+    if (!productId || quantity === undefined) {
       return res.json({
         success: false,
-        message: "userId, productId and quantity are required",
+        message: "productId and quantity are required",
       });
     }
-    const cart = cartService.updateCartItem(userId, productId, quantity);
+    const cart = cartService.updateCartItem(
+      req.user.id,
+      productId,
+      quantity,
+      sku,
+    );
     res.json({ success: true, message: "Cart Updated successfully", cart });
   } catch (error) {
     res.json({ success: false, message: error.message });
@@ -109,18 +384,18 @@ app.put("/api/cart/update", (req, res) => {
 /**
  * DELETE /api/cart/remove
  * Remove item from cart
- * Body: { userId, productId }
+ * Body: { productId, sku? }
  */
-app.delete("/api/cart/delete", (req, res) => {
+app.delete("/api/cart/delete", requireUser, (req, res) => {
   try {
-    const { userId, productId } = req.body;
-    if (!userId || !productId) {
+    const { productId, sku } = req.body;
+    if (!productId) {
       return res.json({
         success: false,
-        message: "userId and productId are required",
+        message: "productId is required",
       });
     }
-    const cart = cartService.removeFromCart(userId, productId);
+    const cart = cartService.removeFromCart(req.user.id, productId, sku);
     res.json({ success: true, message: "Item removed successfully", cart });
   } catch (error) {
     res.json({ success: false, message: error.message });
@@ -130,122 +405,1269 @@ app.delete("/api/cart/delete", (req, res) => {
 
 /**
  * POST /api/checkout
- * Process checkout
- * Body: { userId, discountCode? }
+ * Check out the signed-in user's cart
+ * Headers: Idempotency-Key? (replays the original response on retry)
+ * Body: { discountCode?, paymentMethod?, addressId?, shippingMethod?,
+ *        destination?: { country, state? } }
+ */
+app.post(
+  "/api/checkout",
+  requireUser,
+  limitCodeAttempts("discountCode"),
+  (req, res) => {
+    try {
+      const userId = req.user.id;
+      const {
+        discountCode,
+        paymentMethod,
+        addressId,
+        shippingMethod,
+        destination,
+      } = req.body;
+
+      const idempotencyKey = req.get("Idempotency-Key");
+      let requestHash = null;
+      if (idempotencyKey !== undefined) {
+        try {
+          idempotencyService.validateKey(idempotencyKey);
+        } catch (error) {
+          return res
+            .status(400)
+            .json({ success: false, message: error.message });
+        }
+
+        requestHash = idempotencyService.hashRequest(req.body);
+        const { status, record } = idempotencyService.lookup(
+          userId,
+          idempotencyKey,
+          requestHash,
+        );
+        if (status === "mismatch") {
+          return res.status(422).json({
+            success: false,
+            message:
+              "Idempotency-Key has already been used with a different request body",
+          });
+        }
+        if (status === "replay") {
+          res.set("Idempotent-Replayed", "true");
+          return res
+            .status(record.response.statusCode)
+            .json(record.response.body);
+        }
+      }
+
+      const result = orderService.checkout(
+        userId,
+        discountCode,
+        paymentMethod,
+        {
+          addressId,
+          shippingMethod,
+          destination,
+        },
+      );
+      const body = { success: true, message: "Checkout successful", ...result };
+
+      // Only successful checkouts are remembered; a failed attempt changed
+      // nothing, so retrying it with the same key should run it again
+      if (idempotencyKey !== undefined) {
+        idempotencyService.save(userId, idempotencyKey, requestHash, {
+          statusCode: 200,
+          body,
+        });
+      }
+
+      res.json(body);
+    } catch (error) {
+      codeAttemptService.recordResult(codeActor(req), error.code);
+      res.json({
+        success: false,
+        message: error.message,
+        errorCode: error.code,
+      });
+    }
+  },
+);
+/**
+ * POST /api/checkout/confirm
+ * Finish a checkout whose payment required authentication
+ * Body: { paymentId, discountCode?, addressId?, shippingMethod?,
+ *        destination? } (same as the original checkout)
  */
-app.post("/api/checkout", (req, res) => {
+app.post(
+  "/api/checkout/confirm",
+  requireUser,
+  limitCodeAttempts("discountCode"),
+  (req, res) => {
+    try {
+      const {
+        paymentId,
+        discountCode,
+        addressId,
+        shippingMethod,
+        destination,
+      } = req.body;
+      if (!paymentId) {
+        return res.status(400).json({
+          success: false,
+          message: "paymentId is required",
+        });
+      }
+      const result = orderService.confirmCheckout(
+        req.user.id,
+        paymentId,
+        discountCode,
+        { addressId, shippingMethod, destination },
+      );
+      res.json({ success: true, message: "Checkout successful", ...result });
+    } catch (error) {
+      codeAttemptService.recordResult(codeActor(req), error.code);
+      res.json({
+        success: false,
+        message: error.message,
+        errorCode: error.code,
+      });
+    }
+  },
+);
+
+// ============ Discount Code Routes ============
+
+/**
+ * POST /api/discount-codes/validate
+ * Check whether a discount code can be used on the signed-in user's cart
+ * Body: { code }
+ */
+app.post(
+  "/api/discount-codes/validate",
+  requireUser,
+  limitCodeAttempts("code"),
+  (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { code } = req.body;
+      const { discountInfo, ...validation } =
+        discountService.validateDiscountCode(code, {
+          userId,
+          cart: cartService.getCart(userId),
+        });
+      codeAttemptService.recordResult(codeActor(req), validation.errorCode);
+      res.json({ success: true, ...validation });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/discount-codes
+ * Get the signed-in user's own discount codes that can still be used
+ */
+app.get("/api/discount-codes", requireUser, (req, res) => {
+  try {
+    const discountCodes = discountService.getUserDiscountCodes(req.user.id);
+    res.json({ success: true, discountCodes });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ Address Routes ============
+
+/**
+ * GET /api/addresses
+ * Get the signed-in user's address book
+ */
+app.get("/api/addresses", requireUser, (req, res) => {
+  try {
+    const addresses = addressService.getUserAddresses(req.user.id);
+    res.json({ success: true, addresses });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/addresses
+ * Save a shipping address
+ * Body: { name, line1, line2?, city, state?, postalCode, country }
+ */
+app.post("/api/addresses", requireUser, (req, res) => {
   try {
-    const { userId, discountCode } = req.body;
-    if (!userId) {
-      return res.json({ success: false, message: "userId is required" });
+    const address = addressService.createAddress(req.user.id, req.body);
+    res.status(201).json({ success: true, message: "Address saved", address });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/addresses/:addressId
+ * Update a saved address
+ * Body: { ...fields to change }
+ */
+app.put("/api/addresses/:addressId", requireUser, (req, res) => {
+  try {
+    const userId = req.user.id;
+    const existing = dataStore.getAddress(req.params.addressId);
+    if (!existing || existing.userId !== userId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Address not found" });
     }
-    const result = orderService.checkout(userId, discountCode);
-    res.json({ success: true, message: "Checkout successful", ...result });
+    const address = addressService.updateAddress(
+      userId,
+      req.params.addressId,
+      req.body,
+    );
+    res.json({ success: true, message: "Address updated", address });
   } catch (error) {
-    res.json({ success: false, message: error.message });
+    res.status(400).json({ success: false, message: error.message });
   }
 });
+
+/**
+ * DELETE /api/addresses/:addressId
+ * Remove a saved address
+ */
+app.delete("/api/addresses/:addressId", requireUser, (req, res) => {
+  try {
+    addressService.deleteAddress(req.user.id, req.params.addressId);
+    res.json({ success: true, message: "Address deleted" });
+  } catch (error) {
+    res.status(404).json({ success: false, message: error.message });
+  }
+});
+
+// ============ Shipping Routes ============
+
+/**
+ * GET /api/shipping/methods
+ * Get the available shipping methods
+ */
+app.get("/api/shipping/methods", (req, res) => {
+  try {
+    const shippingMethods = shippingService.getShippingMethods();
+    res.json({ success: true, shippingMethods });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/shipping/rates
+ * Price every shipping method for the signed-in user's cart
+ */
+app.get("/api/shipping/rates", requireUser, (req, res) => {
+  try {
+    const cart = cartService.getCart(req.user.id);
+    // Free-shipping thresholds apply to the total after promotions, as at
+    // checkout
+    const rates = shippingService.quoteRates(
+      cart.items,
+      money.toMajor(
+        money.toMinor(cart.subtotal, cart.currency) -
+          money.toMinor(cart.discount, cart.currency),
+        cart.currency,
+      ),
+      cart.currency,
+    );
+    res.json({ success: true, currency: cart.currency, rates });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ Currency Routes ============
+
+/**
+ * GET /api/currencies
+ * Get the base currency, the currencies carts can use and exchange rates
+ */
+app.get("/api/currencies", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      baseCurrency: currencyService.getBaseCurrency(),
+      currencies: currencyService.getSupportedCurrencies(),
+      exchangeRates: currencyService.getExchangeRates(),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============ Order Routes ============
 
+/**
+ * GET /api/orders
+ * Get all orders of the signed-in user
+ */
+app.get("/api/orders", requireUser, (req, res) => {
+  try {
+    const orders = orderService.getUserOrders(req.user.id);
+    res.json({ success: true, orders });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 /**
  * GET /api/orders/:orderId
- * Get order by ID
+ * Get one of the signed-in user's orders by ID
  */
-app.get("/api/orders/:orderId", (req, res) => {
+app.get("/api/orders/:orderId", requireUser, (req, res) => {
   try {
     const order = orderService.getOrder(req.params.orderId);
+    if (order.userId !== req.user.id) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
     res.json({ success: true, order });
   } catch (error) {
     res.status(404).json({ success: false, message: error.message });
   }
 });
+// ============ Return Routes ============
+
 /**
- * GET /api/orders/user/:userId
- * Get all orders for a user
+ * POST /api/orders/:orderId/returns
+ * Open a return for some of the signed-in user's order lines
+ * Body: { items: [{ productId, sku?, quantity }], reason }
  */
-app.get("/api/orders/user/:userId", (req, res) => {
+app.post("/api/orders/:orderId/returns", requireUser, (req, res) => {
   try {
-    const orders = orderService.getUserOrders(req.params.userId);
-    res.json({ success: true, orders });
+    const userId = req.user.id;
+    const { items, reason } = req.body;
+    const order = dataStore.getOrder(req.params.orderId);
+    if (!order || order.userId !== userId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+    const orderReturn = returnService.createReturn(
+      userId,
+      req.params.orderId,
+      items,
+      reason,
+    );
+    res.status(201).json({
+      success: true,
+      message: "Return requested",
+      return: orderReturn,
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/returns
+ * Get all returns of the signed-in user
+ */
+app.get("/api/returns", requireUser, (req, res) => {
+  try {
+    const returns = returnService.getUserReturns(req.user.id);
+    res.json({ success: true, returns });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
+
 // ============ Admin Routes ============
 
 /**
- * POST /api/admin/generate-discount
- * Manually generate a discount code for nth order
- * Body: { orderNumber }
+ * GET /api/admin/config
+ * Get the store configuration and its current version
  */
-app.post("/api/admin/generate-discount", (req, res) => {
+app.get("/api/admin/config", requirePermission("config:read"), (req, res) => {
   try {
-    const { orderNumber } = req.body;
+    res.json({ success: true, ...configService.getConfig() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-    if (!orderNumber) {
-      return res.status(400).json({
-        success: false,
-        message: "orderNumber is required",
-      });
+/**
+ * PUT /api/admin/config
+ * Change settings at runtime; recorded as a new config version
+ * Body: { changes: { [setting]: value }, reason? }
+ */
+app.put("/api/admin/config", requirePermission("config:write"), (req, res) => {
+  try {
+    const { changes, reason } = req.body;
+    const version = configService.updateConfig(changes, {
+      changedBy: req.user.email,
+      reason,
+    });
+    res.json({ success: true, message: "Configuration updated", version });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/config/history
+ * Get every config version (who changed what and when), newest first
+ */
+app.get(
+  "/api/admin/config/history",
+  requirePermission("config:read"),
+  (req, res) => {
+    try {
+      res.json({ success: true, history: configService.getHistory() });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
     }
+  },
+);
 
-    const discountCode = discountService.generateDiscountCode(orderNumber);
+/**
+ * GET /api/admin/config/history/:version
+ * Get one config version with the full configuration it left in place
+ */
+app.get(
+  "/api/admin/config/history/:version",
+  requirePermission("config:read"),
+  (req, res) => {
+    try {
+      const version = configService.getVersion(req.params.version);
+      res.json({ success: true, version });
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
 
-    if (!discountCode) {
-      return res.json({
+/**
+ * POST /api/admin/config/rollback
+ * Put the settings back to a previous version; recorded as a new version
+ * Body: { version, reason? }
+ */
+app.post(
+  "/api/admin/config/rollback",
+  requirePermission("config:write"),
+  (req, res) => {
+    try {
+      const { version, reason } = req.body;
+      if (!dataStore.getConfigVersion(version)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Config version not found" });
+      }
+      const rolledBack = configService.rollback(version, {
+        changedBy: req.user.email,
+        reason,
+      });
+      res.json({
         success: true,
-        message: `Order ${orderNumber} does not qualify for a discount code`,
-        discountCode: null,
+        message: `Configuration rolled back to version ${version}`,
+        version: rolledBack,
       });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
     }
+  },
+);
 
-    res.json({
-      success: true,
-      message: "Discount code generated successfully",
-      discountCode,
-    });
+/**
+ * GET /api/admin/users
+ * Get every account with its role
+ */
+app.get("/api/admin/users", requirePermission("users:manage"), (req, res) => {
+  try {
+    res.json({ success: true, users: authService.getAllUsers() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change an account's role
+ * Body: { role: "customer" | "support" | "admin" }
+ */
+app.put(
+  "/api/admin/users/:id/role",
+  requirePermission("users:manage"),
+  (req, res) => {
+    try {
+      if (!dataStore.getUser(req.params.id)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+      const user = authService.setRole(
+        req.params.id,
+        req.body.role,
+        req.user.id,
+      );
+      res.json({ success: true, message: "Role updated", user });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/rewards
+ * Get the reward strategy and each strategy's settings
+ */
+app.get("/api/admin/rewards", requirePermission("config:read"), (req, res) => {
+  try {
+    res.json({ success: true, rewards: rewardService.getConfig() });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
+
+/**
+ * PUT /api/admin/rewards
+ * Switch the reward strategy and/or change strategy settings
+ * Body: { strategy?, strategies?: { [name]: settings } }
+ */
+app.put("/api/admin/rewards", requirePermission("config:write"), (req, res) => {
+  try {
+    const rewards = rewardService.configure(req.body, req.user.email);
+    res.json({ success: true, message: "Reward settings updated", rewards });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/generate-discount
+ * Manually generate a discount code for nth order (store-wide count)
+ * Body: { orderNumber, userId? } (userId binds the code to that customer)
+ */
+app.post(
+  "/api/admin/generate-discount",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      const { orderNumber, userId = null } = req.body;
+
+      if (!orderNumber) {
+        return res.status(400).json({
+          success: false,
+          message: "orderNumber is required",
+        });
+      }
+
+      const discountCode = discountService.generateDiscountCode(
+        orderNumber,
+        userId,
+      );
+
+      if (!discountCode) {
+        return res.json({
+          success: true,
+          message: `Order ${orderNumber} does not qualify for a discount code`,
+          discountCode: null,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Discount code generated successfully",
+        discountCode,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+/**
+ * GET /api/admin/products
+ * Get all products including archived ones
+ */
+app.get(
+  "/api/admin/products",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      const products = productService
+        .getAllProducts()
+        .map((product) => productService.withAvailability(product));
+      res.json({ success: true, products });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/products
+ * Create a product
+ * Body: { name, price, stock, description?, categoryId?, tags?, options?,
+ *        variants? }
+ */
+app.post(
+  "/api/admin/products",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      const product = productService.createProduct(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Product created successfully",
+        product,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * PUT /api/admin/products/:id
+ * Update a product
+ * Body: { name?, price?, stock?, description?, categoryId?, tags?, options?,
+ *        variants? }
+ */
+app.put(
+  "/api/admin/products/:id",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      if (!dataStore.getProduct(req.params.id)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Product not found" });
+      }
+      const product = productService.updateProduct(req.params.id, req.body);
+      res.json({
+        success: true,
+        message: "Product updated successfully",
+        product,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/products/:id/archive
+ * Hide a product from the storefront
+ */
+app.post(
+  "/api/admin/products/:id/archive",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      const product = productService.archiveProduct(req.params.id);
+      res.json({
+        success: true,
+        message: "Product archived successfully",
+        product,
+      });
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/products/:id/restore
+ * Return an archived product to the storefront
+ */
+app.post(
+  "/api/admin/products/:id/restore",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      const product = productService.restoreProduct(req.params.id);
+      res.json({
+        success: true,
+        message: "Product restored successfully",
+        product,
+      });
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/products/:id
+ * Permanently delete a product
+ */
+app.delete(
+  "/api/admin/products/:id",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      productService.deleteProduct(req.params.id);
+      res.json({ success: true, message: "Product deleted successfully" });
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/categories
+ * Create a category
+ * Body: { name, parentId? }
+ */
+app.post(
+  "/api/admin/categories",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      const category = categoryService.createCategory(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Category created successfully",
+        category,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Delete an empty category
+ */
+app.delete(
+  "/api/admin/categories/:id",
+  requirePermission("catalog:manage"),
+  (req, res) => {
+    try {
+      if (!dataStore.getCategory(req.params.id)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Category not found" });
+      }
+      categoryService.deleteCategory(req.params.id);
+      res.json({ success: true, message: "Category deleted successfully" });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
 /**
  * GET /api/admin/stats
  * Get comprehensive statistics
  */
-app.get("/api/admin/stats", (req, res) => {
+app.get("/api/admin/stats", requirePermission("stats:read"), (req, res) => {
   try {
-    const stats = dataStore.getStats();
+    const stats = {
+      ...dataStore.getStats(),
+      blockedCodeAttempts: codeAttemptService.getSummary(),
+    };
     res.json({ success: true, stats });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+/**
+ * GET /api/admin/tax-rates
+ * Get tax rates by country, state and tax class
+ */
+app.get(
+  "/api/admin/tax-rates",
+  requirePermission("config:read"),
+  (req, res) => {
+    try {
+      const taxRates = taxService.getTaxRates();
+      res.json({ success: true, taxRates });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * PUT /api/admin/tax-rates
+ * Set tax rates for a country or one of its states
+ * Body: { country, state?, rates: { standard?, reduced? } }
+ */
+app.put(
+  "/api/admin/tax-rates",
+  requirePermission("config:write"),
+  (req, res) => {
+    try {
+      const { country, state = null, rates } = req.body;
+      const updated = taxService.setTaxRates(
+        country,
+        state,
+        rates,
+        req.user.email,
+      );
+      res.json({ success: true, message: "Tax rates updated", rates: updated });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * PUT /api/admin/exchange-rates/:currency
+ * Add or change the exchange rate for a currency
+ * Body: { rate } (units of the currency per 1 unit of the base currency)
+ */
+app.put(
+  "/api/admin/exchange-rates/:currency",
+  requirePermission("config:write"),
+  (req, res) => {
+    try {
+      const exchangeRates = currencyService.setExchangeRate(
+        req.params.currency,
+        req.body.rate,
+        req.user.email,
+      );
+      res.json({
+        success: true,
+        message: "Exchange rate updated",
+        exchangeRates,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * PUT /api/admin/shipping-methods/:id
+ * Add or replace a shipping method
+ * Body: { name, type: "flat" | "weight" | "free_over", rate?, baseRate?,
+ *         ratePerKg?, threshold? }
+ */
+app.put(
+  "/api/admin/shipping-methods/:id",
+  requirePermission("config:write"),
+  (req, res) => {
+    try {
+      const method = shippingService.saveShippingMethod(
+        { ...req.body, id: req.params.id },
+        req.user.email,
+      );
+      res.json({ success: true, message: "Shipping method saved", method });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/shipping-methods/:id
+ * Remove a shipping method
+ */
+app.delete(
+  "/api/admin/shipping-methods/:id",
+  requirePermission("config:write"),
+  (req, res) => {
+    try {
+      shippingService.deleteShippingMethod(req.params.id, req.user.email);
+      res.json({ success: true, message: "Shipping method deleted" });
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/discount-codes
+ * Create a discount code with custom rules
+ * Body: { type?, discountPercentage?, amount?, buyQuantity?, getQuantity?,
+ *         code?, expiresAt?, minSubtotal?, maxUses?, userId?, productIds?,
+ *         categoryIds? }
+ */
+app.post(
+  "/api/admin/discount-codes",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      const discountCode = discountService.createDiscountCode(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Discount code created",
+        discountCode,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
 /**
  * GET /api/admin/discount-codes
  * Get all discount codes
  */
-app.get("/api/admin/discount-codes", (req, res) => {
+app.get(
+  "/api/admin/discount-codes",
+  requirePermission("discounts:read"),
+  (req, res) => {
+    try {
+      const discountCodes = discountService.getAllDiscountCodes();
+      res.json({ success: true, discountCodes });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/discount-codes/blocked-attempts
+ * Get discount code attempts refused by rate limits or lockouts, and who is
+ * locked out now
+ */
+app.get(
+  "/api/admin/discount-codes/blocked-attempts",
+  requirePermission("discounts:read"),
+  (req, res) => {
+    try {
+      const report = codeAttemptService.getReport();
+      res.json({ success: true, ...report });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/campaigns
+ * Generate a batch of discount codes under a named campaign
+ * Body: { name, count, prefix?, codeLength?, type?, discountPercentage?,
+ *         amount?, buyQuantity?, getQuantity?, productIds?, categoryIds?,
+ *         expiresAt?, minSubtotal?, maxUses? }
+ */
+app.post(
+  "/api/admin/campaigns",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      const campaign = campaignService.createCampaign(req.body);
+      res.status(201).json({
+        success: true,
+        message: `Generated ${campaign.stats.codes} discount codes`,
+        campaign,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/campaigns
+ * Get all campaigns with their code stats
+ */
+app.get(
+  "/api/admin/campaigns",
+  requirePermission("discounts:read"),
+  (req, res) => {
+    try {
+      const campaigns = campaignService.getAllCampaigns();
+      res.json({ success: true, campaigns });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/campaigns/:id/export
+ * Download a campaign's codes as CSV
+ */
+app.get(
+  "/api/admin/campaigns/:id/export",
+  requirePermission("discounts:read"),
+  (req, res) => {
+    try {
+      const campaign = campaignService.getCampaign(req.params.id);
+      const csv = campaignService.exportCampaignCsv(campaign.id);
+      res
+        .type("text/csv")
+        .attachment(`${campaign.prefix.toLowerCase()}-codes.csv`)
+        .send(csv);
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/campaigns/:id/revoke
+ * Revoke every code in a campaign
+ */
+app.post(
+  "/api/admin/campaigns/:id/revoke",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      if (!dataStore.getCampaign(req.params.id)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Campaign not found" });
+      }
+      const { campaign, revokedCount } = campaignService.revokeCampaign(
+        req.params.id,
+      );
+      res.json({
+        success: true,
+        message: `Revoked ${revokedCount} discount codes`,
+        campaign,
+        revokedCount,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/promotions
+ * Get all automatic promotions in the order they are applied
+ */
+app.get(
+  "/api/admin/promotions",
+  requirePermission("discounts:read"),
+  (req, res) => {
+    try {
+      const promotions = promotionService.getAllPromotions();
+      res.json({ success: true, promotions });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/promotions
+ * Create an automatic promotion
+ * Body: { name, type?, discountPercentage?, amount?, buyQuantity?,
+ *         getQuantity?, productIds?, categoryIds?, priority?, exclusive?,
+ *         combinableWithCodes?, minSubtotal?, startsAt?, endsAt?, active? }
+ */
+app.post(
+  "/api/admin/promotions",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      const promotion = promotionService.createPromotion(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Promotion created",
+        promotion,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * PUT /api/admin/promotions/:id
+ * Update an automatic promotion
+ * Body: any fields accepted when creating one
+ */
+app.put(
+  "/api/admin/promotions/:id",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      if (!dataStore.getPromotion(req.params.id)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Promotion not found" });
+      }
+      const promotion = promotionService.updatePromotion(
+        req.params.id,
+        req.body,
+      );
+      res.json({ success: true, message: "Promotion updated", promotion });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/promotions/:id
+ * Delete an automatic promotion
+ */
+app.delete(
+  "/api/admin/promotions/:id",
+  requirePermission("discounts:write"),
+  (req, res) => {
+    try {
+      promotionService.deletePromotion(req.params.id);
+      res.json({ success: true, message: "Promotion deleted" });
+    } catch (error) {
+      res.status(404).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/orders
+ * Get all orders
+ */
+app.get("/api/admin/orders", requirePermission("orders:read"), (req, res) => {
   try {
-    const discountCodes = discountService.getAllDiscountCodes();
-    res.json({ success: true, discountCodes });
+    const orders = orderService.getAllOrders();
+    res.json({ success: true, orders });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
+
 /**
- * GET /api/admin/orders
- * Get all orders
+ * POST /api/admin/orders/:orderId/status
+ * Move an order to a new status
+ * Body: { status, note? }
+ */
+app.post(
+  "/api/admin/orders/:orderId/status",
+  requirePermission("orders:write"),
+  (req, res) => {
+    try {
+      if (!dataStore.getOrder(req.params.orderId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Order not found" });
+      }
+      const { status, note } = req.body;
+      if (!status) {
+        return res
+          .status(400)
+          .json({ success: false, message: "status is required" });
+      }
+      // Cancelling and refunding also move stock and money
+      let order;
+      if (status === "cancelled") {
+        ({ order } = orderService.cancelOrder(req.params.orderId, {
+          reason: note,
+        }));
+      } else if (status === "refunded") {
+        ({ order } = orderService.refundOrder(req.params.orderId, {
+          reason: note,
+        }));
+      } else {
+        order = orderService.transitionOrder(req.params.orderId, status, note);
+      }
+      res.json({ success: true, message: `Order marked as ${status}`, order });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/orders/:orderId/cancel
+ * Cancel an order and put its stock back
+ * Body: { reason?, discountCode?: "reactivate" | "reissue" }
  */
-app.get("/api/admin/orders", (req, res) => {
+app.post(
+  "/api/admin/orders/:orderId/cancel",
+  requirePermission("orders:write"),
+  (req, res) => {
+    try {
+      if (!dataStore.getOrder(req.params.orderId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Order not found" });
+      }
+      const { reason, discountCode } = req.body;
+      const result = orderService.cancelOrder(req.params.orderId, {
+        reason,
+        discountCode,
+      });
+      res.json({ success: true, message: "Order cancelled", ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/orders/:orderId/refunds
+ * Record a full or partial refund
+ * Body: { amount?, reason?, discountCode?: "reactivate" | "reissue" }
+ */
+app.post(
+  "/api/admin/orders/:orderId/refunds",
+  requirePermission("orders:write"),
+  (req, res) => {
+    try {
+      if (!dataStore.getOrder(req.params.orderId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Order not found" });
+      }
+      const { amount, reason, discountCode } = req.body;
+      const result = orderService.refundOrder(req.params.orderId, {
+        amount,
+        reason,
+        discountCode,
+      });
+      res
+        .status(201)
+        .json({ success: true, message: "Refund recorded", ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/returns
+ * Get all returns
+ */
+app.get("/api/admin/returns", requirePermission("returns:read"), (req, res) => {
   try {
-    const orders = orderService.getAllOrders();
-    res.json({ success: true, orders });
+    const returns = returnService.getAllReturns();
+    res.json({ success: true, returns });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+/**
+ * POST /api/admin/returns/:returnId/status
+ * Approve, reject, receive or restock a return
+ * Body: { status: "approved" | "rejected" | "received" | "restocked", note? }
+ */
+app.post(
+  "/api/admin/returns/:returnId/status",
+  requirePermission("returns:write"),
+  (req, res) => {
+    try {
+      if (!dataStore.getReturn(req.params.returnId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Return not found" });
+      }
+      const { status, note } = req.body;
+      if (!status) {
+        return res
+          .status(400)
+          .json({ success: false, message: "status is required" });
+      }
+      // Restocking also puts stock back and refunds the customer
+      const orderReturn =
+        status === "restocked"
+          ? returnService.restockReturn(req.params.returnId, note)
+          : returnService.transitionReturn(req.params.returnId, status, note);
+      res.json({
+        success: true,
+        message: `Return marked as ${status}`,
+        return: orderReturn,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  },
+);
+
 // Health check route
 app.get("/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
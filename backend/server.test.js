@@ -0,0 +1,68 @@
+/**
+ * Route tests for the API server
+ */
+
+const request = require('supertest');
+const app = require('./server');
+const authService = require('./authService');
+const cartService = require('./cartService');
+const promotionService = require('./promotionService');
+const dataStore = require('./dataStore');
+
+describe('API server', () => {
+  let user;
+  let token;
+  let shoppers = 0;
+
+  beforeAll(() => {
+    // Keep the request log out of the test output
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    dataStore.carts.clear();
+    dataStore.reservations.clear();
+    dataStore.promotions.clear();
+    shoppers += 1;
+    ({ user, token } = authService.register({ email: `shopper-${shoppers}@example.com`, password: 'password123' }));
+  });
+
+  describe('GET /api/products', () => {
+    test('should reject a repeated search parameter with a validation message', async () => {
+      const response = await request(app).get('/api/products?search[]=a');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('search must be a single text value');
+    });
+  });
+
+  describe('GET /api/shipping/rates', () => {
+    const economyCost = async () => {
+      const response = await request(app).get('/api/shipping/rates').set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(200);
+      return response.body.rates.find(rate => rate.id === 'economy').cost;
+    };
+
+    test('should ship free over the threshold', async () => {
+      cartService.addToCart(user.id, '2', 5); // Mouse @ 25
+
+      expect(await economyCost()).toBe(0);
+    });
+
+    test('should check the threshold after promotions, as checkout does', async () => {
+      promotionService.createPromotion({ name: 'Mice', discountPercentage: 30, productIds: ['2'] });
+      cartService.addToCart(user.id, '2', 5); // 125, then 87.50 after the promotion
+
+      expect(await economyCost()).toBe(8);
+    });
+
+    test('should require a signed-in user', async () => {
+      const response = await request(app).get('/api/shipping/rates');
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Shipping Service
+ * Handles configurable shipping methods and shipping rate calculation
+ */
+
+const dataStore = require("./dataStore");
+const currencyService = require("./currencyService");
+const money = require("./money");
+
+// How each kind of shipping method is priced (amounts in the base currency)
+const METHOD_TYPES = {
+  // Same price for every order: { rate }
+  flat: ["rate"],
+  // Base price plus a price per kg: { baseRate, ratePerKg }
+  weight: ["baseRate", "ratePerKg"],
+  // Flat price that drops to zero from a merchandise total: { rate, threshold }
+  free_over: ["rate", "threshold"],
+};
+
+class ShippingService {
+  /**
+   * Gets the configured shipping methods
+   * @returns {array} - Shipping methods
+   */
+  getShippingMethods() {
+    return dataStore.config.shippingMethods;
+  }
+
+  /**
+   * Gets a shipping method by ID
+   * @param {string} methodId - Shipping method identifier
+   * @returns {object} - Shipping method
+   */
+  getShippingMethod(methodId) {
+    const method = this.getShippingMethods().find((m) => m.id === methodId);
+    if (!method) {
+      throw new Error(`Unknown shipping method: ${methodId}`);
+    }
+    return method;
+  }
+
+  /**
+   * Adds a shipping method or replaces the one with the same ID
+   * @param {object} method - { id, name, type, ...pricing fields }
+   * @param {string} [changedBy] - Admin making the change (config history)
+   * @returns {object} - Saved shipping method
+   */
+  saveShippingMethod(method = {}, changedBy = null) {
+    const saved = this.normalizeShippingMethod(method);
+    const shippingMethods = this.getShippingMethods().filter(
+      (m) => m.id !== saved.id,
+    );
+    shippingMethods.push(saved);
+    dataStore.updateConfig({ shippingMethods }, { changedBy });
+    return saved;
+  }
+
+  /**
+   * Validates a shipping method
+   * @param {object} method - { id, name, type, ...pricing fields }
+   * @returns {object} - Method with only the fields its type uses
+   */
+  normalizeShippingMethod(method = {}) {
+    const { id, name, type } = method || {};
+
+    if (typeof id !== "string" || !/^[a-z0-9_-]+$/.test(id)) {
+      throw new Error(
+        "Shipping method ID must use lowercase letters, numbers, - or _",
+      );
+    }
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error("Shipping method name is required");
+    }
+    if (!METHOD_TYPES[type]) {
+      throw new Error(
+        `Invalid shipping method type: ${type}. Must be one of: ${Object.keys(METHOD_TYPES).join(", ")}`,
+      );
+    }
+
+    const saved = { id, name: name.trim(), type };
+    METHOD_TYPES[type].forEach((field) => {
+      const value = method[field];
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        throw new Error(
+          `Shipping method ${field} must be a non-negative number`,
+        );
+      }
+      saved[field] = value;
+    });
+    return saved;
+  }
+
+  /**
+   * Removes a shipping method
+   * @param {string} methodId - Shipping method identifier
+   * @param {string} [changedBy] - Admin making the change (config history)
+   */
+  deleteShippingMethod(methodId, changedBy = null) {
+    this.getShippingMethod(methodId);
+    dataStore.updateConfig(
+      {
+        shippingMethods: this.getShippingMethods().filter(
+          (m) => m.id !== methodId,
+        ),
+      },
+      { changedBy },
+    );
+  }
+
+  /**
+   * Gets the total weight of some lines
+   * @param {array} items - Lines with productId and quantity
+   * @returns {number} - Weight in kg (products without a weight count as 0)
+   */
+  getTotalWeight(items) {
+    return items.reduce((sum, item) => {
+      const product = dataStore.getProduct(item.productId);
+      return sum + ((product && product.weight) || 0) * item.quantity;
+    }, 0);
+  }
+
+  /**
+   * Prices a shipping method for some lines. Rates and thresholds are set in
+   * the base currency and converted to the order's currency.
+   * @param {object} method - Shipping method
+   * @param {array} items - Lines with productId and quantity
+   * @param {number} merchandiseTotal - Amount after discounts, before tax
+   * @param {string} [currency] - Currency of the order (defaults to the base currency)
+   * @returns {number} - Shipping cost
+   */
+  calculateRate(
+    method,
+    items,
+    merchandiseTotal,
+    currency = currencyService.getBaseCurrency(),
+  ) {
+    const baseCurrency = currencyService.getBaseCurrency();
+    let cost;
+    switch (method.type) {
+      case "flat":
+        cost = method.rate;
+        break;
+      case "weight":
+        cost = money.toMajor(
+          money.toMinor(method.baseRate, baseCurrency) +
+            money.multiply(
+              money.toMinor(method.ratePerKg, baseCurrency),
+              this.getTotalWeight(items),
+            ),
+          baseCurrency,
+        );
+        break;
+      case "free_over": {
+        const threshold = currencyService.convertFromBase(
+          method.threshold,
+          currency,
+        );
+        cost = merchandiseTotal >= threshold ? 0 : method.rate;
+        break;
+      }
+      default:
+        throw new Error(`Invalid shipping method type: ${method.type}`);
+    }
+    return currencyService.convertFromBase(cost, currency);
+  }
+
+  /**
+   * Prices every shipping method for some lines
+   * @param {array} items - Lines with productId and quantity
+   * @param {number} merchandiseTotal - Amount after discounts, before tax
+   * @param {string} [currency] - Currency of the order (defaults to the base currency)
+   * @returns {array} - [{ id, name, type, cost }]
+   */
+  quoteRates(items, merchandiseTotal, currency) {
+    return this.getShippingMethods().map((method) => ({
+      id: method.id,
+      name: method.name,
+      type: method.type,
+      cost: this.calculateRate(method, items, merchandiseTotal, currency),
+    }));
+  }
+}
+
+module.exports = new ShippingService();
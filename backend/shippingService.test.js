@@ -0,0 +1,103 @@
+/**
+ * Unit tests for Shipping Service
+ */
+
+const shippingService = require('./shippingService');
+const dataStore = require('./dataStore');
+
+describe('ShippingService', () => {
+  let originalMethods;
+  const items = [
+    { productId: '1', quantity: 1 }, // Laptop, 2 kg
+    { productId: '2', quantity: 5 }, // Mouse, 0.1 kg
+  ];
+
+  beforeAll(() => {
+    originalMethods = JSON.parse(JSON.stringify(dataStore.config.shippingMethods));
+  });
+
+  beforeEach(() => {
+    dataStore.config.shippingMethods = JSON.parse(JSON.stringify(originalMethods));
+  });
+
+  describe('calculateRate', () => {
+    test('should charge flat rates', () => {
+      const method = shippingService.getShippingMethod('standard');
+      expect(shippingService.calculateRate(method, items, 50)).toBe(5);
+    });
+
+    test('should charge by weight', () => {
+      const method = shippingService.getShippingMethod('express');
+      expect(shippingService.calculateRate(method, items, 50)).toBe(15); // 10 + 2 x 2.5 kg
+    });
+
+    test('should be free over the threshold', () => {
+      const method = shippingService.getShippingMethod('economy');
+
+      expect(shippingService.calculateRate(method, items, 99.99)).toBe(8);
+      expect(shippingService.calculateRate(method, items, 100)).toBe(0);
+    });
+
+    test('should convert rates and thresholds to the order currency', () => {
+      const standard = shippingService.getShippingMethod('standard');
+      const economy = shippingService.getShippingMethod('economy');
+
+      expect(shippingService.calculateRate(standard, items, 50, 'EUR')).toBe(4.6);
+      expect(shippingService.calculateRate(economy, items, 91.99, 'EUR')).toBe(7.36);
+      expect(shippingService.calculateRate(economy, items, 92, 'EUR')).toBe(0);
+    });
+  });
+
+  describe('quoteRates', () => {
+    test('should price every method', () => {
+      const rates = shippingService.quoteRates(items, 1125);
+
+      expect(rates.map(rate => [rate.id, rate.cost])).toEqual([
+        ['standard', 5],
+        ['express', 15],
+        ['economy', 0],
+      ]);
+    });
+  });
+
+  describe('getShippingMethod', () => {
+    test('should throw for unknown methods', () => {
+      expect(() => {
+        shippingService.getShippingMethod('teleport');
+      }).toThrow('Unknown shipping method: teleport');
+    });
+  });
+
+  describe('saveShippingMethod', () => {
+    test('should add a method', () => {
+      shippingService.saveShippingMethod({ id: 'pickup', name: 'Store pickup', type: 'flat', rate: 0 });
+      expect(shippingService.getShippingMethod('pickup').rate).toBe(0);
+    });
+
+    test('should replace a method with the same ID', () => {
+      shippingService.saveShippingMethod({ id: 'standard', name: 'Standard', type: 'flat', rate: 6 });
+
+      expect(shippingService.getShippingMethods()).toHaveLength(3);
+      expect(shippingService.getShippingMethod('standard').rate).toBe(6);
+    });
+
+    test('should reject missing pricing fields', () => {
+      expect(() => {
+        shippingService.saveShippingMethod({ id: 'heavy', name: 'Heavy', type: 'weight', baseRate: 5 });
+      }).toThrow('Shipping method ratePerKg must be a non-negative number');
+    });
+
+    test('should reject unknown types', () => {
+      expect(() => {
+        shippingService.saveShippingMethod({ id: 'drone', name: 'Drone', type: 'air', rate: 5 });
+      }).toThrow('Invalid shipping method type: air');
+    });
+  });
+
+  describe('deleteShippingMethod', () => {
+    test('should remove a method', () => {
+      shippingService.deleteShippingMethod('express');
+      expect(() => shippingService.getShippingMethod('express')).toThrow('Unknown shipping method');
+    });
+  });
+});
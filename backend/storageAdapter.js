@@ -0,0 +1,203 @@
+/**
+ * Storage Adapters
+ * Persistence backends that sit behind the DataStore
+ *
+ * Every adapter implements the same synchronous interface:
+ *   load()                       -> { collections, meta } | null
+ *   put(collection, key, value)  -> persist a record
+ *   remove(collection, key)      -> delete a record
+ *   setMeta(key, value)          -> persist a scalar (counters, config)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Default adapter. Keeps nothing outside the DataStore Maps, so every
+ * restart starts from the seed data. Used by the test suite.
+ */
+class MemoryStorageAdapter {
+  load() {
+    return null;
+  }
+
+  put() {}
+
+  remove() {}
+
+  setMeta() {}
+}
+
+/**
+ * Append-only journal with periodic snapshots.
+ *
+ * Each write is appended as one JSON line to `journal.log`. Once the journal
+ * grows past `compactThreshold` entries the current state is written to
+ * `snapshot.json` and the journal is truncated. On load the snapshot is read
+ * first and the journal is replayed on top of it.
+ */
+class FileJournalStorageAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Directory holding snapshot and journal
+   * @param {number} [options.compactThreshold=500] - Journal entries before compaction
+   */
+  constructor({ directory, compactThreshold = 500 }) {
+    if (!directory) {
+      throw new Error("Storage directory is required");
+    }
+
+    this.directory = directory;
+    this.compactThreshold = compactThreshold;
+    this.snapshotPath = path.join(directory, "snapshot.json");
+    this.journalPath = path.join(directory, "journal.log");
+    this.state = { collections: {}, meta: {} };
+    this.journalEntries = 0;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Rebuilds state from snapshot + journal
+   * @returns {object|null} - Persisted state or null if nothing was stored
+   */
+  load() {
+    if (fs.existsSync(this.snapshotPath)) {
+      this.state = JSON.parse(fs.readFileSync(this.snapshotPath, "utf8"));
+    }
+
+    if (fs.existsSync(this.journalPath)) {
+      const journal = fs.readFileSync(this.journalPath, "utf8");
+      const lines = journal.split("\n").filter(Boolean);
+      let tornLine = null;
+
+      lines.forEach((line, index) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A torn final line means the process died mid-write; drop it
+          if (index === lines.length - 1) {
+            tornLine = line;
+            return;
+          }
+          throw new Error(`Corrupt journal entry on line ${index + 1}`);
+        }
+        this.applyEntry(entry);
+      });
+
+      // Cut the torn line off the file too, or the next append would be
+      // glued onto it and the journal could never be loaded again
+      if (tornLine !== null) {
+        const kept = journal.slice(0, journal.lastIndexOf(tornLine));
+        fs.truncateSync(this.journalPath, Buffer.byteLength(kept));
+      } else if (journal && !journal.endsWith("\n")) {
+        fs.appendFileSync(this.journalPath, "\n");
+      }
+
+      this.journalEntries = lines.length - (tornLine === null ? 0 : 1);
+    }
+
+    const hasData =
+      Object.keys(this.state.collections).length > 0 ||
+      Object.keys(this.state.meta).length > 0;
+
+    return hasData ? this.state : null;
+  }
+
+  put(collection, key, value) {
+    this.append({ op: "put", collection, key, value });
+  }
+
+  remove(collection, key) {
+    this.append({ op: "remove", collection, key });
+  }
+
+  setMeta(key, value) {
+    this.append({ op: "meta", key, value });
+  }
+
+  /**
+   * Applies a journal entry to the in-memory mirror
+   * @param {object} entry - Journal entry
+   */
+  applyEntry(entry) {
+    const { collections, meta } = this.state;
+
+    switch (entry.op) {
+      case "put":
+        collections[entry.collection] = collections[entry.collection] || {};
+        collections[entry.collection][entry.key] = entry.value;
+        break;
+      case "remove":
+        if (collections[entry.collection]) {
+          delete collections[entry.collection][entry.key];
+        }
+        break;
+      case "meta":
+        meta[entry.key] = entry.value;
+        break;
+      default:
+        throw new Error(`Unknown journal operation: ${entry.op}`);
+    }
+  }
+
+  /**
+   * Appends an entry to the journal, compacting when the threshold is hit
+   * @param {object} entry - Journal entry
+   */
+  append(entry) {
+    this.applyEntry(entry);
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + "\n");
+    this.journalEntries++;
+
+    if (this.journalEntries >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Writes the full state to the snapshot and truncates the journal.
+   * The snapshot is written to a temp file and renamed so a crash never
+   * leaves a half-written snapshot behind.
+   */
+  compact() {
+    const tempPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state));
+    fs.renameSync(tempPath, this.snapshotPath);
+    fs.writeFileSync(this.journalPath, "");
+    this.journalEntries = 0;
+  }
+}
+
+/**
+ * Picks a storage adapter from configuration
+ * @param {object} config - Usually process.env
+ * @param {string} [config.STORAGE_ADAPTER] - "memory" (default) or "file"
+ * @param {string} [config.STORAGE_DIR] - Directory for the file adapter
+ * @param {string} [config.STORAGE_COMPACT_THRESHOLD] - Journal size before compaction
+ * @returns {object} - Storage adapter instance
+ */
+function createStorageAdapter(config = {}) {
+  const type = config.STORAGE_ADAPTER || "memory";
+
+  switch (type) {
+    case "memory":
+      return new MemoryStorageAdapter();
+    case "file":
+      return new FileJournalStorageAdapter({
+        directory: config.STORAGE_DIR || path.join(__dirname, "data"),
+        compactThreshold: config.STORAGE_COMPACT_THRESHOLD
+          ? parseInt(config.STORAGE_COMPACT_THRESHOLD, 10)
+          : undefined,
+      });
+    default:
+      throw new Error(`Unknown storage adapter: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryStorageAdapter,
+  FileJournalStorageAdapter,
+  createStorageAdapter,
+};
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for Storage Adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MemoryStorageAdapter,
+  FileJournalStorageAdapter,
+  createStorageAdapter,
+} = require('./storageAdapter');
+
+describe('StorageAdapter', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniblox-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('MemoryStorageAdapter', () => {
+    test('should load nothing', () => {
+      const adapter = new MemoryStorageAdapter();
+      adapter.put('products', '1', { id: '1' });
+
+      expect(adapter.load()).toBeNull();
+    });
+  });
+
+  describe('FileJournalStorageAdapter', () => {
+    test('should return null when nothing is stored', () => {
+      const adapter = new FileJournalStorageAdapter({ directory });
+      expect(adapter.load()).toBeNull();
+    });
+
+    test('should replay journal entries on load', () => {
+      const writer = new FileJournalStorageAdapter({ directory });
+      writer.put('products', '1', { id: '1', stock: 10 });
+      writer.put('products', '2', { id: '2', stock: 5 });
+      writer.remove('products', '2');
+      writer.setMeta('orderCounter', 4);
+
+      const state = new FileJournalStorageAdapter({ directory }).load();
+
+      expect(state.collections.products).toEqual({ 1: { id: '1', stock: 10 } });
+      expect(state.meta.orderCounter).toBe(4);
+    });
+
+    test('should compact the journal into a snapshot', () => {
+      const writer = new FileJournalStorageAdapter({ directory, compactThreshold: 2 });
+      writer.put('orders', 'a', { id: 'a' });
+      writer.put('orders', 'b', { id: 'b' });
+      writer.put('orders', 'c', { id: 'c' });
+
+      const journal = fs.readFileSync(path.join(directory, 'journal.log'), 'utf8');
+      expect(journal.trim().split('\n')).toHaveLength(1);
+      expect(fs.existsSync(path.join(directory, 'snapshot.json'))).toBe(true);
+
+      const state = new FileJournalStorageAdapter({ directory }).load();
+      expect(Object.keys(state.collections.orders)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should ignore a torn final journal line', () => {
+      const writer = new FileJournalStorageAdapter({ directory });
+      writer.setMeta('orderCounter', 1);
+      fs.appendFileSync(path.join(directory, 'journal.log'), '{"op":"meta","ke');
+
+      const state = new FileJournalStorageAdapter({ directory }).load();
+      expect(state.meta.orderCounter).toBe(1);
+    });
+
+    test('should keep loading after restarts that follow a torn write', () => {
+      const writer = new FileJournalStorageAdapter({ directory });
+      writer.put('orders', 'a', { id: 'a' });
+      fs.appendFileSync(path.join(directory, 'journal.log'), '{"op":"put","coll');
+
+      const restarted = new FileJournalStorageAdapter({ directory });
+      restarted.load();
+      restarted.put('orders', 'b', { id: 'b' });
+      restarted.put('orders', 'c', { id: 'c' });
+
+      const state = new FileJournalStorageAdapter({ directory }).load();
+      expect(Object.keys(state.collections.orders)).toEqual(['a', 'b', 'c']);
+
+      const again = new FileJournalStorageAdapter({ directory }).load();
+      expect(Object.keys(again.collections.orders)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should reject corrupt entries in the middle of the journal', () => {
+      fs.writeFileSync(
+        path.join(directory, 'journal.log'),
+        'not-json\n{"op":"meta","key":"orderCounter","value":1}\n'
+      );
+
+      expect(() => {
+        new FileJournalStorageAdapter({ directory }).load();
+      }).toThrow('Corrupt journal entry on line 1');
+    });
+  });
+
+  describe('createStorageAdapter', () => {
+    test('should default to the memory adapter', () => {
+      expect(createStorageAdapter({})).toBeInstanceOf(MemoryStorageAdapter);
+    });
+
+    test('should create the file adapter', () => {
+      const adapter = createStorageAdapter({
+        STORAGE_ADAPTER: 'file',
+        STORAGE_DIR: directory,
+        STORAGE_COMPACT_THRESHOLD: '10',
+      });
+
+      expect(adapter).toBeInstanceOf(FileJournalStorageAdapter);
+      expect(adapter.compactThreshold).toBe(10);
+    });
+
+    test('should throw for unknown adapters', () => {
+      expect(() => createStorageAdapter({ STORAGE_ADAPTER: 'redis' })).toThrow(
+        'Unknown storage adapter: redis'
+      );
+    });
+  });
+
+  describe('DataStore with file adapter', () => {
+    const loadDataStore = () => {
+      let store;
+      jest.isolateModules(() => {
+        store = require('./dataStore');
+      });
+      return store;
+    };
+
+    beforeEach(() => {
+      process.env.STORAGE_ADAPTER = 'file';
+      process.env.STORAGE_DIR = directory;
+    });
+
+    afterEach(() => {
+      delete process.env.STORAGE_ADAPTER;
+      delete process.env.STORAGE_DIR;
+    });
+
+    test('should survive a restart', () => {
+      const first = loadDataStore();
+      first.updateCart('user-1', { userId: 'user-1', items: [{ productId: '2', quantity: 1 }] });
+      first.createOrder({ id: 'order-1', userId: 'user-1', items: [], finalAmount: 25 });
+      first.createDiscountCode('DISC-TEST', { code: 'DISC-TEST', used: false });
+      first.markDiscountAsUsed('DISC-TEST');
+      const laptop = first.getProduct('1');
+      laptop.stock = 3;
+      first.saveProduct(laptop);
+
+      const second = loadDataStore();
+
+      expect(second.getOrderCount()).toBe(1);
+      expect(second.getOrder('order-1').finalAmount).toBe(25);
+      expect(second.getCart('user-1').items).toHaveLength(1);
+      expect(second.getDiscountCode('DISC-TEST').used).toBe(true);
+      expect(second.getProduct('1').stock).toBe(3);
+      expect(second.getAllProducts()).toHaveLength(5);
+    });
+
+    test('should capture the order\'s own payment after a restart', () => {
+      const loadServices = () => {
+        let services;
+        jest.isolateModules(() => {
+          services = {
+            cartService: require('./cartService'),
+            orderService: require('./orderService'),
+            paymentService: require('./paymentService'),
+          };
+        });
+        return services;
+      };
+
+      const first = loadServices();
+      first.cartService.addToCart('user-1', '2', 1);
+      const { order } = first.orderService.checkout('user-1');
+
+      const second = loadServices();
+      second.cartService.addToCart('user-2', '2', 2);
+      const other = second.orderService.checkout('user-2').order;
+      const paid = second.orderService.transitionOrder(order.id, 'paid');
+
+      expect(other.payment.id).not.toBe(order.payment.id);
+      expect(paid.payment).toMatchObject({ id: order.payment.id, status: 'captured' });
+      expect(second.paymentService.retrieve(order.payment.id).capturedAmount).toBe(order.finalAmount);
+      expect(second.paymentService.retrieve(other.payment.id).status).toBe('authorized');
+    });
+  });
+});
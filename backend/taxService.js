@@ -0,0 +1,179 @@
+/**
+ * Tax Service
+ * Works out sales tax by destination region and product tax class
+ */
+
+const dataStore = require("./dataStore");
+const money = require("./money");
+
+// Tax classes a product can belong to; "exempt" is never taxed
+const TAX_CLASSES = ["standard", "reduced", "exempt"];
+
+// Key in a country's rates that applies to every state
+const WHOLE_COUNTRY = "*";
+
+class TaxService {
+  /**
+   * Checks a product tax class
+   * @param {string} taxClass - Tax class
+   */
+  validateTaxClass(taxClass) {
+    if (!TAX_CLASSES.includes(taxClass)) {
+      throw new Error(
+        `Invalid tax class: ${taxClass}. Must be one of: ${TAX_CLASSES.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Validates and normalizes a destination region
+   * @param {object} destination - { country, state? }
+   * @returns {object} - { country, state } with upper-case codes
+   */
+  normalizeDestination(destination) {
+    const { country, state = null } = destination || {};
+
+    if (typeof country !== "string" || !/^[A-Za-z]{2}$/.test(country)) {
+      throw new Error("Destination country must be a 2-letter country code");
+    }
+    if (state !== null && (typeof state !== "string" || !state.trim())) {
+      throw new Error("Destination state must be a non-empty string");
+    }
+
+    return {
+      country: country.toUpperCase(),
+      state: state ? state.trim().toUpperCase() : null,
+    };
+  }
+
+  /**
+   * Gets the tax rate for a destination and tax class. A state's own rate
+   * wins over the country-wide rate; regions without a rate are not taxed.
+   * @param {object} destination - Normalized destination
+   * @param {string} [taxClass="standard"] - Product tax class
+   * @returns {number} - Rate as a percentage
+   */
+  getRate(destination, taxClass = "standard") {
+    if (taxClass === "exempt") {
+      return 0;
+    }
+
+    const countryRates = dataStore.config.taxRates[destination.country] || {};
+    const stateRates =
+      (destination.state && countryRates[destination.state]) || {};
+    const wholeCountryRates = countryRates[WHOLE_COUNTRY] || {};
+
+    if (stateRates[taxClass] !== undefined) {
+      return stateRates[taxClass];
+    }
+    if (wholeCountryRates[taxClass] !== undefined) {
+      return wholeCountryRates[taxClass];
+    }
+    return 0;
+  }
+
+  /**
+   * Gets a product's tax class
+   * @param {string} productId - Product identifier
+   * @returns {string} - Tax class ("standard" for unknown products)
+   */
+  getTaxClass(productId) {
+    const product = dataStore.getProduct(productId);
+    return (product && product.taxClass) || "standard";
+  }
+
+  /**
+   * Calculates tax on cart or order lines. Tax is charged on what the
+   * customer pays, so an order-level discount is first spread over the
+   * lines in proportion to their totals.
+   * @param {array} items - Lines with productId, price and quantity
+   * @param {number|array} [discount=0] - Order-level discount amount, or the
+   *   discount on each line
+   * @param {object} destination - { country, state? }
+   * @param {string} [currency] - Currency of the prices (defaults to the base currency)
+   * @returns {object} - { destination, tax, lines: [{ taxClass, taxRate, tax }] }
+   */
+  calculateTax(
+    items,
+    discount = 0,
+    destination,
+    currency = dataStore.config.baseCurrency,
+  ) {
+    const region = this.normalizeDestination(destination);
+    const lineTotals = items.map(
+      (item) => money.toMinor(item.price, currency) * item.quantity,
+    );
+    const discountShares = Array.isArray(discount)
+      ? discount.map((amount) => money.toMinor(amount, currency))
+      : money.allocate(money.toMinor(discount, currency), lineTotals);
+
+    let tax = 0;
+    const lines = items.map((item, index) => {
+      const taxClass = this.getTaxClass(item.productId);
+      const taxRate = this.getRate(region, taxClass);
+      const lineTax = money.percentage(
+        lineTotals[index] - discountShares[index],
+        taxRate,
+      );
+      tax += lineTax;
+      return { taxClass, taxRate, tax: money.toMajor(lineTax, currency) };
+    });
+
+    return {
+      destination: region,
+      tax: money.toMajor(tax, currency),
+      lines,
+    };
+  }
+
+  /**
+   * Gets the configured tax rates
+   * @returns {object} - country -> state (or "*") -> tax class -> rate
+   */
+  getTaxRates() {
+    return dataStore.config.taxRates;
+  }
+
+  /**
+   * Sets tax rates for a country or one of its states
+   * @param {string} country - 2-letter country code
+   * @param {string|null} state - State code, or null for the whole country
+   * @param {object} rates - tax class -> rate percentage
+   * @param {string} [changedBy] - Admin making the change (config history)
+   * @returns {object} - Updated rates for the region
+   */
+  setTaxRates(country, state, rates, changedBy = null) {
+    const region = this.normalizeDestination({ country, state });
+    this.validateRates(rates);
+
+    const taxRates = JSON.parse(JSON.stringify(dataStore.config.taxRates));
+    const countryRates = taxRates[region.country] || {};
+    const regionKey = region.state || WHOLE_COUNTRY;
+    countryRates[regionKey] = { ...countryRates[regionKey], ...rates };
+    taxRates[region.country] = countryRates;
+
+    dataStore.updateConfig({ taxRates }, { changedBy });
+    return countryRates[regionKey];
+  }
+
+  /**
+   * Throws unless rates map tax classes to percentages
+   * @param {object} rates - tax class -> rate percentage
+   */
+  validateRates(rates) {
+    if (!rates || typeof rates !== "object" || !Object.keys(rates).length) {
+      throw new Error("Rates are required");
+    }
+    Object.entries(rates).forEach(([taxClass, rate]) => {
+      this.validateTaxClass(taxClass);
+      if (taxClass === "exempt") {
+        throw new Error("Exempt products are never taxed");
+      }
+      if (typeof rate !== "number" || rate < 0 || rate > 100) {
+        throw new Error("Tax rates must be numbers between 0 and 100");
+      }
+    });
+  }
+}
+
+module.exports = new TaxService();
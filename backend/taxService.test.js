@@ -0,0 +1,88 @@
+/**
+ * Unit tests for Tax Service
+ */
+
+const taxService = require('./taxService');
+const dataStore = require('./dataStore');
+
+describe('TaxService', () => {
+  let originalRates;
+
+  beforeAll(() => {
+    originalRates = JSON.parse(JSON.stringify(dataStore.config.taxRates));
+  });
+
+  beforeEach(() => {
+    dataStore.config.taxRates = JSON.parse(JSON.stringify(originalRates));
+    dataStore.getProduct('2').taxClass = undefined;
+  });
+
+  describe('getRate', () => {
+    test('should prefer a state rate over the country rate', () => {
+      dataStore.config.taxRates.US['*'] = { standard: 1 };
+
+      expect(taxService.getRate({ country: 'US', state: 'CA' })).toBe(7.25);
+      expect(taxService.getRate({ country: 'US', state: 'OR' })).toBe(1);
+    });
+
+    test('should use the rate for the tax class', () => {
+      expect(taxService.getRate({ country: 'GB', state: null }, 'standard')).toBe(20);
+      expect(taxService.getRate({ country: 'GB', state: null }, 'reduced')).toBe(5);
+    });
+
+    test('should not tax exempt products or unknown regions', () => {
+      expect(taxService.getRate({ country: 'GB', state: null }, 'exempt')).toBe(0);
+      expect(taxService.getRate({ country: 'JP', state: null })).toBe(0);
+    });
+  });
+
+  describe('calculateTax', () => {
+    const items = [
+      { productId: '1', price: 1000, quantity: 1 },
+      { productId: '2', price: 25, quantity: 4 },
+    ];
+
+    test('should tax each line at its own rate', () => {
+      dataStore.getProduct('2').taxClass = 'reduced';
+
+      const result = taxService.calculateTax(items, 0, { country: 'gb' });
+
+      expect(result.destination).toEqual({ country: 'GB', state: null });
+      expect(result.lines.map(line => line.taxRate)).toEqual([20, 5]);
+      expect(result.tax).toBe(205); // 20% of 1000 + 5% of 100
+    });
+
+    test('should tax the amount after discount', () => {
+      const result = taxService.calculateTax(items, 110, { country: 'GB' });
+
+      expect(result.tax).toBe(198); // 20% of (1100 - 110)
+    });
+
+    test('should reject invalid destinations', () => {
+      expect(() => {
+        taxService.calculateTax(items, 0, { country: 'USA' });
+      }).toThrow('Destination country must be a 2-letter country code');
+    });
+  });
+
+  describe('setTaxRates', () => {
+    test('should set rates for a state', () => {
+      taxService.setTaxRates('us', 'wa', { standard: 6.5 });
+
+      expect(taxService.getRate({ country: 'US', state: 'WA' })).toBe(6.5);
+      expect(taxService.getTaxRates().US.CA.standard).toBe(7.25);
+    });
+
+    test('should set rates for a whole country', () => {
+      taxService.setTaxRates('FR', null, { standard: 20, reduced: 5.5 });
+
+      expect(taxService.getTaxRates().FR['*']).toEqual({ standard: 20, reduced: 5.5 });
+    });
+
+    test('should reject unknown tax classes and bad rates', () => {
+      expect(() => taxService.setTaxRates('FR', null, { luxury: 30 })).toThrow('Invalid tax class: luxury');
+      expect(() => taxService.setTaxRates('FR', null, { standard: 120 })).toThrow('between 0 and 100');
+      expect(() => taxService.setTaxRates('FR', null, { exempt: 0 })).toThrow('Exempt products are never taxed');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit of Work
+ * Runs a sequence of state changes as one unit. Each step registers a
+ * compensation; if any step throws, the compensations run in reverse order
+ * so the store is left as it was before the unit started.
+ */
+
+class UnitOfWork {
+  constructor() {
+    this.compensations = [];
+  }
+
+  /**
+   * Runs one step of the unit.
+   * The compensation is registered before the action runs, so it must be
+   * safe to call even if the action only partly completed.
+   * @param {function} action - Change to apply
+   * @param {function} compensate - Undoes the change
+   * @returns {*} - Whatever the action returns
+   */
+  step(action, compensate) {
+    this.compensations.push(compensate);
+    return action();
+  }
+
+  /**
+   * Undoes every step in reverse order. A failing compensation does not
+   * stop the others from running.
+   * @returns {array} - Errors thrown by compensations
+   */
+  rollback() {
+    const errors = [];
+    while (this.compensations.length > 0) {
+      const compensate = this.compensations.pop();
+      try {
+        compensate();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Runs `work` with this unit, rolling back and rethrowing on failure
+   * @param {function} work - Receives the unit and performs its steps
+   * @returns {*} - Whatever `work` returns
+   */
+  run(work) {
+    try {
+      return work(this);
+    } catch (error) {
+      const rollbackErrors = this.rollback();
+      if (rollbackErrors.length > 0) {
+        console.error("Rollback failed:", rollbackErrors);
+        error.rollbackErrors = rollbackErrors;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = UnitOfWork;
@@ -0,0 +1,53 @@
+/**
+ * Unit tests for Unit of Work
+ */
+
+const UnitOfWork = require('./unitOfWork');
+
+describe('UnitOfWork', () => {
+  test('should return the result of the work', () => {
+    const result = new UnitOfWork().run(unit => unit.step(() => 42, () => {}));
+    expect(result).toBe(42);
+  });
+
+  test('should run compensations in reverse order on failure', () => {
+    const calls = [];
+
+    expect(() => {
+      new UnitOfWork().run(unit => {
+        unit.step(() => calls.push('a'), () => calls.push('undo a'));
+        unit.step(() => calls.push('b'), () => calls.push('undo b'));
+        unit.step(() => { throw new Error('step c failed'); }, () => calls.push('undo c'));
+      });
+    }).toThrow('step c failed');
+
+    expect(calls).toEqual(['a', 'b', 'undo c', 'undo b', 'undo a']);
+  });
+
+  test('should not run compensations when the work succeeds', () => {
+    const undo = jest.fn();
+    new UnitOfWork().run(unit => unit.step(() => {}, undo));
+    expect(undo).not.toHaveBeenCalled();
+  });
+
+  test('should keep rolling back when a compensation fails', () => {
+    const undoFirst = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let thrown;
+    try {
+      new UnitOfWork().run(unit => {
+        unit.step(() => {}, undoFirst);
+        unit.step(() => {}, () => { throw new Error('undo failed'); });
+        throw new Error('work failed');
+      });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toBe('work failed');
+    expect(thrown.rollbackErrors.map(e => e.message)).toEqual(['undo failed']);
+    expect(undoFirst).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
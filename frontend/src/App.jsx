@@ -1,40 +1,216 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import "./App.css";
 
 const API_URL = "http://localhost:3000/api";
+const PAGE_SIZE = 12;
+const EMPTY_CART = {
+  items: [],
+  totalItems: 0,
+  subtotal: 0,
+  promotions: [],
+  discount: 0,
+  currency: "USD",
+};
+// Format the backend accepts for discount codes (4-32 letters, digits or
+// dashes). Anything else isn't sent for quotes, since every code sent counts
+// towards the attempt limits.
+const CODE_PATTERN = /^[A-Za-z0-9-]{4,32}$/;
+// Pause after cart changes before the cart is quoted again
+const QUOTE_DELAY_MS = 400;
 
 function App() {
   const [products, setProducts] = useState([]);
-  const [cart, setCart] = useState({ items: [], totalItems: 0, subtotal: 0 });
-  const [userId] = useState("user-" + Math.random().toString(36).substr(2, 9));
+  const [productQuery, setProductQuery] = useState({
+    search: "",
+    minPrice: "",
+    maxPrice: "",
+    inStock: false,
+    category: "",
+    sort: "",
+    page: 1,
+  });
+  const [searchInput, setSearchInput] = useState("");
+  const [pagination, setPagination] = useState(null);
+  const [selectedSkus, setSelectedSkus] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [cart, setCart] = useState(EMPTY_CART);
+  const [currencies, setCurrencies] = useState([]);
+  // { token, user } of the signed-in shopper, kept across page loads
+  const [session, setSession] = useState(() =>
+    JSON.parse(localStorage.getItem("session") || "null"),
+  );
+  // Sign-in / registration form, null while hidden
+  const [authForm, setAuthForm] = useState(null);
   const [discountCode, setDiscountCode] = useState("");
+  // Code the shopper has finished typing (on blur or Enter). Only this one is
+  // quoted: half-typed codes would count as invalid guesses and lock them out.
+  const [appliedCode, setAppliedCode] = useState("");
+  // Checkout preview of the open cart: { code, ...quote } or { code, error }
+  const [quote, setQuote] = useState(null);
   const [message, setMessage] = useState({ text: "", type: "" });
   const [loading, setLoading] = useState(false);
   const [showCart, setShowCart] = useState(false);
   const [stats, setStats] = useState(null);
   const [availableDiscounts, setAvailableDiscounts] = useState([]);
+  // Reused when a checkout request fails in transit so a retry cannot
+  // place the order twice
+  const checkoutKey = useRef(null);
 
   useEffect(() => {
-    fetchProducts();
-    fetchCart();
-    fetchAvailableDiscounts();
-  }, []);
+    if (session) {
+      localStorage.setItem("session", JSON.stringify(session));
+      fetchCart();
+      fetchAvailableDiscounts();
+    } else {
+      localStorage.removeItem("session");
+      setCart(EMPTY_CART);
+      setAvailableDiscounts([]);
+    }
+  }, [session]);
+
+  // Calls the API as the signed-in shopper
+  const apiFetch = useCallback(
+    async (path, options = {}) => {
+      const response = await fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          ...(session && { Authorization: `Bearer ${session.token}` }),
+          ...options.headers,
+        },
+      });
+      // The session expired or was ended elsewhere
+      if (response.status === 401 && session) {
+        setSession(null);
+      }
+      return response;
+    },
+    [session],
+  );
+
+  const fetchProducts = useCallback(async () => {
+    const [sort, order] = productQuery.sort.split(":");
+    const params = new URLSearchParams({
+      page: productQuery.page,
+      pageSize: PAGE_SIZE,
+    });
+    if (productQuery.search) params.set("search", productQuery.search);
+    if (productQuery.minPrice) params.set("minPrice", productQuery.minPrice);
+    if (productQuery.maxPrice) params.set("maxPrice", productQuery.maxPrice);
+    if (productQuery.inStock) params.set("inStock", "true");
+    if (productQuery.category) params.set("category", productQuery.category);
+    if (sort) {
+      params.set("sort", sort);
+      params.set("order", order);
+    }
 
-  const fetchProducts = async () => {
     try {
-      const response = await fetch(`${API_URL}/products`);
+      const response = await fetch(`${API_URL}/products?${params}`);
       const data = await response.json();
       if (data.success) {
         setProducts(data.products);
+        setPagination(data.pagination);
+      } else {
+        setMessage({ text: data.message, type: "error" });
       }
     } catch (error) {
-      showMessage("Failed to load products", "error");
+      console.error("Failed to load products:", error);
+      setMessage({ text: "Failed to load products", type: "error" });
     }
+  }, [productQuery]);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await fetch(`${API_URL}/categories`);
+        const data = await response.json();
+        if (data.success) {
+          setCategories(data.categories);
+        }
+      } catch (error) {
+        console.error("Failed to load categories:", error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    const fetchCurrencies = async () => {
+      try {
+        const response = await fetch(`${API_URL}/currencies`);
+        const data = await response.json();
+        if (data.success) {
+          setCurrencies(data.currencies);
+        }
+      } catch (error) {
+        console.error("Failed to load currencies:", error);
+      }
+    };
+    fetchCurrencies();
+  }, []);
+
+  // Quotes the open cart as the cart or the applied discount code changes
+  useEffect(() => {
+    if (!showCart || cart.items.length === 0) return;
+    const code = appliedCode || undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch("/cart/quote", {
+          method: "POST",
+          body: JSON.stringify({ discountCode: code }),
+        });
+        const data = await response.json();
+        if (!cancelled) {
+          setQuote(
+            data.success
+              ? { code, ...data.quote }
+              : { code, error: data.message },
+          );
+        }
+      } catch (error) {
+        console.error("Failed to quote cart:", error);
+      }
+    }, QUOTE_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiFetch, showCart, cart, appliedCode]);
+
+  const updateProductQuery = (changes) => {
+    setProductQuery((query) => ({ ...query, ...changes, page: 1 }));
+  };
+
+  const renderCategories = (nodes) =>
+    nodes.length > 0 && (
+      <ul>
+        {nodes.map((category) => (
+          <li key={category.id}>
+            <button
+              className={productQuery.category === category.id ? "active" : ""}
+              onClick={() => updateProductQuery({ category: category.id })}
+            >
+              {category.name} ({category.productCount})
+            </button>
+            {renderCategories(category.children)}
+          </li>
+        ))}
+      </ul>
+    );
+
+  const searchProducts = (e) => {
+    e.preventDefault();
+    updateProductQuery({ search: searchInput.trim() });
   };
 
   const fetchCart = async () => {
     try {
-      const response = await fetch(`${API_URL}/cart/${userId}`);
+      const response = await apiFetch("/cart");
       const data = await response.json();
       if (data.success) {
         setCart(data.cart);
@@ -44,9 +220,28 @@ function App() {
     }
   };
 
+  const changeCurrency = async (currency) => {
+    try {
+      const response = await apiFetch("/cart/currency", {
+        method: "PUT",
+        body: JSON.stringify({ currency }),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setCart(data.cart);
+      } else {
+        showMessage(data.message, "error");
+      }
+    } catch {
+      showMessage("Failed to change currency", "error");
+    }
+  };
+
+  // The shopper's own codes, such as rewards they earned
   const fetchAvailableDiscounts = async () => {
     try {
-      const response = await fetch(`${API_URL}/admin/discount-codes`);
+      const response = await apiFetch("/discount-codes");
       const data = await response.json();
       if (data.success) {
         setAvailableDiscounts(data.discountCodes);
@@ -56,18 +251,56 @@ function App() {
     }
   };
 
-  const addToCart = async (productId) => {
+  // Variant products default to their first variant until one is picked
+  const getSelectedVariant = (product) => {
+    if (!product.variants || product.variants.length === 0) return null;
+    return (
+      product.variants.find((v) => v.sku === selectedSkus[product.id]) ||
+      product.variants[0]
+    );
+  };
+
+  const formatOptions = (options) => Object.values(options).join(" / ");
+
+  const formatMoney = (amount, currency = "USD") =>
+    new Intl.NumberFormat(undefined, { style: "currency", currency }).format(
+      amount,
+    );
+
+  const describeDiscount = (discount) => {
+    switch (discount.type) {
+      case "fixed_amount":
+        return `${formatMoney(discount.amount)} off`;
+      case "free_shipping":
+        return "free shipping";
+      case "buy_x_get_y":
+        return discount.discountPercentage === 100
+          ? `buy ${discount.buyQuantity}, get ${discount.getQuantity} free`
+          : `buy ${discount.buyQuantity}, get ${discount.getQuantity} at ${discount.discountPercentage}% off`;
+      case "cheapest_item":
+        return `${discount.discountPercentage}% off the cheapest item`;
+      default:
+        return `${discount.discountPercentage}% off`;
+    }
+  };
+
+  const addToCart = async (productId, sku) => {
+    if (!session) {
+      setAuthForm({ mode: "login", email: "", password: "", name: "" });
+      showMessage("Sign in to add items to your cart", "error");
+      return;
+    }
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/cart/add`, {
+      const response = await apiFetch("/cart/add", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userId, productId, quantity: 1 }),
+        body: JSON.stringify({ productId, quantity: 1, sku }),
       });
       const data = await response.json();
 
       if (data.success) {
         setCart(data.cart);
+        fetchProducts(); // Refresh available stock
         showMessage("Item added to cart!", "success");
       } else {
         showMessage(data.message, "error");
@@ -78,17 +311,17 @@ function App() {
     setLoading(false);
   };
 
-  const updateCartItem = async (productId, quantity) => {
+  const updateCartItem = async (productId, quantity, sku) => {
     try {
-      const response = await fetch(`${API_URL}/cart/update`, {
+      const response = await apiFetch("/cart/update", {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userId, productId, quantity }),
+        body: JSON.stringify({ productId, quantity, sku }),
       });
       const data = await response.json();
 
       if (data.success) {
         setCart(data.cart);
+        fetchProducts();
       } else {
         showMessage(data.message, "error");
       }
@@ -97,17 +330,17 @@ function App() {
     }
   };
 
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, sku) => {
     try {
-      const response = await fetch(`${API_URL}/cart/delete`, {
+      const response = await apiFetch("/cart/delete", {
         method: "DELETE",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userId, productId }),
+        body: JSON.stringify({ productId, sku }),
       });
       const data = await response.json();
 
       if (data.success) {
         setCart(data.cart);
+        fetchProducts();
         showMessage("Item removed from cart", "success");
       }
     } catch (error) {
@@ -117,16 +350,17 @@ function App() {
 
   const checkout = async () => {
     setLoading(true);
+    if (!checkoutKey.current) {
+      checkoutKey.current = crypto.randomUUID();
+    }
     try {
-      const response = await fetch(`${API_URL}/checkout`, {
+      const response = await apiFetch("/checkout", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          userId,
-          discountCode: discountCode || undefined,
-        }),
+        headers: { "Idempotency-Key": checkoutKey.current },
+        body: JSON.stringify({ discountCode: discountCode || undefined }),
       });
       const data = await response.json();
+      checkoutKey.current = null;
 
       if (data.success) {
         let msg = data.message;
@@ -134,8 +368,9 @@ function App() {
           msg += `\n\n${data.newDiscountCode.message}\nYour code: ${data.newDiscountCode.code}`;
         }
         showMessage(msg, "success");
-        setCart({ items: [], totalItems: 0, subtotal: 0 });
+        setCart({ ...EMPTY_CART, currency: cart.currency });
         setDiscountCode("");
+        setAppliedCode("");
         setShowCart(false);
         fetchProducts();
         fetchAvailableDiscounts(); // Refresh discount codes
@@ -150,7 +385,7 @@ function App() {
 
   const fetchStats = async () => {
     try {
-      const response = await fetch(`${API_URL}/admin/stats`);
+      const response = await apiFetch("/admin/stats");
       const data = await response.json();
       if (data.success) {
         setStats(data.stats);
@@ -160,6 +395,51 @@ function App() {
     }
   };
 
+  const submitAuthForm = async (e) => {
+    e.preventDefault();
+    const { mode, email, password, name } = authForm;
+    try {
+      const response = await fetch(`${API_URL}/auth/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          mode === "register"
+            ? { email, password, name: name || undefined }
+            : { email, password },
+        ),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSession({ token: data.token, user: data.user });
+        setAuthForm(null);
+        showMessage(data.message, "success");
+      } else {
+        showMessage(data.message, "error");
+      }
+    } catch {
+      showMessage("Failed to sign in", "error");
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await apiFetch("/auth/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Failed to end session:", error);
+    }
+    setSession(null);
+    setShowCart(false);
+  };
+
+  // The quote's verdict on the applied code, once it has been checked
+  const codeQuote =
+    quote && appliedCode && quote.code === appliedCode ? quote : null;
+
+  const applyDiscountCode = () => {
+    setAppliedCode(CODE_PATTERN.test(discountCode) ? discountCode : "");
+  };
+
   const showMessage = (text, type) => {
     setMessage({ text, type });
     setTimeout(() => setMessage({ text: "", type: "" }), 5000);
@@ -173,9 +453,30 @@ function App() {
           <button onClick={() => setShowCart(!showCart)} className="cart-btn">
             Cart ({cart.totalItems})
           </button>
-          <button onClick={fetchStats} className="stats-btn">
-            View Stats
-          </button>
+          {session && session.user.permissions.includes("stats:read") && (
+            <button onClick={fetchStats} className="stats-btn">
+              View Stats
+            </button>
+          )}
+          {session ? (
+            <button onClick={signOut} className="auth-btn">
+              Sign Out
+            </button>
+          ) : (
+            <button
+              onClick={() =>
+                setAuthForm({
+                  mode: "login",
+                  email: "",
+                  password: "",
+                  name: "",
+                })
+              }
+              className="auth-btn"
+            >
+              Sign In
+            </button>
+          )}
         </div>
       </header>
 
@@ -196,15 +497,27 @@ function App() {
             <>
               <div className="cart-items">
                 {cart.items.map((item) => (
-                  <div key={item.productId} className="cart-item">
+                  <div
+                    key={`${item.productId}:${item.sku || ""}`}
+                    className="cart-item"
+                  >
                     <div className="item-info">
                       <h3>{item.name}</h3>
-                      <p>${item.price} each</p>
+                      {item.options && (
+                        <p className="item-variant">
+                          {formatOptions(item.options)}
+                        </p>
+                      )}
+                      <p>{formatMoney(item.price, cart.currency)} each</p>
                     </div>
                     <div className="item-controls">
                       <button
                         onClick={() =>
-                          updateCartItem(item.productId, item.quantity - 1)
+                          updateCartItem(
+                            item.productId,
+                            item.quantity - 1,
+                            item.sku,
+                          )
                         }
                       >
                         -
@@ -212,20 +525,24 @@ function App() {
                       <span>{item.quantity}</span>
                       <button
                         onClick={() =>
-                          updateCartItem(item.productId, item.quantity + 1)
+                          updateCartItem(
+                            item.productId,
+                            item.quantity + 1,
+                            item.sku,
+                          )
                         }
                       >
                         +
                       </button>
                       <button
-                        onClick={() => removeFromCart(item.productId)}
+                        onClick={() => removeFromCart(item.productId, item.sku)}
                         className="remove-btn"
                       >
                         Remove
                       </button>
                     </div>
                     <div className="item-total">
-                      ${(item.price * item.quantity).toFixed(2)}
+                      {formatMoney(item.price * item.quantity, cart.currency)}
                     </div>
                   </div>
                 ))}
@@ -235,22 +552,17 @@ function App() {
                 {availableDiscounts.length > 0 && (
                   <div className="available-discounts">
                     <p>
-                      <strong>Available Discount Codes:</strong>
+                      <strong>Your Discount Codes:</strong>
                     </p>
                     <div className="discount-codes-list">
-                      {availableDiscounts.map((discount) => {
-                        return !discount.used ? (
-                          <div
-                            key={discount.code}
-                            className="discount-code-item"
-                          >
-                            <span className="code">{discount.code} </span>
-                            <span className="percentage">
-                              Use for {discount.discountPercentage}% off
-                            </span>
-                          </div>
-                        ) : null;
-                      })}
+                      {availableDiscounts.map((discount) => (
+                        <div key={discount.code} className="discount-code-item">
+                          <span className="code">{discount.code} </span>
+                          <span className="percentage">
+                            Use for {describeDiscount(discount)}
+                          </span>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 )}
@@ -259,14 +571,91 @@ function App() {
                     type="text"
                     placeholder="Discount code"
                     value={discountCode}
-                    onChange={(e) =>
-                      setDiscountCode(e.target.value.toUpperCase())
-                    }
+                    onChange={(e) => {
+                      setDiscountCode(e.target.value.toUpperCase());
+                      setAppliedCode("");
+                    }}
+                    onBlur={applyDiscountCode}
+                    onKeyDown={(e) => e.key === "Enter" && applyDiscountCode()}
                   />
+                  {codeQuote && (
+                    <p
+                      className={`code-status ${codeQuote.error || codeQuote.discountCodeError ? "error" : "valid"}`}
+                    >
+                      {codeQuote.error ||
+                        (codeQuote.discountCodeError
+                          ? codeQuote.discountCodeError.message
+                          : "Code applied")}
+                    </p>
+                  )}
                 </div>
+                {currencies.length > 1 && (
+                  <div className="currency-select">
+                    <label>
+                      Currency:{" "}
+                      <select
+                        value={cart.currency}
+                        onChange={(e) => changeCurrency(e.target.value)}
+                      >
+                        {currencies.map((currency) => (
+                          <option key={currency} value={currency}>
+                            {currency}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
                 <div className="subtotal">
-                  <strong>Subtotal:</strong> ${cart.subtotal.toFixed(2)}
+                  <strong>Subtotal:</strong>{" "}
+                  {formatMoney(cart.subtotal, cart.currency)}
                 </div>
+                {cart.promotions && cart.promotions.length > 0 && (
+                  <>
+                    <ul className="applied-promotions">
+                      {cart.promotions.map((promotion) => (
+                        <li key={promotion.id}>
+                          <span>{promotion.name}</span>
+                          <span>
+                            {promotion.freeShipping
+                              ? "Free shipping"
+                              : `-${formatMoney(promotion.savings, cart.currency)}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="subtotal">
+                      <strong>After promotions:</strong>{" "}
+                      {formatMoney(
+                        cart.subtotal - cart.discount,
+                        cart.currency,
+                      )}
+                    </div>
+                  </>
+                )}
+                {quote && !quote.error && (
+                  <>
+                    {quote.discountCode && (
+                      <div className="subtotal">
+                        <strong>Code {quote.discountCode}:</strong> -
+                        {formatMoney(
+                          quote.discount - cart.discount,
+                          quote.currency,
+                        )}
+                      </div>
+                    )}
+                    <div className="subtotal">
+                      <strong>Total:</strong>{" "}
+                      {formatMoney(quote.finalAmount, quote.currency)}
+                    </div>
+                    {quote.reward && (
+                      <p className="reward-preview">
+                        This order earns you a {quote.reward.discountPercentage}
+                        % discount code!
+                      </p>
+                    )}
+                  </>
+                )}
                 <button
                   onClick={checkout}
                   disabled={loading || cart.items.length === 0}
@@ -285,21 +674,153 @@ function App() {
           )}
         </div>
       ) : (
-        <div className="products-grid">
-          {products.map((product) => (
-            <div key={product.id} className="product-card">
-              <h3>{product.name}</h3>
-              <p className="price">${product.price}</p>
-              <p className="stock">Stock: {product.stock}</p>
-              <button
-                onClick={() => addToCart(product.id)}
-                disabled={loading || product.stock === 0}
-                className="add-to-cart-btn"
+        <div className="catalog">
+          <aside className="category-sidebar">
+            <h3>Categories</h3>
+            <ul>
+              <li>
+                <button
+                  className={!productQuery.category ? "active" : ""}
+                  onClick={() => updateProductQuery({ category: "" })}
+                >
+                  All Products
+                </button>
+              </li>
+            </ul>
+            {renderCategories(categories)}
+          </aside>
+          <div className="catalog-main">
+            <form className="product-filters" onSubmit={searchProducts}>
+              <input
+                type="search"
+                placeholder="Search products"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Min $"
+                value={productQuery.minPrice}
+                onChange={(e) =>
+                  updateProductQuery({ minPrice: e.target.value })
+                }
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Max $"
+                value={productQuery.maxPrice}
+                onChange={(e) =>
+                  updateProductQuery({ maxPrice: e.target.value })
+                }
+              />
+              <select
+                value={productQuery.sort}
+                onChange={(e) => updateProductQuery({ sort: e.target.value })}
               >
-                {product.stock === 0 ? "Out of Stock" : "Add to Cart"}
-              </button>
+                <option value="">Sort: Featured</option>
+                <option value="price:asc">Price: Low to High</option>
+                <option value="price:desc">Price: High to Low</option>
+                <option value="name:asc">Name: A to Z</option>
+                <option value="stock:desc">Most in Stock</option>
+              </select>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={productQuery.inStock}
+                  onChange={(e) =>
+                    updateProductQuery({ inStock: e.target.checked })
+                  }
+                />
+                In stock only
+              </label>
+              <button type="submit">Search</button>
+            </form>
+
+            {products.length === 0 && (
+              <p className="no-results">No products match your filters</p>
+            )}
+
+            <div className="products-grid">
+              {products.map((product) => {
+                const variant = getSelectedVariant(product);
+                const price =
+                  variant && variant.price != null
+                    ? variant.price
+                    : product.price;
+                const stock = variant
+                  ? variant.availableStock
+                  : product.availableStock;
+
+                return (
+                  <div key={product.id} className="product-card">
+                    <h3>{product.name}</h3>
+                    <p className="price">${price}</p>
+                    {variant && (
+                      <select
+                        className="variant-select"
+                        value={variant.sku}
+                        onChange={(e) =>
+                          setSelectedSkus({
+                            ...selectedSkus,
+                            [product.id]: e.target.value,
+                          })
+                        }
+                      >
+                        {product.variants.map((v) => (
+                          <option key={v.sku} value={v.sku}>
+                            {formatOptions(v.options)}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    <p className="stock">Available: {stock}</p>
+                    <button
+                      onClick={() =>
+                        addToCart(product.id, variant ? variant.sku : undefined)
+                      }
+                      disabled={loading || stock === 0}
+                      className="add-to-cart-btn"
+                    >
+                      {stock === 0 ? "Out of Stock" : "Add to Cart"}
+                    </button>
+                  </div>
+                );
+              })}
             </div>
-          ))}
+
+            {pagination && pagination.totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() =>
+                    setProductQuery((query) => ({
+                      ...query,
+                      page: query.page - 1,
+                    }))
+                  }
+                  disabled={pagination.page <= 1}
+                >
+                  Previous
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.totalPages} (
+                  {pagination.total} products)
+                </span>
+                <button
+                  onClick={() =>
+                    setProductQuery((query) => ({
+                      ...query,
+                      page: query.page + 1,
+                    }))
+                  }
+                  disabled={pagination.page >= pagination.totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
         </div>
       )}
 
@@ -318,7 +839,7 @@ function App() {
               </div>
               <div className="stat">
                 <h3>Total Revenue</h3>
-                <p>${stats.totalRevenue}</p>
+                <p>{formatMoney(stats.totalRevenue, stats.currency)}</p>
               </div>
               <div className="stat">
                 <h3>Discount Codes</h3>
@@ -329,7 +850,7 @@ function App() {
               </div>
               <div className="stat">
                 <h3>Total Discounts</h3>
-                <p>${stats.totalDiscountGiven}</p>
+                <p>{formatMoney(stats.totalDiscountGiven, stats.currency)}</p>
               </div>
             </div>
             <button onClick={() => setStats(null)} className="close-btn">
@@ -339,8 +860,70 @@ function App() {
         </div>
       )}
 
+      {authForm && (
+        <div className="stats-modal" onClick={() => setAuthForm(null)}>
+          <form
+            className="stats-content auth-form"
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={submitAuthForm}
+          >
+            <h2>{authForm.mode === "login" ? "Sign In" : "Create Account"}</h2>
+            {authForm.mode === "register" && (
+              <input
+                type="text"
+                placeholder="Name (optional)"
+                value={authForm.name}
+                onChange={(e) =>
+                  setAuthForm({ ...authForm, name: e.target.value })
+                }
+              />
+            )}
+            <input
+              type="email"
+              placeholder="Email"
+              required
+              value={authForm.email}
+              onChange={(e) =>
+                setAuthForm({ ...authForm, email: e.target.value })
+              }
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              required
+              minLength={8}
+              value={authForm.password}
+              onChange={(e) =>
+                setAuthForm({ ...authForm, password: e.target.value })
+              }
+            />
+            <button type="submit" className="checkout-btn">
+              {authForm.mode === "login" ? "Sign In" : "Create Account"}
+            </button>
+            <button
+              type="button"
+              className="continue-btn"
+              onClick={() =>
+                setAuthForm({
+                  ...authForm,
+                  mode: authForm.mode === "login" ? "register" : "login",
+                })
+              }
+            >
+              {authForm.mode === "login"
+                ? "New here? Create an account"
+                : "Have an account? Sign in"}
+            </button>
+          </form>
+        </div>
+      )}
+
       <div className="user-info">
-        <small>User ID: {userId}</small>
+        <small>
+          {session
+            ? `Signed in as ${session.user.name || session.user.email}`
+            : "Not signed in"}
+        </small>
       </div>
     </div>
   );